@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveLanguage } = require('../lib/highlighter');
+const { hasTheme, normaliseTheme, importVSCodeTheme } = require('../lib/themes');
+const { IMAGE_FORMATS, RENDER_ENGINES, Renderer } = require('../lib/renderer');
+const { validateRender } = require('../lib/validation');
+
+const USAGE = `Usage: carbon render [files or globs...] [options]
+
+Renders code to an image. Reads stdin when no file is given or the file is "-".
+
+Options:
+  -o, --output <path>     Output file, or a directory when rendering several files
+  -t, --theme <name|file> Built-in theme or a theme JSON file (ours or VS Code's)
+  -l, --language <name>   Language (default: from the file extension, else detected)
+  -f, --format <format>   png, jpeg, webp, svg, gif or webm (default: from --output, else png)
+      --scale <n>         Pixel ratio, 1-4 (default 2)
+      --quality <n>       JPEG/WebP quality, 1-100
+      --font <family>     Font family
+      --font-size <size>  Font size, e.g. 14 or 14px
+      --padding <size>    Padding, e.g. 40 or 40px
+      --bg <color>        Background color, or "transparent"
+      --radius <px>       Window corner radius
+      --shadow <px>       Window shadow size
+      --window <style>    Window style: mac, windows or none
+      --title <text>      Window title
+      --lines <spec>      Only render these lines, e.g. 10-30
+      --highlight <spec>  Highlight lines, e.g. 3,5-7
+      --focus <spec>      Dim every line except these
+      --start <n>         First line number
+      --mode diff         Render a diff (with --before, or unified diff input)
+      --before <file>     Original version of the code for --mode diff
+      --no-line-numbers   Hide line numbers
+      --animation <style> gif/webm: type, lines or steps (default type)
+      --fps <n>           gif/webm frame rate (default 15)
+      --duration <secs>   gif/webm animation length (default 3)
+      --hold <secs>       gif/webm time the finished code stays up (default 2)
+      --step <file>       An earlier version of the code, for --animation steps;
+                          repeat for each step, in order
+      --engine <name>     PNG engine: browser, raster (no Chrome needed) or auto,
+                          which uses the browser when it launches (default auto)
+      --config <file>     Config file (default: nearest .carbonrc or .carbonrc.json)
+  -h, --help              Show this help
+
+Config files hold default render options as JSON, using the API's option
+names, e.g. { "theme": "solarized", "padding": "32px", "format": "svg" }.`;
+
+// Command line flags, mapped onto render options
+const FLAG_OPTIONS = {
+  theme: 'theme',
+  language: 'language',
+  format: 'format',
+  scale: 'scale',
+  quality: 'quality',
+  font: 'fontFamily',
+  'font-size': 'fontSize',
+  padding: 'padding',
+  bg: 'backgroundColor',
+  radius: 'radius',
+  shadow: 'shadow',
+  window: 'windowStyle',
+  title: 'windowTitle',
+  lines: 'lineRange',
+  highlight: 'highlightLines',
+  focus: 'focusLines',
+  start: 'startLineNumber',
+  mode: 'mode'
+};
+
+// Animation flags, mapped onto options.animation
+const ANIMATION_FLAGS = {
+  animation: 'style',
+  fps: 'fps',
+  duration: 'duration',
+  hold: 'hold'
+};
+
+const CONFIG_FILES = ['.carbonrc', '.carbonrc.json'];
+const EXTENSION_FORMATS = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', webp: 'webp', svg: 'svg', gif: 'gif', webm: 'webm' };
+const RASTER_FORMATS = ['png', 'jpeg', 'webp', 'gif', 'webm'];
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  const stringFlags = Object.keys(FLAG_OPTIONS).filter((flag) => !['theme', 'language', 'format'].includes(flag));
+  return parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      theme: { type: 'string', short: 't' },
+      language: { type: 'string', short: 'l' },
+      format: { type: 'string', short: 'f' },
+      ...Object.fromEntries([...stringFlags, ...Object.keys(ANIMATION_FLAGS)].map((flag) => [flag, { type: 'string' }])),
+      step: { type: 'string', multiple: true },
+      before: { type: 'string' },
+      'no-line-numbers': { type: 'boolean' },
+      engine: { type: 'string' },
+      config: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+// The nearest config file from the working directory upwards
+function findConfig(dir) {
+  for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+    const found = CONFIG_FILES.map((name) => path.join(current, name)).find((file) => fs.existsSync(file));
+    if (found) return found;
+    if (path.dirname(current) === current) return null;
+  }
+}
+
+function loadConfig(explicit) {
+  const file = explicit || findConfig(process.cwd());
+  if (!file) return { options: {}, dir: process.cwd() };
+
+  const options = readJSON(file);
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new UsageError(`${file} must contain a JSON object of render options`);
+  }
+  return { options, dir: path.dirname(path.resolve(file)) };
+}
+
+// A built-in theme name, or a path to a theme file. Our own theme format is
+// used as is; anything else is treated as a VS Code theme.
+function resolveTheme(options, baseDir) {
+  const { theme } = options;
+  if (!theme || hasTheme(theme)) return;
+
+  const file = path.resolve(baseDir, theme);
+  if (!fs.existsSync(file)) {
+    throw new UsageError(`Unknown theme "${theme}" (not a built-in theme or a file)`);
+  }
+  const source = fs.readFileSync(file, 'utf8');
+  const name = path.basename(file, path.extname(file));
+  let parsed = null;
+  try {
+    parsed = JSON.parse(source);
+  } catch (error) {
+    // VS Code themes are often JSON with comments
+  }
+  options.customTheme = parsed && parsed.colors && typeof parsed.colors.keyword === 'string'
+    ? normaliseTheme({ name, ...parsed })
+    : importVSCodeTheme(source, name);
+  delete options.theme;
+}
+
+function withUnit(value) {
+  return /^\d+$/.test(value) ? `${value}px` : value;
+}
+
+// Glob support: *, **, ? and {a,b}
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, end).split(',').map((part) => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, files = []) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, files);
+    else if (entry.isFile()) files.push(full);
+  });
+  return files;
+}
+
+function expandGlob(pattern) {
+  const normalised = pattern.split(path.sep).join('/');
+  const parts = normalised.split('/');
+  const firstGlob = parts.findIndex((part) => /[*?{]/.test(part));
+  const base = parts.slice(0, firstGlob).join('/') || (normalised.startsWith('/') ? '/' : '.');
+  if (!fs.existsSync(base)) return [];
+
+  const regex = globToRegExp(normalised.replace(/^\.\//, ''));
+  return walk(base)
+    .map((file) => file.split(path.sep).join('/').replace(/^\.\//, ''))
+    .filter((file) => regex.test(file))
+    .sort();
+}
+
+function collectInputs(positionals) {
+  if (!positionals.length) return ['-'];
+
+  const inputs = [];
+  positionals.forEach((arg) => {
+    if (arg === '-' || !/[*?{]/.test(arg)) {
+      inputs.push(arg);
+      return;
+    }
+    const matches = expandGlob(arg);
+    if (!matches.length) throw new UsageError(`No files match ${arg}`);
+    inputs.push(...matches);
+  });
+  return [...new Set(inputs)];
+}
+
+function readInput(input) {
+  if (input === '-') return fs.readFileSync(0, 'utf8');
+  try {
+    return fs.readFileSync(input, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Could not read ${input}: ${error.message}`);
+  }
+}
+
+function isDirectoryTarget(output) {
+  return /[/\\]$/.test(output) || (fs.existsSync(output) && fs.statSync(output).isDirectory());
+}
+
+// Where each rendered input goes: a file path, or null for stdout
+function outputPaths(inputs, output, format) {
+  const names = new Map();
+  const nameFor = (input) => {
+    const stem = input === '-' ? 'snippet' : path.basename(input, path.extname(input)) || 'snippet';
+    const seen = names.get(stem) || 0;
+    names.set(stem, seen + 1);
+    return `${seen ? `${stem}-${seen + 1}` : stem}.${format}`;
+  };
+
+  if (inputs.length === 1 && output && !isDirectoryTarget(output)) return [output];
+  if (inputs.length === 1 && !output && !process.stdout.isTTY) return [null];
+
+  const dir = output || '.';
+  return inputs.map((input) => path.join(dir, nameFor(input)));
+}
+
+function buildOptions(values, config) {
+  const options = { ...config.options };
+  const flags = {};
+  Object.entries(FLAG_OPTIONS).forEach(([flag, option]) => {
+    if (values[flag] !== undefined) flags[option] = values[flag];
+  });
+  if (values['no-line-numbers']) flags.showLineNumbers = false;
+  ['fontSize', 'padding'].forEach((key) => {
+    if (flags[key] !== undefined) flags[key] = withUnit(flags[key]);
+  });
+
+  // Themes named in the config are relative to the config file
+  resolveTheme(options, config.dir);
+  if (flags.theme) {
+    delete options.customTheme;
+    resolveTheme(flags, process.cwd());
+  }
+  Object.assign(options, flags);
+
+  // Aliases such as "js" or "py" are fine on the command line
+  if (options.language && options.language !== 'auto') {
+    options.language = resolveLanguage(options.language) || options.language;
+  }
+  if (values.before) options.before = readInput(values.before);
+  Object.entries(ANIMATION_FLAGS).forEach(([flag, field]) => {
+    if (values[flag] !== undefined) options.animation = { ...options.animation, [field]: values[flag] };
+  });
+  if (values.step) {
+    options.animation = { style: 'steps', ...options.animation, steps: values.step.map(readInput) };
+  }
+  // -o foo.svg beats the config file's format, but not an explicit --format
+  const outputFormat = values.output && !isDirectoryTarget(values.output)
+    ? EXTENSION_FORMATS[path.extname(values.output).slice(1).toLowerCase()]
+    : null;
+  options.format = flags.format || outputFormat || options.format || 'png';
+  if (!IMAGE_FORMATS[options.format]) {
+    throw new UsageError(`Unknown format "${options.format}" (use ${Object.keys(IMAGE_FORMATS).join(', ')})`);
+  }
+  return options;
+}
+
+function loadPuppeteer() {
+  try {
+    return require('puppeteer');
+  } catch (error) {
+    return null;
+  }
+}
+
+async function render(values, positionals) {
+  const config = loadConfig(values.config);
+  const options = buildOptions(values, config);
+  const inputs = collectInputs(positionals);
+  if (inputs.filter((input) => input === '-').length > 1) {
+    throw new UsageError('stdin can only be read once');
+  }
+  const outputs = outputPaths(inputs, values.output, options.format);
+
+  const engine = values.engine || 'auto';
+  if (!RENDER_ENGINES.includes(engine)) {
+    throw new UsageError(`Unknown engine "${engine}" (use ${RENDER_ENGINES.join(', ')})`);
+  }
+
+  // --engine raster draws PNGs without ever launching Chrome
+  const needsBrowser = RASTER_FORMATS.includes(options.format) && !(options.format === 'png' && engine === 'raster');
+  const puppeteer = needsBrowser ? loadPuppeteer() : null;
+  const renderer = new Renderer({
+    puppeteer,
+    engine,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+    poolSize: 1
+  });
+  if (needsBrowser && !(await renderer.start()) && renderer.engineFor(options.format) === 'browser') {
+    throw new UsageError(
+      `${options.format.toUpperCase()} output needs Puppeteer and a Chrome it can launch` +
+      ' (npm install puppeteer, or set PUPPETEER_EXECUTABLE_PATH). Use --format svg, or PNG with' +
+      ' @resvg/resvg-js installed, to render without a browser.'
+    );
+  }
+
+  let failed = 0;
+  try {
+    for (let i = 0; i < inputs.length; i++) {
+      const input = inputs[i];
+      const label = input === '-' ? 'stdin' : input;
+      const code = readInput(input);
+      const fileOptions = { ...options };
+      if (!fileOptions.language && input !== '-') {
+        fileOptions.language = resolveLanguage(path.extname(input).slice(1)) || 'auto';
+      }
+
+      const errors = await validateRender(code, fileOptions);
+      if (errors.length) {
+        failed++;
+        console.error(`❌ ${label}: ${errors.map((error) => error.msg).join('; ')}`);
+        continue;
+      }
+
+      try {
+        const { buffer, dimensions, language } = await renderer.render(code, fileOptions);
+        if (outputs[i]) {
+          fs.mkdirSync(path.dirname(outputs[i]), { recursive: true });
+          fs.writeFileSync(outputs[i], buffer);
+          console.error(`✅ ${label} -> ${outputs[i]} (${dimensions.width}x${dimensions.height}, ${language.name})`);
+        } else {
+          process.stdout.write(buffer);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${label}: ${error.message}`);
+      }
+    }
+  } finally {
+    await renderer.close();
+  }
+  return failed ? 1 : 0;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (command !== 'render') {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return await render(values, args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,246 @@
+const { spawn } = require('child_process');
+const { RenderError } = require('./errors');
+
+// Animated output (GIF and WebM). Frames are screenshots of the regular
+// HTML template: 'type' and 'lines' reveal the final code bit by bit in
+// one page, 'steps' loads each code state in turn and cuts between them.
+
+const ANIMATED_FORMATS = ['gif', 'webm'];
+const ANIMATION_STYLES = ['type', 'lines', 'steps'];
+
+const ANIMATION_DEFAULTS = {
+  style: 'type',
+  fps: 15,
+  duration: 3,
+  hold: 2
+};
+
+const ANIMATION_LIMITS = {
+  maxFrames: parseInt(process.env.ANIMATION_MAX_FRAMES) || 300,
+  maxBytes: parseInt(process.env.ANIMATION_MAX_BYTES) || 10 * 1024 * 1024,
+  // Device pixels per frame (width × height × scale²); every frame is
+  // decoded to 4 bytes per pixel while encoding
+  maxPixels: parseInt(process.env.ANIMATION_MAX_PIXELS) || 4 * 1024 * 1024,
+  // Screenshots held until encoding starts
+  maxCaptureBytes: parseInt(process.env.ANIMATION_MAX_CAPTURE_BYTES) || 64 * 1024 * 1024,
+  maxSteps: 20,
+  maxFps: 30,
+  maxDuration: 20,
+  maxHold: 10
+};
+
+const ENCODE_TIMEOUT_MS = 60000;
+
+// Device pixels in one frame of the given CSS size
+function framePixels({ width, height }, scale = 1) {
+  return Math.ceil(width * scale) * Math.ceil(height * scale);
+}
+
+function isAnimated(format) {
+  return ANIMATED_FORMATS.includes(format);
+}
+
+// Fills in defaults; steps are only kept for the 'steps' style
+function normaliseAnimation(animation = {}) {
+  const normalised = {
+    style: animation.style || ANIMATION_DEFAULTS.style,
+    fps: parseInt(animation.fps) || ANIMATION_DEFAULTS.fps,
+    duration: parseFloat(animation.duration) || ANIMATION_DEFAULTS.duration,
+    hold: animation.hold === undefined ? ANIMATION_DEFAULTS.hold : parseFloat(animation.hold) || 0
+  };
+  if (normalised.style === 'steps') {
+    normalised.steps = (animation.steps || []).map(String);
+  }
+  return normalised;
+}
+
+// Captured frames: a 'type' or 'lines' animation takes fps × duration
+// steps plus the first frame; 'steps' takes one frame per code state
+function frameCount(animation) {
+  if (animation.style === 'steps') return (animation.steps || []).length + 1;
+  return Math.max(1, Math.round(animation.fps * animation.duration)) + 1;
+}
+
+// The frames to capture: [{ state, reveal, caret, delay }]. `state` indexes
+// the code states, `reveal` is how many characters or lines show (null for
+// all) and `delay` is in seconds. The last frame also gets the hold time.
+function planFrames(animation, total) {
+  const { style, fps, duration, hold } = animation;
+
+  if (style === 'steps') {
+    const states = animation.steps.length + 1;
+    return Array.from({ length: states }, (_, state) => ({
+      state,
+      reveal: null,
+      caret: false,
+      delay: duration / states + (state === states - 1 ? hold : 0)
+    }));
+  }
+
+  const steps = frameCount(animation) - 1;
+  return Array.from({ length: steps + 1 }, (_, i) => ({
+    state: 0,
+    reveal: i === steps ? null : Math.round((total * i) / steps),
+    caret: style === 'type' && i < steps,
+    delay: i === steps ? Math.max(hold, 1 / fps) : 1 / fps
+  }));
+}
+
+// Runs in the page. Returns the number of characters (style 'type') or
+// lines of code on the page.
+function measureCode(style) {
+  const lines = [...document.querySelectorAll('code .line')];
+  if (style === 'lines') return lines.length;
+  return lines.reduce((sum, line) => sum + line.querySelector('.line-content').textContent.length + 1, 0) - 1;
+}
+
+// Runs in the page. Shows the first `reveal` characters or lines of the
+// code; the rest is hidden with visibility so the layout never moves.
+function revealCode(style, reveal, caret) {
+  // Kept on the element: pooled pages reuse the window across renders
+  const code = document.querySelector('code');
+  const lines = [...code.querySelectorAll('.line')];
+  if (!code.carbonLines) {
+    code.carbonLines = lines.map((line) => line.innerHTML);
+    const sheet = document.createElement('style');
+    sheet.textContent = '.carbon-pending { visibility: hidden; }'
+      + '.carbon-caret { display: inline-block; width: 0; position: relative; }'
+      + '.carbon-caret::after { content: ""; position: absolute; left: 0; top: 0.1em;'
+      + ' width: 2px; height: 1.2em; background: currentColor; }';
+    document.head.appendChild(sheet);
+  }
+  lines.forEach((line, i) => {
+    line.innerHTML = code.carbonLines[i];
+    line.style.visibility = '';
+  });
+  if (reveal === null) return;
+
+  if (style === 'lines') {
+    lines.slice(reveal).forEach((line) => {
+      line.style.visibility = 'hidden';
+    });
+    return;
+  }
+
+  let left = reveal;
+  lines.forEach((line) => {
+    if (left < 0) {
+      line.style.visibility = 'hidden';
+      return;
+    }
+    const content = line.querySelector('.line-content');
+    const length = content.textContent.length;
+    if (left > length) {
+      left -= length + 1;
+      return;
+    }
+
+    // Split the line at the cursor and hide everything after it
+    const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT);
+    let node = walker.nextNode();
+    let offset = left;
+    while (node && offset > node.length) {
+      offset -= node.length;
+      node = walker.nextNode();
+    }
+    const range = document.createRange();
+    if (node) range.setStart(node, offset);
+    else range.setStart(content, content.childNodes.length);
+    range.setEnd(content, content.childNodes.length);
+
+    const pending = document.createElement('span');
+    pending.className = 'carbon-pending';
+    pending.appendChild(range.extractContents());
+    content.appendChild(pending);
+    if (caret) {
+      const cursor = document.createElement('span');
+      cursor.className = 'carbon-caret';
+      content.insertBefore(cursor, pending);
+    }
+    left = -1;
+  });
+}
+
+// Pipes PNG frames through ffmpeg as VP9. Frames are repeated to hold each
+// one for its delay at a constant frame rate.
+function encodeWebM(frames, { fps, transparent }) {
+  const sequence = [];
+  let elapsed = 0;
+  frames.forEach(({ png, delay }) => {
+    const start = Math.round(elapsed * fps);
+    elapsed += delay;
+    const repeat = Math.max(1, Math.round(elapsed * fps) - start);
+    for (let i = 0; i < repeat; i++) sequence.push(png);
+  });
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-loglevel', 'error',
+      '-f', 'image2pipe',
+      '-framerate', String(fps),
+      '-i', '-',
+      '-c:v', 'libvpx-vp9',
+      '-pix_fmt', transparent ? 'yuva420p' : 'yuv420p',
+      '-b:v', '0',
+      '-crf', '34',
+      '-deadline', 'good',
+      '-cpu-used', '4',
+      '-an',
+      '-f', 'webm',
+      'pipe:1'
+    ]);
+
+    const output = [];
+    let stderr = '';
+    const timeout = setTimeout(() => ffmpeg.kill('SIGKILL'), ENCODE_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (chunk) => output.push(chunk));
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timeout);
+      if (error.code === 'ENOENT') {
+        reject(new RenderError('WebM output needs ffmpeg on the server', { status: 503, code: 'ENCODER_UNAVAILABLE' }));
+      } else {
+        reject(error);
+      }
+    });
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timeout);
+      if (code === 0) return resolve(Buffer.concat(output));
+      reject(new Error(signal ? 'ffmpeg timed out' : `ffmpeg exited with ${code}: ${stderr.trim().slice(0, 200)}`));
+    });
+    // ffmpeg closing its input early surfaces as an exit code instead
+    ffmpeg.stdin.on('error', () => {});
+
+    (async () => {
+      for (const png of sequence) {
+        if (ffmpeg.stdin.destroyed) return;
+        if (!ffmpeg.stdin.write(png)) {
+          await new Promise((drained) => {
+            ffmpeg.stdin.once('drain', drained);
+            ffmpeg.stdin.once('close', drained);
+          });
+        }
+      }
+      ffmpeg.stdin.end();
+    })();
+  });
+}
+
+module.exports = {
+  ANIMATED_FORMATS,
+  ANIMATION_STYLES,
+  ANIMATION_DEFAULTS,
+  ANIMATION_LIMITS,
+  ENCODE_TIMEOUT_MS,
+  framePixels,
+  isAnimated,
+  normaliseAnimation,
+  frameCount,
+  planFrames,
+  measureCode,
+  revealCode,
+  encodeWebM
+};
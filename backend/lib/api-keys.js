@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// Issued API keys and their usage. A key looks like ck_<id>_<secret>: the
+// id finds the record, and only an HMAC of the whole key is stored, so a
+// leaked store does not leak usable keys.
+
+const KEY_PATTERN = /^ck_([0-9a-f]{12})_[A-Za-z0-9_-]{32}$/;
+// Days of per-key usage kept for /api/usage
+const USAGE_DAYS = 7;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function lastDays(count) {
+  const now = Date.now();
+  return Array.from({ length: count }, (_, i) => new Date(now - i * 86400000).toISOString().slice(0, 10));
+}
+
+class ApiKeys {
+  constructor({ store, redis = () => null, secret = null, rateLimit = 1000, dailyQuota = 5000 }) {
+    this.store = store;
+    this.redis = redis;
+    this.secret = secret;
+    this.defaults = { rateLimit, dailyQuota };
+    // Usage counters when Redis is not available: `${id}:${date}` -> counts
+    this.usage = new Map();
+  }
+
+  get client() {
+    const client = this.redis();
+    return client && client.isReady ? client : null;
+  }
+
+  // Without a secret the stored HMACs could be brute-forced offline, so
+  // keys can be neither issued nor accepted
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  hash(key) {
+    if (!this.enabled) throw new Error('API keys need a secret');
+    return crypto.createHmac('sha256', this.secret).update(key).digest('hex');
+  }
+
+  // Returns the record and the key itself; the key is never stored
+  async create({ name, rateLimit, dailyQuota } = {}) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `ck_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id,
+      name: name || 'Unnamed key',
+      prefix: key.slice(0, 19),
+      hash: this.hash(key),
+      rateLimit: rateLimit || null,
+      dailyQuota: dailyQuota || null,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    await this.store.set(id, record);
+    return { key, record: this.describe(record) };
+  }
+
+  // The active record for `key`, or null for unknown and revoked keys
+  async verify(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match || !this.enabled) return null;
+
+    const record = await this.store.get(match[1]);
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(this.hash(key), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? this.describe(record) : null;
+  }
+
+  // Revoked keys are kept so their usage stays visible
+  async revoke(id) {
+    const record = await this.store.get(id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.store.set(id, record);
+    }
+    return this.describe(record);
+  }
+
+  async list() {
+    const records = await Promise.all((await this.store.keys()).map((id) => this.store.get(id)));
+    return records
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((record) => this.describe(record));
+  }
+
+  // Public view of a record, with the defaults filled in
+  describe({ hash, ...record }) {
+    return {
+      ...record,
+      rateLimit: record.rateLimit || this.defaults.rateLimit,
+      dailyQuota: record.dailyQuota || this.defaults.dailyQuota
+    };
+  }
+
+  // Adds `by` to today's `field` ('requests' or 'renders') and returns the new count
+  async count(id, field, by = 1) {
+    const date = today();
+    const client = this.client;
+    if (client) {
+      const key = `carbon:usage:${id}:${date}`;
+      const [value] = await client.multi()
+        .hIncrBy(key, field, by)
+        .expire(key, (USAGE_DAYS + 1) * 86400)
+        .exec();
+      return Number(value);
+    }
+
+    const key = `${id}:${date}`;
+    if (!this.usage.has(key)) {
+      const oldest = lastDays(USAGE_DAYS).pop();
+      [...this.usage.keys()]
+        .filter((entry) => entry.split(':')[1] < oldest)
+        .forEach((entry) => this.usage.delete(entry));
+      this.usage.set(key, { requests: 0, renders: 0 });
+    }
+    const counts = this.usage.get(key);
+    counts[field] += by;
+    return counts[field];
+  }
+
+  // Counts a render against the daily quota. Renders over the quota are not
+  // counted and come back as { allowed: false }.
+  async consumeRender(apiKey) {
+    const used = await this.count(apiKey.id, 'renders');
+    if (used > apiKey.dailyQuota) {
+      await this.count(apiKey.id, 'renders', -1);
+      return { allowed: false, limit: apiKey.dailyQuota, remaining: 0 };
+    }
+    return { allowed: true, limit: apiKey.dailyQuota, remaining: apiKey.dailyQuota - used };
+  }
+
+  // Daily counts for the last USAGE_DAYS days, newest first
+  async usageFor(id) {
+    const client = this.client;
+    return Promise.all(lastDays(USAGE_DAYS).map(async (date) => {
+      const counts = client
+        ? await client.hGetAll(`carbon:usage:${id}:${date}`)
+        : this.usage.get(`${id}:${date}`) || {};
+      return {
+        date,
+        requests: Number(counts.requests) || 0,
+        renders: Number(counts.renders) || 0
+      };
+    }));
+  }
+}
+
+module.exports = {
+  KEY_PATTERN,
+  ApiKeys
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { renderKey } = require('./render-key');
+
+// Rendered images kept for a while, so clients can fetch or download them
+// by URL instead of passing base64 around. Entries live in a Store (Redis
+// or files) together with the request that produced them, which lets a
+// download ask for the same render in another format. IDs are random, so
+// knowing some code does not give away the URL of someone's render of it;
+// a separate index by render key lets the same render reuse its entry.
+
+const ARTIFACT_ID_PATTERN = /^[A-Za-z0-9_-]{16}$/;
+
+// Format from the leading bytes, so what is served is what was stored
+// rather than what the metadata claims
+function sniffFormat(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+
+  const head = buffer.toString('utf8', 0, 512).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?<svg[\s>]/.test(head)) return 'svg';
+  return null;
+}
+
+class RenderArtifacts {
+  constructor({ store, ttl = 86400 }) {
+    this.store = store;
+    this.ttl = ttl;
+  }
+
+  // Index entry pointing at the artifact for a render. Browser and
+  // rasterizer output differ, so the engine is part of the key. It cannot
+  // collide with an ID, which never contains ":".
+  indexKey({ code, options }, meta) {
+    return `render-key:${renderKey(code, { ...options, engine: meta.engine })}`;
+  }
+
+  // Keeps an image with its render metadata and request ({ code, options }).
+  // Saving a render that is already stored replaces it and restarts its TTL.
+  async save(buffer, meta, request) {
+    const indexKey = this.indexKey(request, meta);
+    const indexed = await this.store.get(indexKey);
+    const id = indexed && await this.store.get(indexed.id)
+      ? indexed.id
+      : crypto.randomBytes(12).toString('base64url');
+    const artifact = {
+      id,
+      image: buffer.toString('base64'),
+      meta,
+      request,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.ttl * 1000).toISOString()
+    };
+    await this.store.set(id, artifact, { ttl: this.ttl });
+    await this.store.set(indexKey, { id }, { ttl: this.ttl });
+    return { id, expiresAt: artifact.expiresAt };
+  }
+
+  // The artifact with its image as a Buffer, or null when it is unknown
+  // or has expired
+  async get(id) {
+    if (!ARTIFACT_ID_PATTERN.test(id)) return null;
+
+    const artifact = await this.store.get(id);
+    if (!artifact) return null;
+    const { image, ...rest } = artifact;
+    return { ...rest, buffer: Buffer.from(image, 'base64') };
+  }
+}
+
+module.exports = {
+  ARTIFACT_ID_PATTERN,
+  sniffFormat,
+  RenderArtifacts
+};
@@ -0,0 +1,21 @@
+// Browser stand-in for lib/fonts.js in the live preview bundle. Instead of
+// inlining font files it imports /api/fonts/<id>.css, which links the same
+// files the server embeds in exports.
+const ids = new Map();
+
+// The list from /api/fonts, to map family names onto IDs
+function setFonts(list) {
+  list.forEach(({ id, family }) => ids.set(family, id));
+}
+
+const fonts = {
+  fontFaceCSS(family) {
+    const id = ids.get(family);
+    return id ? `@import url("/api/fonts/${encodeURIComponent(id)}.css");` : '';
+  }
+};
+
+module.exports = {
+  setFonts,
+  fonts
+};
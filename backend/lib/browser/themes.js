@@ -0,0 +1,29 @@
+// Browser stand-in for lib/themes.js in the live preview bundle. The page
+// registers the themes it fetched from /api/themes; lookups then behave
+// like the server's, falling back to dark.
+const themes = new Map();
+
+function setThemes(list) {
+  list.forEach(({ id, ...theme }) => themes.set(id, theme));
+}
+
+function addTheme(id, theme) {
+  themes.set(id, theme);
+}
+
+function hasTheme(name) {
+  return themes.has(name);
+}
+
+function getTheme(name) {
+  const theme = themes.get(name) || themes.get('dark');
+  if (!theme) throw new Error('Themes have not been loaded yet');
+  return theme.colors;
+}
+
+module.exports = {
+  setThemes,
+  addTheme,
+  hasTheme,
+  getTheme
+};
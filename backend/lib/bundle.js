@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// Packs CommonJS modules from lib/ into one browser script, so the live
+// preview runs the very template and highlighter the renderer uses. Only
+// relative requires are followed; `replacements` swaps Node-only modules
+// for browser stand-ins, like the "browser" field of a package.json.
+
+const REQUIRE_PATTERN = /\brequire\(\s*'([^']+)'\s*\)/g;
+
+// What the frontend gets as window.CarbonShared
+const SHARED_BUNDLE = {
+  root: __dirname,
+  globalName: 'CarbonShared',
+  entries: {
+    template: 'template.js',
+    highlighter: 'highlighter/index.js',
+    options: 'options.js',
+    state: 'state.js',
+    themes: 'browser/themes.js',
+    fonts: 'browser/fonts.js'
+  },
+  replacements: {
+    'themes.js': 'browser/themes.js',
+    'fonts.js': 'browser/fonts.js'
+  }
+};
+
+function resolveFile(from, request) {
+  const base = path.resolve(path.dirname(from), request);
+  const file = [base, `${base}.js`, path.join(base, 'index.js')]
+    .find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!file) throw new Error(`Cannot resolve "${request}" from ${from}`);
+  return file;
+}
+
+function bundleModules({ root, globalName, entries, replacements = {} }) {
+  const replaced = new Map(Object.entries(replacements)
+    .map(([from, to]) => [path.resolve(root, from), path.resolve(root, to)]));
+  const ids = new Map();
+  const modules = [];
+
+  const add = (requested) => {
+    const file = replaced.get(requested) || requested;
+    if (ids.has(file)) return ids.get(file);
+
+    const module = { file, source: fs.readFileSync(file, 'utf8'), dependencies: {} };
+    ids.set(file, modules.length);
+    modules.push(module);
+    for (const [, request] of module.source.matchAll(REQUIRE_PATTERN)) {
+      if (!request.startsWith('.')) {
+        throw new Error(`${path.relative(root, file)} requires "${request}", which cannot run in the browser`);
+      }
+      module.dependencies[request] = add(resolveFile(file, request));
+    }
+    return ids.get(file);
+  };
+
+  const exposed = Object.entries(entries)
+    .map(([name, file]) => `    ${name}: load(${add(path.resolve(root, file))})`);
+
+  const definitions = modules.map(({ file, source, dependencies }) => [
+    `  // ${path.relative(root, file)}`,
+    '  [function (require, module, exports) {',
+    source.trimEnd(),
+    `  }, ${JSON.stringify(dependencies)}]`
+  ].join('\n'));
+
+  return [
+    '// Built from backend/lib by lib/bundle.js',
+    '(() => {',
+    '  const definitions = [',
+    definitions.join(',\n'),
+    '  ];',
+    '  const cache = [];',
+    '  const load = (id) => {',
+    '    if (!cache[id]) {',
+    '      const [define, dependencies] = definitions[id];',
+    '      cache[id] = { exports: {} };',
+    '      define((request) => load(dependencies[request]), cache[id], cache[id].exports);',
+    '    }',
+    '    return cache[id].exports;',
+    '  };',
+    `  window.${globalName} = {`,
+    exposed.join(',\n'),
+    '  };',
+    '})();',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  SHARED_BUNDLE,
+  bundleModules
+};
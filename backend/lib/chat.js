@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { resolveLanguage } = require('./highlighter');
+
+// Slack and Discord slash commands: request signatures, pulling the code
+// out of a chat message, and the follow-up replies sent once it rendered.
+
+// Requests older than this are rejected, so captured ones cannot be replayed
+const MAX_REQUEST_AGE_SECONDS = 300;
+const REPLY_TIMEOUT_MS = 10000;
+
+const CHAT_USAGE = 'Paste some code after the command, ideally in a ``` block. '
+  + 'Add lang:python or theme:solarized to pick the language or theme.';
+
+// Ed25519 public keys come as 32 raw bytes in hex; Node wants them as SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function isFresh(timestamp, now = Date.now()) {
+  const seconds = parseInt(timestamp);
+  return Number.isFinite(seconds) && Math.abs(now / 1000 - seconds) <= MAX_REQUEST_AGE_SECONDS;
+}
+
+// X-Slack-Signature is "v0=" + HMAC-SHA256(signing secret, "v0:<timestamp>:<raw body>")
+function verifySlackRequest({ secret, timestamp, signature, rawBody }) {
+  if (!secret || !signature || !rawBody || !isFresh(timestamp)) return false;
+
+  const expected = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  // Compared as bytes: a multibyte header can match in length as a string
+  const received = Buffer.from(signature);
+  return received.length === expected.length
+    && crypto.timingSafeEqual(received, Buffer.from(expected));
+}
+
+// X-Signature-Ed25519 signs "<X-Signature-Timestamp><raw body>" with the
+// application's key pair; DISCORD_PUBLIC_KEY is the public half, in hex
+function verifyDiscordRequest({ publicKey, timestamp, signature, rawBody }) {
+  if (!publicKey || !signature || !rawBody || !isFresh(timestamp)) return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Slack escapes &, < and > in command text and wraps links as <url|label>
+function unescapeSlack(text) {
+  return text
+    .replace(/<(https?:\/\/[^|>]+)(?:\|[^>]*)?>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// The code and render options from a message such as
+//
+//   lang:python theme:solarized ```py
+//   print("hi")
+//   ```
+//
+// Without a fenced block the whole text (minus hints) is the code. The
+// fence's info string and lang: hints pick the language; unknown names
+// fall back to detection. Returns null when there is no code.
+function parseChatSnippet(text) {
+  const source = String(text || '');
+  const fence = /```([\w+#.-]*)[ \t]*\n?([\s\S]*?)```/.exec(source);
+  const rest = fence ? source.slice(0, fence.index) + source.slice(fence.index + fence[0].length) : source;
+
+  const hints = {};
+  const hintPattern = /(?:^|\s)(lang|language|theme)[:=]([\w+#.-]+)/gi;
+  let match;
+  while ((match = hintPattern.exec(rest))) {
+    hints[match[1].toLowerCase() === 'theme' ? 'theme' : 'language'] = match[2];
+  }
+
+  let code = fence ? fence[2] : rest.replace(hintPattern, ' ');
+  code = code.replace(/^\s*\n/, '').replace(/\s+$/, '');
+  if (!code.trim()) return null;
+
+  const options = {};
+  const language = hints.language || (fence && fence[1]);
+  if (language) options.language = resolveLanguage(language) || 'auto';
+  if (hints.theme) options.theme = hints.theme.toLowerCase();
+  return { code, options };
+}
+
+// Follow-up replies are best effort: failures are reported, never thrown
+async function sendChatReply(url, payload, { method = 'POST' } = {}) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'carbon-generator-chat'
+      },
+      body: JSON.stringify(payload),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REPLY_TIMEOUT_MS)
+    });
+    if (response.ok) {
+      return { delivered: true, status: response.status };
+    }
+    return { delivered: false, status: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { delivered: false, error: error.message };
+  }
+}
+
+module.exports = {
+  CHAT_USAGE,
+  verifySlackRequest,
+  verifyDiscordRequest,
+  unescapeSlack,
+  parseChatSnippet,
+  sendChatReply
+};
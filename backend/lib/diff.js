@@ -0,0 +1,202 @@
+// Diff mode: turns a unified diff, or a before/after pair, into display
+// rows shared by the HTML template and the SVG renderer
+
+// Unchanged lines kept around each change before the rest are collapsed
+const CONTEXT_LINES = 3;
+// Above this many before x after lines, fall back to replace-everything
+const MAX_LCS_CELLS = 4000000;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+// Raw rows: { kind: 'add' | 'del' | 'context' | 'hunk', text, oldNumber, newNumber }.
+// Hunk line counts decide where content ends, so file headers between
+// hunks are skipped. Input without any @@ header is read as bare +/- lines.
+function parseUnifiedDiff(diff) {
+  const lines = diff.replace(/\n$/, '').split('\n');
+  const bare = !lines.some((line) => HUNK_HEADER.test(line));
+  const rows = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+  let oldLeft = 0;
+  let newLeft = 0;
+
+  lines.forEach((line) => {
+    const inHunk = bare || oldLeft > 0 || newLeft > 0;
+    const hunk = !inHunk && HUNK_HEADER.exec(line);
+    if (hunk) {
+      oldNumber = parseInt(hunk[1], 10);
+      oldLeft = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      newNumber = parseInt(hunk[3], 10);
+      newLeft = hunk[4] === undefined ? 1 : parseInt(hunk[4], 10);
+      rows.push({ kind: 'hunk', text: line });
+      return;
+    }
+    if (!inHunk) {
+      if (line.startsWith('+++ ')) rows.push({ kind: 'hunk', text: line.slice(4).replace(/^b\//, '') });
+      return;
+    }
+    if (line.startsWith('\\')) return;
+
+    const sign = line[0];
+    if (sign === '+') {
+      rows.push({ kind: 'add', text: line.slice(1), newNumber: newNumber++ });
+      newLeft--;
+    } else if (sign === '-') {
+      rows.push({ kind: 'del', text: line.slice(1), oldNumber: oldNumber++ });
+      oldLeft--;
+    } else {
+      // Some editors strip the leading space from blank context lines
+      rows.push({ kind: 'context', text: sign === ' ' ? line.slice(1) : line, oldNumber: oldNumber++, newNumber: newNumber++ });
+      oldLeft--;
+      newLeft--;
+    }
+  });
+
+  return rows;
+}
+
+// Line diff of two snippets via LCS, after trimming the common prefix and
+// suffix so typical edits only pay for the changed middle
+function diffSnippets(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+
+  const middle = [];
+  if (n * m > MAX_LCS_CELLS) {
+    oldMiddle.forEach((text) => middle.push({ kind: 'del', text }));
+    newMiddle.forEach((text) => middle.push({ kind: 'add', text }));
+  } else {
+    // lengths[i * (m + 1) + j] = LCS of oldMiddle[i..] and newMiddle[j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+        middle.push({ kind: 'context', text: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+        // Removals go before additions, as in git's output
+        middle.push({ kind: 'del', text: oldMiddle[i++] });
+      } else {
+        middle.push({ kind: 'add', text: newMiddle[j++] });
+      }
+    }
+  }
+
+  const rows = [
+    ...a.slice(0, prefix).map((text) => ({ kind: 'context', text })),
+    ...middle,
+    ...a.slice(a.length - suffix).map((text) => ({ kind: 'context', text }))
+  ];
+
+  let oldNumber = 1;
+  let newNumber = 1;
+  rows.forEach((row) => {
+    if (row.kind !== 'add') row.oldNumber = oldNumber++;
+    if (row.kind !== 'del') row.newNumber = newNumber++;
+  });
+
+  return collapseContext(rows);
+}
+
+// Replaces long unchanged runs with a single "N unchanged lines" row
+function collapseContext(rows) {
+  if (!rows.some((row) => row.kind !== 'context')) return rows;
+
+  const keep = rows.map(() => false);
+  rows.forEach((row, index) => {
+    if (row.kind === 'context') return;
+    for (let i = Math.max(0, index - CONTEXT_LINES); i <= Math.min(rows.length - 1, index + CONTEXT_LINES); i++) {
+      keep[i] = true;
+    }
+  });
+
+  const collapsed = [];
+  let hidden = [];
+  // A single hidden line takes as much room as its separator, so show it
+  const flush = () => {
+    if (hidden.length === 1) collapsed.push(hidden[0]);
+    if (hidden.length > 1) collapsed.push({ kind: 'hunk', text: `⋯ ${hidden.length} unchanged lines` });
+    hidden = [];
+  };
+  rows.forEach((row, index) => {
+    if (keep[index]) {
+      flush();
+      collapsed.push(row);
+    } else {
+      hidden.push(row);
+    }
+  });
+  flush();
+
+  return collapsed;
+}
+
+function diffRows(code, options = {}) {
+  return typeof options.before === 'string'
+    ? diffSnippets(options.before, code)
+    : parseUnifiedDiff(code);
+}
+
+// The new side of the diff as plain code, for language detection
+function diffSource(code, options = {}) {
+  return diffRows(code, options)
+    .filter((row) => row.kind === 'add' || row.kind === 'context')
+    .map((row) => row.text)
+    .join('\n');
+}
+
+// Display rows with the content of each line highlighted by `highlight`
+// (highlightLines or tokenizeLines bound to a language). Each side of the
+// diff is highlighted as a whole so multi-line strings and comments keep
+// their colours; hunk rows carry plain text in `label`.
+function buildDiff(code, options, highlight) {
+  const rows = diffRows(code, options);
+  const sides = { old: [], new: [] };
+  rows.forEach((row) => {
+    if (row.kind === 'del' || row.kind === 'context') row.oldIndex = sides.old.push(row.text) - 1;
+    if (row.kind === 'add' || row.kind === 'context') row.newIndex = sides.new.push(row.text) - 1;
+  });
+
+  const oldLines = highlight(sides.old.join('\n'));
+  const newLines = highlight(sides.new.join('\n'));
+
+  return rows.map((row) => {
+    if (row.kind === 'hunk') {
+      return { kind: 'hunk', label: row.text };
+    }
+    return {
+      kind: row.kind,
+      number: row.kind === 'del' ? row.oldNumber : row.newNumber,
+      sign: { add: '+', del: '-', context: ' ' }[row.kind],
+      content: row.kind === 'del' ? oldLines[row.oldIndex] : newLines[row.newIndex]
+    };
+  });
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  diffSnippets,
+  diffSource,
+  buildDiff
+};
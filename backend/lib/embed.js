@@ -0,0 +1,78 @@
+const { escapeHTML } = require('./highlighter');
+
+// Link previews for shared snippets: Open Graph and Twitter Card tags for
+// the /s/:id page, and oEmbed responses, both pointing at /s/:id.png so
+// Slack, Discord, Notion and co. unfurl the link as the code image.
+
+const PROVIDER_NAME = 'Carbon Code Generator';
+const DESCRIPTION_LENGTH = 200;
+
+// The first few lines of code, collapsed onto one line
+function describeCode(code) {
+  const text = code.split('\n').map((line) => line.trim()).filter(Boolean).join(' ');
+  return text.length > DESCRIPTION_LENGTH ? `${text.slice(0, DESCRIPTION_LENGTH - 1)}…` : text;
+}
+
+// <head> tags for a snippet page. image is { url, width, height, type }.
+function previewTags({ title, description, pageUrl, oembedUrl, image }) {
+  const meta = (attribute, name, content) => `<meta ${attribute}="${name}" content="${escapeHTML(content)}">`;
+  return [
+    `<title>${escapeHTML(title)}</title>`,
+    meta('name', 'description', description),
+    meta('property', 'og:type', 'website'),
+    meta('property', 'og:site_name', PROVIDER_NAME),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', pageUrl),
+    meta('property', 'og:image', image.url),
+    meta('property', 'og:image:type', image.type),
+    meta('property', 'og:image:width', image.width),
+    meta('property', 'og:image:height', image.height),
+    meta('property', 'og:image:alt', title),
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', image.url),
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHTML(oembedUrl)}" title="${escapeHTML(title)}">`
+  ].join('\n    ');
+}
+
+// Swaps the page's <title> for the preview tags
+function withPreviewTags(html, tags) {
+  return html.replace(/<title>[^<]*<\/title>/, () => tags);
+}
+
+// Display size within the consumer's maxwidth/maxheight, keeping the ratio;
+// the image itself stays the same
+function fitSize({ width, height }, { maxWidth, maxHeight }) {
+  const ratio = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+  return { width: Math.max(1, Math.round(width * ratio)), height: Math.max(1, Math.round(height * ratio)) };
+}
+
+// oEmbed 1.0 "photo" response. html is included too, for consumers that
+// only embed markup (as they would for a "rich" response).
+function oembedResponse({ title, pageUrl, providerUrl, image, maxWidth, maxHeight, cacheAge }) {
+  const { width, height } = fitSize(image, { maxWidth, maxHeight });
+  return {
+    version: '1.0',
+    type: 'photo',
+    title,
+    provider_name: PROVIDER_NAME,
+    provider_url: providerUrl,
+    url: image.url,
+    width,
+    height,
+    html: `<a href="${escapeHTML(pageUrl)}"><img src="${escapeHTML(image.url)}" width="${width}" height="${height}" alt="${escapeHTML(title)}"></a>`,
+    thumbnail_url: image.url,
+    thumbnail_width: width,
+    thumbnail_height: height,
+    cache_age: cacheAge
+  };
+}
+
+module.exports = {
+  describeCode,
+  previewTags,
+  withPreviewTags,
+  oembedResponse
+};
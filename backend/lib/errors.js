@@ -0,0 +1,14 @@
+// Errors that map onto a specific HTTP response instead of a generic 500
+class RenderError extends Error {
+  constructor(message, { status = 500, code, details } = {}) {
+    super(message);
+    this.name = 'RenderError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  RenderError
+};
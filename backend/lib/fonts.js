@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+
+// Font registry. Renders never fetch fonts from the network: the families
+// bundled through @fontsource packages, plus anything dropped into the
+// fonts folder (one sub-folder per family), are inlined as @font-face
+// data URLs into the page or SVG being rendered.
+
+const BUNDLED_PACKAGES = [
+  '@fontsource/fira-code',
+  '@fontsource/jetbrains-mono',
+  '@fontsource/source-code-pro',
+  '@fontsource/cascadia-code'
+];
+
+const FONT_FORMATS = {
+  '.woff2': 'woff2',
+  '.woff': 'woff',
+  '.ttf': 'truetype',
+  '.otf': 'opentype'
+};
+
+const WEIGHT_NAMES = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900
+};
+
+// Faces the templates use: body text, the window title and keywords, and
+// italic comments. The nearest available weight stands in for each.
+const WANTED_FACES = [
+  { weight: 400, style: 'normal' },
+  { weight: 500, style: 'normal' },
+  { weight: 600, style: 'normal' },
+  { weight: 400, style: 'italic' }
+];
+
+// Drop-in folders are re-read at most this often
+const REFRESH_MS = 10000;
+
+function slugify(family) {
+  return family.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// "U+0000-00FF,U+0131" -> [[0x0, 0xff], [0x131, 0x131]]
+function parseUnicodeRange(range) {
+  return range.split(',').map((part) => {
+    const [start, end = start] = part.trim().replace(/^U\+/i, '').split('-');
+    return [parseInt(start, 16), parseInt(end, 16)];
+  });
+}
+
+// Weight and style from a file name such as "MyFont-SemiBoldItalic.ttf";
+// variable fonts ("MyFont[wght].ttf") cover the whole weight range
+function parseFaceName(file) {
+  const name = path.basename(file, path.extname(file)).toLowerCase();
+  const style = /italic|oblique/.test(name) ? 'italic' : 'normal';
+  if (/\[.*wght.*\]|variable|-vf\b/.test(name)) {
+    return { weight: [100, 900], style };
+  }
+
+  const numeric = /(?:^|[^0-9])([1-9]00)(?:[^0-9]|$)/.exec(name);
+  if (numeric) {
+    return { weight: [parseInt(numeric[1], 10), parseInt(numeric[1], 10)], style };
+  }
+
+  const compact = name.replace(/[^a-z]/g, '');
+  const named = Object.keys(WEIGHT_NAMES)
+    .sort((a, b) => b.length - a.length)
+    .find((key) => compact.includes(key));
+  const weight = named ? WEIGHT_NAMES[named] : 400;
+  return { weight: [weight, weight], style };
+}
+
+class FontRegistry {
+  constructor({ packages = BUNDLED_PACKAGES, dir } = {}) {
+    this.dir = dir;
+    this.bundled = this.loadPackages(packages);
+    this.custom = new Map();
+    this.refreshedAt = 0;
+    this.dataURLs = new Map();
+  }
+
+  loadPackages(packages) {
+    const families = new Map();
+    packages.forEach((name) => {
+      let root;
+      try {
+        root = path.dirname(require.resolve(`${name}/package.json`));
+      } catch (error) {
+        console.warn(`⚠️ Font package ${name} is not installed`);
+        return;
+      }
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(root, 'metadata.json'), 'utf8'));
+      const ranges = JSON.parse(fs.readFileSync(path.join(root, 'unicode.json'), 'utf8'));
+      const faces = [];
+      metadata.subsets.forEach((subset) => {
+        metadata.weights.forEach((weight) => {
+          metadata.styles.forEach((style) => {
+            const file = path.join(root, 'files', `${metadata.id}-${subset}-${weight}-${style}.woff2`);
+            if (!fs.existsSync(file)) return;
+            faces.push({
+              weight: [weight, weight],
+              style,
+              file,
+              format: 'woff2',
+              unicodeRange: ranges[subset] || null
+            });
+          });
+        });
+      });
+
+      families.set(metadata.family, { id: metadata.id, family: metadata.family, source: 'bundled', faces });
+    });
+    return families;
+  }
+
+  // Re-reads the drop-in folder: <dir>/<Family Name>/<font files>
+  refresh() {
+    if (Date.now() - this.refreshedAt < REFRESH_MS) return;
+    this.refreshedAt = Date.now();
+
+    const custom = new Map();
+    let entries = [];
+    try {
+      entries = fs.readdirSync(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️ Could not read fonts folder: ${error.message}`);
+    }
+
+    entries
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const familyDir = path.join(this.dir, entry.name);
+        const faces = fs.readdirSync(familyDir)
+          .filter((file) => FONT_FORMATS[path.extname(file).toLowerCase()])
+          .sort()
+          .map((file) => ({
+            ...parseFaceName(file),
+            file: path.join(familyDir, file),
+            format: FONT_FORMATS[path.extname(file).toLowerCase()],
+            unicodeRange: null
+          }));
+        if (faces.length) {
+          custom.set(entry.name, { id: slugify(entry.name), family: entry.name, source: 'custom', faces });
+        }
+      });
+
+    this.custom = custom;
+  }
+
+  // Drop-in fonts override a bundled family of the same name
+  families() {
+    this.refresh();
+    return [...new Map([...this.bundled, ...this.custom]).values()];
+  }
+
+  get(family) {
+    this.refresh();
+    return this.custom.get(family) || this.bundled.get(family) || null;
+  }
+
+  has(family) {
+    return !!this.get(family);
+  }
+
+  list() {
+    return this.families().map(({ id, family, source, faces }) => ({
+      id,
+      family,
+      source,
+      weights: [...new Set(faces.map(({ weight }) => (weight[0] === weight[1] ? weight[0] : weight.join('-'))))],
+      styles: [...new Set(faces.map((face) => face.style))],
+      files: [...new Set(faces.map((face) => path.basename(face.file)))]
+        .map((file) => `/api/fonts/${id}/${encodeURIComponent(file)}`)
+    }));
+  }
+
+  // Absolute path of one of a family's files, for serving it
+  filePath(id, file) {
+    const font = this.families().find((entry) => entry.id === id);
+    const face = font && font.faces.find((entry) => path.basename(entry.file) === file);
+    return face ? face.file : null;
+  }
+
+  // The faces to embed for `text`: the nearest weight for each wanted face,
+  // in every unicode subset that `text` actually uses (all of them for null)
+  pickFaces(font, text) {
+    const codePoints = text === null ? [] : [...new Set(Array.from(text, (char) => char.codePointAt(0)))];
+    const usesRange = (range) => !range || text === null || parseUnicodeRange(range)
+      .some(([start, end]) => codePoints.some((point) => point >= start && point <= end));
+
+    const picked = new Set();
+    WANTED_FACES.forEach(({ weight, style }) => {
+      const candidates = font.faces.filter((face) => face.style === style);
+      if (!candidates.length) return;
+      const distance = (face) => Math.max(0, face.weight[0] - weight, weight - face.weight[1]);
+      const best = Math.min(...candidates.map(distance));
+      candidates
+        .filter((face) => distance(face) === best && usesRange(face.unicodeRange))
+        .forEach((face) => picked.add(face));
+    });
+    return [...picked];
+  }
+
+  // Font files for the faces `text` needs, for renderers that load files
+  // rather than CSS (see lib/rasterizer.js)
+  faceFiles(family, text = '') {
+    const font = this.get(family);
+    return font ? this.pickFaces(font, `${text}0123456789`).map((face) => face.file) : [];
+  }
+
+  fileURL(font, face) {
+    return `/api/fonts/${font.id}/${encodeURIComponent(path.basename(face.file))}`;
+  }
+
+  dataURL(face) {
+    if (!this.dataURLs.has(face.file)) {
+      const mime = face.format === 'truetype' ? 'font/ttf' : face.format === 'opentype' ? 'font/otf' : `font/${face.format}`;
+      this.dataURLs.set(face.file, `data:${mime};base64,${fs.readFileSync(face.file).toString('base64')}`);
+    }
+    return this.dataURLs.get(face.file);
+  }
+
+  // @font-face rules with the font inlined, so rendering needs no network.
+  // With inline: false they link the files under /api/fonts instead, every
+  // subset included; browsers only fetch the ones the page uses.
+  fontFaceCSS(family, text = '', { inline = true } = {}) {
+    const font = this.get(family);
+    if (!font) return '';
+
+    // Line numbers are always drawn, whatever script the code is in
+    return this.pickFaces(font, inline ? `${text}0123456789` : null)
+      .map((face) => [
+        '@font-face {',
+        `  font-family: '${font.family.replace(/'/g, '')}';`,
+        `  font-style: ${face.style};`,
+        `  font-weight: ${face.weight[0] === face.weight[1] ? face.weight[0] : face.weight.join(' ')};`,
+        '  font-display: block;',
+        `  src: url("${inline ? this.dataURL(face) : this.fileURL(font, face)}") format("${face.format}");`,
+        face.unicodeRange ? `  unicode-range: ${face.unicodeRange};` : null,
+        '}'
+      ].filter(Boolean).join('\n'))
+      .join('\n');
+  }
+}
+
+const fonts = new FontRegistry({
+  dir: process.env.FONTS_DIR || path.join(__dirname, '..', 'fonts')
+});
+
+module.exports = {
+  FontRegistry,
+  fonts
+};
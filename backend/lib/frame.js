@@ -0,0 +1,147 @@
+const { escapeHTML } = require('./highlighter');
+
+// Frame options shared by the HTML template and the SVG renderer: the
+// padded background around the window, its shadow and corners, and the
+// window chrome. Both renderers lay out the same frame from resolveFrame().
+
+const VIEWPORT_WIDTH = 1200;
+const CONTAINER_MAX_WIDTH = 900;
+const MAX_PADDING = 256;
+const WINDOW_STYLES = ['mac', 'windows', 'none'];
+const GRADIENT_TYPES = ['linear', 'radial'];
+const BACKGROUND_IMAGE_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+// Shadow colour and vertical offset (as a share of the blur) of the default 0 20px 60px shadow
+const SHADOW_COLOR = 'rgba(0, 0, 0, 0.3)';
+const SHADOW_OFFSET = 1 / 3;
+
+function toPixels(value, fallback) {
+  const match = /^(\d+(?:\.\d+)?)(px|em|rem)?$/.exec(String(value === undefined ? '' : value).trim());
+  if (!match) return fallback;
+  const number = parseFloat(match[1]);
+  return match[2] === 'em' || match[2] === 'rem' ? number * 16 : number;
+}
+
+// Background precedence: image, then gradient, then colour
+function resolveBackground(options, themeColors) {
+  const { backgroundImage, backgroundGradient, backgroundColor = '#262424' } = options;
+  if (backgroundImage) {
+    return { type: 'image', image: backgroundImage };
+  }
+  if (backgroundGradient) {
+    return {
+      type: backgroundGradient.type || 'linear',
+      angle: parseFloat(backgroundGradient.angle) || 0,
+      colors: backgroundGradient.colors
+    };
+  }
+  if (backgroundColor === 'transparent') {
+    // Without a backdrop the translucent window needs the theme colour behind it
+    return { type: 'transparent', windowColor: themeColors.background };
+  }
+  return { type: 'solid', color: backgroundColor };
+}
+
+function resolveFrame(options, themeColors, language) {
+  const {
+    padding = '40px',
+    showWindowControls = true,
+    windowStyle = showWindowControls ? 'mac' : 'none',
+    windowTitle,
+    radius = 12,
+    shadow = 60
+  } = options;
+
+  const paddingPx = Math.min(MAX_PADDING, toPixels(padding, 40));
+  return {
+    padding: paddingPx,
+    containerWidth: Math.min(CONTAINER_MAX_WIDTH, VIEWPORT_WIDTH - paddingPx * 2),
+    radius: Math.max(0, parseFloat(radius) || 0),
+    shadow: Math.max(0, parseFloat(shadow) || 0),
+    windowStyle: WINDOW_STYLES.includes(windowStyle) ? windowStyle : 'mac',
+    title: windowTitle !== undefined ? String(windowTitle) : `${language.toUpperCase()} • Carbon Generator`,
+    background: resolveBackground(options, themeColors)
+  };
+}
+
+function backgroundCSS(background) {
+  switch (background.type) {
+    case 'image':
+      return `url("${background.image}") center / cover no-repeat`;
+    case 'linear':
+      return `linear-gradient(${background.angle}deg, ${background.colors.join(', ')})`;
+    case 'radial':
+      return `radial-gradient(circle farthest-corner at center, ${background.colors.join(', ')})`;
+    case 'transparent':
+      return 'transparent';
+    default:
+      return background.color;
+  }
+}
+
+function shadowCSS(shadow) {
+  return shadow ? `0 ${Math.round(shadow * SHADOW_OFFSET)}px ${shadow}px ${SHADOW_COLOR}` : 'none';
+}
+
+// SVG paint server for the frame background, placed in <defs>. Gradients
+// follow the CSS gradient geometry so both outputs match.
+function backgroundDefs(background, width, height) {
+  const stops = (background.colors || [])
+    .map((color, i, all) => `<stop offset="${all.length > 1 ? i / (all.length - 1) : 0}" stop-color="${escapeHTML(color)}"/>`)
+    .join('');
+
+  if (background.type === 'linear') {
+    const angle = (background.angle * Math.PI) / 180;
+    const length = Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle));
+    const dx = (Math.sin(angle) * length) / 2;
+    const dy = (-Math.cos(angle) * length) / 2;
+    const round = (n) => Math.round(n * 100) / 100;
+    return `<linearGradient id="frame-bg" gradientUnits="userSpaceOnUse" x1="${round(width / 2 - dx)}" y1="${round(height / 2 - dy)}" `
+      + `x2="${round(width / 2 + dx)}" y2="${round(height / 2 + dy)}">${stops}</linearGradient>`;
+  }
+  if (background.type === 'radial') {
+    const r = Math.round(Math.hypot(width / 2, height / 2) * 100) / 100;
+    return `<radialGradient id="frame-bg" gradientUnits="userSpaceOnUse" cx="${width / 2}" cy="${height / 2}" r="${r}">${stops}</radialGradient>`;
+  }
+  return '';
+}
+
+function backgroundSVG(background, width, height) {
+  switch (background.type) {
+    case 'image':
+      return `<image href="${background.image}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice"/>`;
+    case 'linear':
+    case 'radial':
+      return `<rect width="${width}" height="${height}" fill="url(#frame-bg)"/>`;
+    case 'transparent':
+      return '';
+    default:
+      return `<rect width="${width}" height="${height}" fill="${escapeHTML(background.color)}"/>`;
+  }
+}
+
+// Windows-style caption buttons, drawn as 10x10 strokes in both outputs
+const WINDOWS_BUTTONS = {
+  minimize: 'M0 5.5H10',
+  maximize: 'M0.5 0.5H9.5V9.5H0.5Z',
+  close: 'M0 0L10 10M10 0L0 10'
+};
+const WINDOWS_BUTTON_SIZE = 10;
+const WINDOWS_BUTTON_GAP = 18;
+
+module.exports = {
+  MAX_PADDING,
+  WINDOW_STYLES,
+  GRADIENT_TYPES,
+  BACKGROUND_IMAGE_PATTERN,
+  SHADOW_COLOR,
+  SHADOW_OFFSET,
+  WINDOWS_BUTTONS,
+  WINDOWS_BUTTON_SIZE,
+  WINDOWS_BUTTON_GAP,
+  toPixels,
+  resolveFrame,
+  backgroundCSS,
+  shadowCSS,
+  backgroundDefs,
+  backgroundSVG
+};
@@ -0,0 +1,337 @@
+// Minimal animated GIF encoder. All frames share one palette, built by
+// median cut over their colors, so text keeps the same shade from frame to
+// frame. Frames are cropped to the area that changed since the previous
+// one, and frames that did not change just extend the previous delay.
+
+const MAX_CODE = 4096;
+
+// Colors are bucketed at 5 bits per channel while building the palette
+function bucketOf(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function boxStats(box, counts) {
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  let population = 0;
+  box.buckets.forEach((bucket) => {
+    const channels = [bucket >> 10, (bucket >> 5) & 31, bucket & 31];
+    channels.forEach((value, c) => {
+      if (value < min[c]) min[c] = value;
+      if (value > max[c]) max[c] = value;
+    });
+    population += counts[bucket];
+  });
+  return { ...box, min, max, population };
+}
+
+function medianCut(counts, sums, size) {
+  const used = [];
+  counts.forEach((count, bucket) => {
+    if (count) used.push(bucket);
+  });
+  if (!used.length) return [[0, 0, 0]];
+
+  let boxes = [boxStats({ buckets: used }, counts)];
+  while (boxes.length < size) {
+    // Split the box with the most pixels times the widest spread
+    let pick = -1;
+    let best = 0;
+    boxes.forEach((box, i) => {
+      const spread = Math.max(...box.max.map((value, c) => value - box.min[c]));
+      const score = spread * box.population;
+      if (box.buckets.length > 1 && score > best) {
+        best = score;
+        pick = i;
+      }
+    });
+    if (pick === -1) break;
+
+    const box = boxes[pick];
+    const spreads = box.max.map((value, c) => value - box.min[c]);
+    const channel = spreads.indexOf(Math.max(...spreads));
+    const shift = [10, 5, 0][channel];
+    const sorted = [...box.buckets].sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+    let seen = 0;
+    let cut = 1;
+    for (let i = 0; i < sorted.length - 1; i++) {
+      seen += counts[sorted[i]];
+      cut = i + 1;
+      if (seen >= box.population / 2) break;
+    }
+    boxes = [
+      ...boxes.slice(0, pick),
+      boxStats({ buckets: sorted.slice(0, cut) }, counts),
+      boxStats({ buckets: sorted.slice(cut) }, counts),
+      ...boxes.slice(pick + 1)
+    ];
+  }
+
+  return boxes.map((box) => {
+    const total = [0, 0, 0];
+    box.buckets.forEach((bucket) => {
+      total[0] += sums[bucket * 3];
+      total[1] += sums[bucket * 3 + 1];
+      total[2] += sums[bucket * 3 + 2];
+    });
+    return total.map((sum) => Math.round(sum / box.population));
+  });
+}
+
+// Most pixels looked at while building a palette; larger inputs are sampled
+const PALETTE_SAMPLE_PIXELS = 4000000;
+
+// Collects colors one RGBA frame at a time, so callers can decode, add and
+// drop each frame instead of holding all of them. `pixels` is the total
+// about to be added, used to pick a sampling step.
+class PaletteBuilder {
+  constructor({ size = 256, pixels = 0 } = {}) {
+    this.size = size;
+    this.step = Math.max(1, Math.floor(pixels / PALETTE_SAMPLE_PIXELS));
+    this.counts = new Uint32Array(32768);
+    this.sums = new Float64Array(32768 * 3);
+    this.exact = new Set();
+  }
+
+  add(data) {
+    const { counts, sums, exact } = this;
+    for (let i = 0; i < data.length; i += 4 * this.step) {
+      if (data[i + 3] < 128) continue;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const bucket = bucketOf(r, g, b);
+      counts[bucket]++;
+      sums[bucket * 3] += r;
+      sums[bucket * 3 + 1] += g;
+      sums[bucket * 3 + 2] += b;
+      if (exact.size <= 256) exact.add((r << 16) | (g << 8) | b);
+    }
+  }
+
+  // Up to `size` colors. When the frames use few enough colors those are
+  // kept exactly, otherwise they come from median cut.
+  palette() {
+    if (this.exact.size <= this.size) {
+      return [...this.exact].map((color) => [color >> 16, (color >> 8) & 0xff, color & 0xff]);
+    }
+    return medianCut(this.counts, this.sums, this.size);
+  }
+}
+
+// Up to `size` colors from a list of RGBA frames
+function buildPalette(frames, size = 256) {
+  const builder = new PaletteBuilder({ size, pixels: frames.reduce((sum, data) => sum + data.length / 4, 0) });
+  frames.forEach((data) => builder.add(data));
+  return builder.palette();
+}
+
+function createMapper(palette, transparentIndex) {
+  const cache = new Map();
+  return (data, i) => {
+    if (transparentIndex !== null && data[i + 3] < 128) return transparentIndex;
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      palette.forEach(([r, g, b], candidate) => {
+        const distance = (r - data[i]) ** 2 + (g - data[i + 1]) ** 2 + (b - data[i + 2]) ** 2;
+        if (distance < best) {
+          best = distance;
+          index = candidate;
+        }
+      });
+      cache.set(key, index);
+    }
+    return index;
+  };
+}
+
+// Bounding box of the pixels that differ, or null when none do
+function changedArea(previous, current, width, height) {
+  let top = -1;
+  let bottom = -1;
+  let left = width;
+  let right = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (previous[row + x] === current[row + x]) continue;
+      if (top === -1) top = y;
+      bottom = y;
+      if (x < left) left = x;
+      if (x > right) right = x;
+    }
+  }
+  return top === -1 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+function crop(indices, width, area) {
+  if (area.x === 0 && area.width === width) {
+    return indices.subarray(area.y * width, (area.y + area.height) * width);
+  }
+  const out = new Uint8Array(area.width * area.height);
+  for (let y = 0; y < area.height; y++) {
+    const start = (area.y + y) * width + area.x;
+    out.set(indices.subarray(start, start + area.width), y * area.width);
+  }
+  return out;
+}
+
+// GIF flavoured LZW, packed least significant bit first into sub-blocks
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const value = indices[i];
+    const key = (current << 8) | value;
+    const found = table.get(key);
+    if (found !== undefined) {
+      current = found;
+      continue;
+    }
+
+    emit(current);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    current = value;
+  }
+  emit(current);
+  emit(endCode);
+  if (bits > 0) bytes.push(buffer & 0xff);
+
+  const blocks = [Buffer.from([minCodeSize])];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    blocks.push(Buffer.from([chunk.length]), Buffer.from(chunk));
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
+}
+
+// Frames are added one at a time so only the previous one stays in
+// memory. The palette is built up front (see PaletteBuilder) from frames
+// that between them hold every color of the animation.
+// With `transparent`, pixels below half alpha become see-through; frames
+// are then written whole, since a cropped frame cannot clear pixels.
+class GIFEncoder {
+  constructor({ width, height, palette, transparent = false, loop = 0 }) {
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    this.transparent = transparent;
+    this.loop = loop;
+    this.transparentIndex = transparent ? 255 : null;
+    this.map = createMapper(palette, this.transparentIndex);
+    this.images = [];
+    this.previous = null;
+    this.elapsed = 0;
+    // Header, color table and looping block, then 18 bytes per frame on top
+    // of its image data; lets callers stop once the GIF grows too large
+    this.size = 13 + 256 * 3 + 19 + 1;
+  }
+
+  // data: RGBA pixels; delay: how long the frame shows, in seconds
+  addFrame(data, delay) {
+    const { width, height } = this;
+    const indices = new Uint8Array(width * height);
+    for (let p = 0; p < indices.length; p++) indices[p] = this.map(data, p * 4);
+
+    // Delays are stored in hundredths of a second; rounding the running
+    // total keeps long animations from drifting
+    const start = Math.round(this.elapsed * 100);
+    this.elapsed += delay;
+    const centiseconds = Math.round(this.elapsed * 100) - start;
+
+    const area = this.previous && !this.transparent
+      ? changedArea(this.previous, indices, width, height)
+      : { x: 0, y: 0, width, height };
+    if (!area) {
+      this.images[this.images.length - 1].delay += centiseconds;
+      return;
+    }
+    const image = { area, data: lzwEncode(crop(indices, width, area), 8), delay: centiseconds };
+    this.images.push(image);
+    this.size += 18 + image.data.length;
+    this.previous = indices;
+  }
+
+  get frameCount() {
+    return this.images.length;
+  }
+
+  finish() {
+    const parts = [];
+    const header = Buffer.alloc(13);
+    header.write('GIF89a', 0, 'latin1');
+    header.writeUInt16LE(this.width, 6);
+    header.writeUInt16LE(this.height, 8);
+    header[10] = 0xf7; // global color table of 256 entries
+    parts.push(header);
+
+    const colors = Buffer.alloc(256 * 3);
+    this.palette.forEach(([r, g, b], i) => {
+      colors[i * 3] = r;
+      colors[i * 3 + 1] = g;
+      colors[i * 3 + 2] = b;
+    });
+    parts.push(colors);
+
+    const looping = Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'latin1'), 0x03, 0x01, 0, 0, 0]);
+    looping.writeUInt16LE(this.loop, 16);
+    parts.push(looping);
+
+    this.images.forEach(({ area, data, delay }) => {
+      const control = Buffer.from([0x21, 0xf9, 0x04, 0, 0, 0, 0, 0]);
+      // Disposal 2 clears to transparent, 1 leaves the frame for the next one to draw over
+      control[3] = this.transparent ? (2 << 2) | 1 : 1 << 2;
+      control.writeUInt16LE(Math.min(delay, 0xffff), 4);
+      control[6] = this.transparent ? this.transparentIndex : 0;
+
+      const descriptor = Buffer.alloc(10);
+      descriptor[0] = 0x2c;
+      descriptor.writeUInt16LE(area.x, 1);
+      descriptor.writeUInt16LE(area.y, 3);
+      descriptor.writeUInt16LE(area.width, 5);
+      descriptor.writeUInt16LE(area.height, 7);
+
+      parts.push(control, descriptor, data);
+    });
+
+    parts.push(Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+  }
+}
+
+module.exports = {
+  PaletteBuilder,
+  buildPalette,
+  GIFEncoder
+};
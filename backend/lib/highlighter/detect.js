@@ -0,0 +1,234 @@
+// Scores a snippet against every supported language using shebangs,
+// keywords and characteristic syntax. Each signal is [pattern, weight];
+// repeated matches count up to MAX_HITS times.
+const MAX_HITS = 3;
+
+const SHEBANGS = [
+  [/^#!.*\b(?:node|deno|bun)\b/, 'javascript'],
+  [/^#!.*\b(?:ts-node|tsx)\b/, 'typescript'],
+  [/^#!.*\bpython[\d.]*\b/, 'python'],
+  [/^#!.*\bruby\b/, 'ruby'],
+  [/^#!.*\bphp\b/, 'php'],
+  [/^#!.*\b(?:ba|z|k|da)?sh\b/, 'shell'],
+  [/^#!.*\bswift\b/, 'swift'],
+  [/^#!.*\bkotlin\b/, 'kotlin']
+];
+
+const SIGNALS = {
+  javascript: [
+    [/\b(?:const|let|var)\s+[\w$]+\s*=/, 2],
+    [/=>/, 1],
+    [/\bfunction\s*[\w$]*\s*\(/, 2],
+    [/\bconsole\.\w+\(/, 3],
+    [/\brequire\(\s*['"]/, 3],
+    [/^[ \t]*import\s+.+\s+from\s+['"]/m, 2],
+    [/\bmodule\.exports\b|\bexport\s+default\b/, 3],
+    [/\b(?:document|window)\.\w+/, 2],
+    [/===|!==/, 2],
+    [/\bundefined\b|\bnull\b/, 1],
+    [/\basync\s+function\b|\bawait\s+\w+/, 1]
+  ],
+  // TypeScript also collects the JavaScript score (see EXTENDS)
+  typescript: [
+    [/[\w)]\s*:\s*(?:string|number|boolean|any|void|unknown|never)\b/, 4],
+    [/\binterface\s+\w+\s*(?:extends\s+[\w, ]+)?\{/, 3],
+    [/^[ \t]*(?:export\s+)?type\s+\w+(?:<[^>]*>)?\s*=/m, 3],
+    [/\b(?:public|private|protected|readonly)\s+\w+\s*[:?]/, 3],
+    [/\bas\s+(?:const|string|number|any|unknown)\b/, 2],
+    [/^[ \t]*(?:export\s+)?enum\s+\w+\s*\{/m, 2],
+    [/\bimplements\s+\w+/, 1]
+  ],
+  python: [
+    [/^[ \t]*def\s+\w+\s*\(.*\)\s*(?:->\s*[^:]+)?:[ \t]*$/m, 5],
+    [/^[ \t]*class\s+\w+(?:\(.*\))?:[ \t]*$/m, 4],
+    [/^[ \t]*(?:elif\b.*|else|try|except\b.*|finally):[ \t]*$/m, 3],
+    [/^[ \t]*from\s+[\w.]+\s+import\s+/m, 3],
+    [/\bself\.\w+/, 2],
+    [/\b(?:None|True|False)\b/, 2],
+    [/"""|'''/, 2],
+    [/\bif\s+__name__\s*==\s*['"]__main__['"]/, 5],
+    [/\bprint\(/, 1],
+    [/^[ \t]*@\w+/m, 1]
+  ],
+  java: [
+    [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|interface|enum|void)\b/, 4],
+    [/\bSystem\.out\.print/, 5],
+    [/\bString\[\]\s+\w+/, 5],
+    [/^[ \t]*package\s+[\w.]+;/m, 4],
+    [/^[ \t]*import\s+(?:static\s+)?java\w*\./m, 5],
+    [/@Override\b/, 3],
+    [/\b(?:private|protected)\s+(?:static\s+)?(?:final\s+)?[A-Z]\w*(?:<[^>]*>)?\s+\w+\s*[;=]/, 3],
+    [/\bnew\s+[A-Z]\w*(?:<[^>]*>)?\(/, 1]
+  ],
+  cpp: [
+    [/^[ \t]*#\s*include\s*[<"]/m, 5],
+    [/\bstd::/, 4],
+    [/\b(?:cout|cerr)\s*<</, 4],
+    [/\btemplate\s*</, 3],
+    [/\bint\s+main\s*\(/, 3],
+    [/\b(?:nullptr|unsigned|typedef|sizeof)\b/, 2],
+    [/^[ \t]*(?:struct|class)\s+\w+\s*\{/m, 1],
+    [/\bprintf\s*\(/, 2],
+    [/\w+::\w+/, 1]
+  ],
+  go: [
+    [/^[ \t]*package\s+\w+[ \t]*$/m, 4],
+    [/\bfunc\s+(?:\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 5],
+    [/:=/, 2],
+    [/\bfmt\.\w+/, 4],
+    [/^[ \t]*import\s*\(/m, 3],
+    [/\berr\s*!=\s*nil\b/, 5],
+    [/\bchan\b|\bgo\s+func\b|\bdefer\b/, 3],
+    [/\btype\s+\w+\s+struct\s*\{/, 4]
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*(?:<[^>]*>)?\(/, 4],
+    [/\blet\s+mut\b/, 5],
+    [/\b\w+!\(/, 2],
+    [/^[ \t]*impl\b/m, 3],
+    [/^[ \t]*(?:pub\s+)?use\s+\w+::/m, 3],
+    [/&'\w+|&mut\b/, 4],
+    [/\b(?:Some|Ok|Err)\(/, 2],
+    [/->\s*(?:Self|Result|Option|String|[iu](?:8|16|32|64|size)|bool)\b/, 3],
+    [/#\[derive\(/, 5]
+  ],
+  php: [
+    [/<\?php/, 10],
+    [/\$\w+\s*=/, 3],
+    [/\$this->/, 5],
+    [/\bfunction\s+\w+\s*\(\s*(?:\??\w+\s+)?\$/, 4],
+    [/\becho\s/, 1],
+    [/^[ \t]*namespace\s+[\w\\]+;/m, 4],
+    [/\barray\(/, 2]
+  ],
+  ruby: [
+    [/^[ \t]*def\s+(?:self\.)?\w+[?!]?\s*(?:\(.*\))?[ \t]*$/m, 4],
+    [/^[ \t]*end[ \t]*$/m, 3],
+    [/\bputs\b/, 3],
+    [/^[ \t]*require(?:_relative)?\s+['"]/m, 2],
+    [/:\w+\s*=>/, 3],
+    [/\bdo\s*\|[^|]*\|/, 4],
+    [/\.each\b/, 2],
+    [/\battr_(?:accessor|reader|writer)\b/, 5],
+    [/\belsif\b/, 4],
+    [/\bnil\b/, 2],
+    [/@\w+/, 1]
+  ],
+  html: [
+    [/<!DOCTYPE\s+html>/i, 10],
+    [/<\/?(?:html|head|body|div|span|p|a|ul|ol|li|img|script|style|meta|link|section|header|footer|table|form|input|button)\b[^>]*>/i, 3],
+    [/<\/\w+>/, 2],
+    [/\s(?:class|id|href|src)="[^"]*"/, 2]
+  ],
+  css: [
+    [/^[ \t]*[.#*\w:-][^{};()=\n]*\{[ \t]*$/m, 2],
+    [/^[ \t]*[\w-]+\s*:\s*[^;{}\n]+;[ \t]*$/m, 3],
+    [/@(?:media|import|keyframes|font-face|supports)\b/, 4],
+    [/#[\da-fA-F]{3,8}\b/, 2],
+    [/\b\d+(?:px|em|rem|vh|vw|%)/, 2],
+    [/:(?:hover|focus|active|root|nth-child)\b/, 3]
+  ],
+  swift: [
+    [/\bfunc\s+\w+\s*(?:<[^>]*>)?\(/, 3],
+    [/\bvar\s+\w+\s*:\s*\w+/, 2],
+    [/^[ \t]*import\s+(?:UIKit|Foundation|SwiftUI|Combine)\b/m, 6],
+    [/\bguard\s+let\b|\bif\s+let\b/, 5],
+    [/^[ \t]*(?:struct|protocol|extension)\s+\w+/m, 2],
+    [/@(?:State|Published|Binding|main|objc|escaping)\b/, 4],
+    [/\)\s*->\s*\w+\s*\{/, 1],
+    [/\blet\s+\w+\s*[:=]/, 1]
+  ],
+  kotlin: [
+    [/\bfun\s+(?:<[^>]*>\s*)?[\w.]+\s*\(/, 4],
+    [/\bval\s+\w+/, 3],
+    [/\bprintln\(/, 2],
+    [/\bdata\s+class\b/, 5],
+    [/\bcompanion\s+object\b/, 5],
+    [/\bwhen\s*(?:\(.*\))?\s*\{/, 3],
+    [/\?:|!!\.|\?\./, 2],
+    [/^[ \t]*package\s+[\w.]+[ \t]*$/m, 1]
+  ],
+  shell: [
+    [/^[ \t]*(?:echo|export|cd|sudo|apt(?:-get)?|npm|yarn|git|curl|wget|mkdir|chmod|rm|source)\b/m, 3],
+    [/\$\{\w+[^}]*\}|\$\w+/, 1],
+    [/^[ \t]*(?:fi|done|esac)[ \t]*$/m, 4],
+    [/;\s*then\b|;\s*do\b/, 3],
+    [/\[\[.*\]\]/, 3],
+    [/^[ \t]*\w+=\S/m, 1],
+    [/\|\s*(?:grep|awk|sed|xargs|sort|head|tail|wc)\b/, 4],
+    [/\s--?[a-z][\w-]*/, 1]
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 6],
+    [/\b(?:INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(?:TABLE|INDEX|VIEW)|ALTER\s+TABLE|DROP\s+TABLE)\b/i, 6],
+    [/\b(?:WHERE|INNER\s+JOIN|LEFT\s+JOIN|GROUP\s+BY|ORDER\s+BY|HAVING)\b/i, 2],
+    [/\b(?:VARCHAR|PRIMARY\s+KEY|FOREIGN\s+KEY|NOT\s+NULL)\b/i, 3],
+    [/^[ \t]*--\s/m, 1]
+  ]
+};
+
+const EXTENDS = { typescript: 'javascript' };
+
+// Global copies so every occurrence can be counted
+const compiledSignals = Object.fromEntries(
+  Object.entries(SIGNALS).map(([language, signals]) => [
+    language,
+    signals.map(([pattern, weight]) => [
+      new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g'),
+      weight
+    ])
+  ])
+);
+
+function scoreSignals(code, signals) {
+  return signals.reduce((score, [regex, weight]) => {
+    regex.lastIndex = 0;
+    let hits = 0;
+    while (hits < MAX_HITS && regex.exec(code)) hits += 1;
+    return score + hits * weight;
+  }, 0);
+}
+
+function scoreLanguages(code) {
+  const raw = {};
+  Object.entries(compiledSignals).forEach(([language, signals]) => {
+    raw[language] = scoreSignals(code, signals);
+  });
+
+  const scores = { ...raw };
+  Object.entries(EXTENDS).forEach(([language, base]) => {
+    // A superset language only wins when its own signals fire
+    if (raw[language] > 0) scores[language] = raw[language] + raw[base];
+  });
+
+  return scores;
+}
+
+function detectLanguage(code) {
+  const source = String(code || '');
+  const firstLine = source.trimStart().split('\n', 1)[0];
+
+  const shebang = SHEBANGS.find(([pattern]) => pattern.test(firstLine));
+  if (shebang) {
+    return { language: shebang[1], confidence: 1, scores: {} };
+  }
+
+  const scores = scoreLanguages(source);
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+
+  if (!best || best[1] === 0) {
+    return { language: 'plaintext', confidence: 0, scores };
+  }
+
+  // Confident when the winner is both strong and clearly ahead
+  const strength = Math.min(1, best[1] / 15);
+  const margin = (best[1] - (second ? second[1] : 0)) / best[1];
+  const confidence = Math.round(strength * (0.5 + margin / 2) * 100) / 100;
+
+  return { language: best[0], confidence, scores };
+}
+
+module.exports = {
+  detectLanguage
+};
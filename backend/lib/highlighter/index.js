@@ -0,0 +1,141 @@
+const languages = require('./languages');
+const { detectLanguage } = require('./detect');
+
+// Grammar rules are compiled once into sticky regexes so the tokenizer can
+// try every rule at the current offset without rescanning the input
+const compiled = new WeakMap();
+
+function compileGrammar(grammar) {
+  if (compiled.has(grammar)) return compiled.get(grammar);
+
+  const rules = grammar.rules.map((rule) => {
+    const flags = rule.pattern.flags.replace(/[gy]/g, '') + 'y';
+    return { ...rule, regex: new RegExp(rule.pattern.source, flags) };
+  });
+
+  compiled.set(grammar, rules);
+  return rules;
+}
+
+function resolveLanguage(language) {
+  if (!language) return null;
+  const name = String(language).toLowerCase();
+  if (languages.grammars[name]) return name;
+  return languages.aliases[name] || null;
+}
+
+function getGrammar(language) {
+  const name = resolveLanguage(language);
+  return name ? languages.grammars[name] : null;
+}
+
+function tokenizeWith(grammar, code) {
+  const rules = compileGrammar(grammar);
+  const tokens = [];
+  let prev = null;
+  let plain = '';
+  let pos = 0;
+
+  const push = (token) => {
+    if (plain) {
+      tokens.push({ type: null, value: plain });
+      prev = { type: null, value: plain.trim() || prev?.value };
+      plain = '';
+    }
+    tokens.push(token);
+    if (token.value.trim()) prev = token;
+  };
+
+  while (pos < code.length) {
+    let match = null;
+    let rule;
+
+    for (rule of rules) {
+      if (rule.when && !rule.when(prev)) continue;
+      rule.regex.lastIndex = pos;
+      match = rule.regex.exec(code);
+      if (match && match[0].length > 0) break;
+      match = null;
+    }
+
+    if (!match) {
+      plain += code[pos];
+      pos += 1;
+      continue;
+    }
+
+    const value = match[0];
+    const end = pos + value.length;
+
+    if (rule.inside) {
+      const inner = typeof rule.inside === 'string' ? getGrammar(rule.inside) : rule.inside;
+      tokenizeWith(inner, value).forEach(push);
+    } else {
+      const type = typeof rule.type === 'function'
+        ? rule.type(value, { code, end, prev })
+        : rule.type;
+      push({ type: type || null, value });
+    }
+
+    pos = end;
+  }
+
+  if (plain) tokens.push({ type: null, value: plain });
+  return tokens;
+}
+
+// Flat list of { type, value } tokens; type is null for unhighlighted text
+function tokenize(code, language) {
+  const source = String(code || '').replace(/\r\n?/g, '\n');
+  const grammar = getGrammar(language);
+  if (!grammar) return source ? [{ type: null, value: source }] : [];
+  return tokenizeWith(grammar, source);
+}
+
+// Same tokens split on newlines so every line can be rendered on its own
+function tokenizeLines(code, language) {
+  const lines = [[]];
+
+  tokenize(code, language).forEach(({ type, value }) => {
+    value.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type, value: part });
+    });
+  });
+
+  return lines;
+}
+
+function escapeHTML(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function renderTokens(tokens) {
+  return tokens
+    .map(({ type, value }) => (type
+      ? `<span class="token ${type}">${escapeHTML(value)}</span>`
+      : escapeHTML(value)))
+    .join('');
+}
+
+// One HTML string per source line, with token spans already applied
+function highlightLines(code, language) {
+  return tokenizeLines(code, language).map(renderTokens);
+}
+
+module.exports = {
+  LANGUAGES: Object.keys(languages.grammars),
+  resolveLanguage,
+  detectLanguage,
+  tokenize,
+  tokenizeLines,
+  highlightLines,
+  renderTokens,
+  escapeHTML
+};
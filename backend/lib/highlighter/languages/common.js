@@ -0,0 +1,63 @@
+// Shared building blocks for the language grammars
+
+const words = (list, flags = '') => new RegExp(`\\b(?:${list.join('|')})\\b`, flags);
+
+const FUNCTION_CALL = /\s*\(/y;
+
+// Classifies a bare identifier as keyword, builtin, constant, function or class.
+// Anything followed by `(` is treated as a call, capitalised names as types.
+function identifier({
+  keywords = [],
+  builtins = [],
+  functions = [],
+  constants = [],
+  functionAfter = [],
+  classAfter = [],
+  caseInsensitive = false,
+  pattern = /[A-Za-z_$][\w$]*/
+} = {}) {
+  const normalize = (word) => (caseInsensitive ? word.toLowerCase() : word);
+  const keywordSet = new Set(keywords.map(normalize));
+  const builtinSet = new Set(builtins.map(normalize));
+  const functionSet = new Set(functions.map(normalize));
+  const constantSet = new Set(constants.map(normalize));
+
+  return {
+    pattern,
+    type(value, { code, end, prev }) {
+      const word = normalize(value);
+      if (constantSet.has(word)) return 'number';
+      if (keywordSet.has(word)) return 'keyword';
+      if (prev && functionAfter.includes(prev.value)) return 'function';
+      if (prev && classAfter.includes(prev.value)) return 'class';
+      if (builtinSet.has(word)) return 'class';
+      if (functionSet.has(word)) return 'function';
+
+      FUNCTION_CALL.lastIndex = end;
+      if (FUNCTION_CALL.test(code)) return 'function';
+      if (/^[A-Z][a-z0-9]/.test(value)) return 'class';
+      return null;
+    }
+  };
+}
+
+const rules = {
+  whitespace: { type: null, pattern: /\s+/ },
+  lineComment: { type: 'comment', pattern: /\/\/.*/ },
+  hashComment: { type: 'comment', pattern: /#.*/ },
+  blockComment: { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+  doubleString: { type: 'string', pattern: /"(?:\\[\s\S]|[^"\\\n])*"?/ },
+  singleString: { type: 'string', pattern: /'(?:\\[\s\S]|[^'\\\n])*'?/ },
+  number: {
+    type: 'number',
+    pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b|\B\.\d+(?:[eE][+-]?\d+)?\b/
+  },
+  operator: { type: 'operator', pattern: /[-+*/%=&|^!<>~?]+/ },
+  punctuation: { type: 'punctuation', pattern: /[{}()[\];:,.]/ }
+};
+
+module.exports = {
+  words,
+  identifier,
+  rules
+};
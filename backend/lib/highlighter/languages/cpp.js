@@ -0,0 +1,45 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'cpp',
+  aliases: ['c++', 'c', 'h', 'hpp', 'cc', 'cxx'],
+  rules: [
+    rules.whitespace,
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'keyword', pattern: /#\s*[a-z]+/ },
+    {
+      type: 'string',
+      pattern: /<[\w./+-]+>/,
+      when: (prev) => prev && /^#\s*(?:include|import)$/.test(prev.value)
+    },
+    { type: 'string', pattern: /(?:u8|[uUL])?R"([^(\s]*)\([\s\S]*?\)\1"/ },
+    { type: 'string', pattern: /(?:u8|[uUL])?"(?:\\[\s\S]|[^"\\\n])*"?/ },
+    { type: 'string', pattern: /[uUL]?'(?:\\.|[^'\\\n])+'/ },
+    { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F']+|0[bB][01']+|\d[\d']*(?:\.\d[\d']*)?(?:[eE][+-]?\d+)?)[uUlLfF]*|\B\.\d+(?:[eE][+-]?\d+)?[fFlL]?)\b/ },
+    identifier({
+      keywords: [
+        'alignas', 'alignof', 'auto', 'break', 'case', 'catch', 'class',
+        'const', 'consteval', 'constexpr', 'const_cast', 'continue', 'co_await',
+        'co_return', 'co_yield', 'decltype', 'default', 'delete', 'do',
+        'dynamic_cast', 'else', 'enum', 'explicit', 'export', 'extern', 'final',
+        'for', 'friend', 'goto', 'if', 'inline', 'mutable', 'namespace', 'new',
+        'noexcept', 'operator', 'override', 'private', 'protected', 'public',
+        'register', 'reinterpret_cast', 'return', 'sizeof', 'static',
+        'static_assert', 'static_cast', 'struct', 'switch', 'template', 'this',
+        'throw', 'try', 'typedef', 'typename', 'union', 'using', 'virtual',
+        'volatile', 'while'
+      ],
+      builtins: [
+        'bool', 'char', 'double', 'float', 'int', 'long', 'short', 'signed',
+        'unsigned', 'void', 'size_t', 'std', 'string', 'vector', 'map',
+        'unique_ptr', 'shared_ptr', 'cout', 'cin', 'endl'
+      ],
+      constants: ['true', 'false', 'nullptr', 'NULL'],
+      classAfter: ['class', 'struct', 'enum', 'union', 'namespace'],
+      pattern: /[A-Za-z_]\w*/
+    }),
+    { type: 'operator', pattern: /->\*?|::|[-+*/%=&|^!<>~?]+/ },
+    rules.punctuation
+  ]
+};
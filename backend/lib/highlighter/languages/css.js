@@ -0,0 +1,44 @@
+const { rules } = require('./common');
+
+const values = [
+  rules.whitespace,
+  rules.blockComment,
+  rules.doubleString,
+  rules.singleString,
+  { type: 'number', pattern: /#[\da-fA-F]{3,8}\b/ },
+  { type: 'number', pattern: /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/ },
+  { type: 'keyword', pattern: /!important\b/i },
+  { type: 'function', pattern: /[\w-]+(?=\()/ }
+];
+
+// Declarations inside a { ... } block that has no nested blocks
+const block = {
+  name: 'css-block',
+  rules: [
+    ...values,
+    { type: 'variable', pattern: /--[\w-]+|-?[A-Za-z][\w-]*(?=\s*:)/ },
+    { type: null, pattern: /[\w-]+/ },
+    { type: 'operator', pattern: /[+*/>~=]/ },
+    { type: 'punctuation', pattern: /[{}()[\];:,]/ }
+  ]
+};
+
+module.exports = {
+  name: 'css',
+  aliases: ['scss', 'less'],
+  rules: [
+    rules.whitespace,
+    rules.blockComment,
+    { type: 'keyword', pattern: /@[\w-]+/ },
+    { pattern: /\{[^{}]*\}/, inside: block },
+    rules.doubleString,
+    rules.singleString,
+    { type: 'class', pattern: /[.#][A-Za-z_-][\w-]*/ },
+    { type: 'function', pattern: /::?[A-Za-z-]+/ },
+    { type: 'number', pattern: /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/ },
+    { type: 'variable', pattern: /\[[^\]\n]*\]/ },
+    { type: 'keyword', pattern: /[A-Za-z][\w-]*/ },
+    { type: 'operator', pattern: /[>+~*=]/ },
+    { type: 'punctuation', pattern: /[{}();:,]/ }
+  ]
+};
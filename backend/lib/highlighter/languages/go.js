@@ -0,0 +1,34 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'go',
+  aliases: ['golang'],
+  rules: [
+    rules.whitespace,
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'string', pattern: /`[^`]*`?/ },
+    rules.doubleString,
+    { type: 'string', pattern: /'(?:\\[^'\n]+|[^'\\\n])'/ },
+    { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO]?[0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)i?|\B\.\d+(?:[eE][+-]?\d+)?i?)\b/ },
+    identifier({
+      keywords: [
+        'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else',
+        'fallthrough', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface',
+        'map', 'package', 'range', 'return', 'select', 'struct', 'switch',
+        'type', 'var'
+      ],
+      builtins: [
+        'bool', 'byte', 'complex64', 'complex128', 'error', 'float32',
+        'float64', 'int', 'int8', 'int16', 'int32', 'int64', 'rune', 'string',
+        'uint', 'uint8', 'uint16', 'uint32', 'uint64', 'uintptr', 'any'
+      ],
+      constants: ['true', 'false', 'nil', 'iota'],
+      functionAfter: ['func'],
+      classAfter: ['type'],
+      pattern: /[A-Za-z_]\w*/
+    }),
+    { type: 'operator', pattern: /:=|<-|\.\.\.|[-+*/%=&|^!<>]+/ },
+    rules.punctuation
+  ]
+};
@@ -0,0 +1,35 @@
+const { rules } = require('./common');
+
+const tag = {
+  name: 'html-tag',
+  rules: [
+    rules.whitespace,
+    { type: 'punctuation', pattern: /<\/?|\/?>/ },
+    {
+      type: 'keyword',
+      pattern: /[A-Za-z][\w:-]*/,
+      when: (prev) => prev && (prev.value === '<' || prev.value === '</')
+    },
+    { type: 'variable', pattern: /[^\s=>/"']+/ },
+    { type: 'operator', pattern: /=/ },
+    { type: 'string', pattern: /"[^"]*"|'[^']*'/ }
+  ]
+};
+
+module.exports = {
+  name: 'html',
+  aliases: ['htm', 'xml', 'svg', 'xhtml', 'vue'],
+  rules: [
+    rules.whitespace,
+    { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/ },
+    { type: 'keyword', pattern: /<!DOCTYPE[^>]*>|<\?xml[^>]*\?>|<!\[CDATA\[[\s\S]*?\]\]>/i },
+    { pattern: /(?<=<script\b[^>]*>)[\s\S]+?(?=<\/script>)/i, inside: 'javascript' },
+    { pattern: /(?<=<style\b[^>]*>)[\s\S]+?(?=<\/style>)/i, inside: 'css' },
+    {
+      pattern: /<\/?[A-Za-z][\w:-]*(?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*\s*\/?>/,
+      inside: tag
+    },
+    { type: 'variable', pattern: /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z]+);/ },
+    { type: null, pattern: /[^<&]+/ }
+  ]
+};
@@ -0,0 +1,33 @@
+// Grammars for every language offered by the frontend languageSelect
+const definitions = [
+  require('./javascript'),
+  require('./typescript'),
+  require('./python'),
+  require('./java'),
+  require('./cpp'),
+  require('./go'),
+  require('./rust'),
+  require('./php'),
+  require('./ruby'),
+  require('./html'),
+  require('./css'),
+  require('./swift'),
+  require('./kotlin'),
+  require('./shell'),
+  require('./sql')
+];
+
+const grammars = {};
+const aliases = {};
+
+definitions.forEach((grammar) => {
+  grammars[grammar.name] = grammar;
+  (grammar.aliases || []).forEach((alias) => {
+    aliases[alias] = grammar.name;
+  });
+});
+
+module.exports = {
+  grammars,
+  aliases
+};
@@ -0,0 +1,36 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'java',
+  aliases: [],
+  rules: [
+    rules.whitespace,
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'string', pattern: /"""[\s\S]*?(?:"""|$)/ },
+    rules.doubleString,
+    { type: 'string', pattern: /'(?:\\.|[^'\\\n])'/ },
+    { type: 'function', pattern: /@[A-Za-z_]\w*/ },
+    { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[lLfFdD]?|\B\.\d+(?:[eE][+-]?\d+)?[fFdD]?)\b/ },
+    identifier({
+      keywords: [
+        'abstract', 'assert', 'break', 'case', 'catch', 'class', 'continue',
+        'default', 'do', 'else', 'enum', 'extends', 'final', 'finally', 'for',
+        'if', 'implements', 'import', 'instanceof', 'interface', 'native', 'new',
+        'package', 'permits', 'private', 'protected', 'public', 'record',
+        'return', 'sealed', 'static', 'strictfp', 'super', 'switch',
+        'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'var',
+        'void', 'volatile', 'while', 'yield'
+      ],
+      builtins: [
+        'boolean', 'byte', 'char', 'double', 'float', 'int', 'long', 'short',
+        'String', 'Object', 'System', 'Math', 'List', 'Map', 'Set', 'Optional'
+      ],
+      constants: ['true', 'false', 'null'],
+      classAfter: ['class', 'interface', 'enum', 'record', 'extends', 'implements', 'new'],
+      pattern: /[A-Za-z_$][\w$]*/
+    }),
+    { type: 'operator', pattern: /->|::|[-+*/%=&|^!<>~?]+/ },
+    rules.punctuation
+  ]
+};
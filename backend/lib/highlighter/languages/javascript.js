@@ -0,0 +1,52 @@
+const { identifier, rules } = require('./common');
+
+const KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally',
+  'for', 'from', 'function', 'get', 'if', 'import', 'in', 'instanceof', 'let',
+  'new', 'of', 'return', 'set', 'static', 'super', 'switch', 'this', 'throw',
+  'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+];
+
+const BUILTINS = [
+  'Array', 'Boolean', 'console', 'Date', 'Error', 'JSON', 'Map', 'Math',
+  'Number', 'Object', 'Promise', 'Reflect', 'RegExp', 'Set', 'String',
+  'Symbol', 'WeakMap', 'WeakSet', 'window', 'document', 'globalThis'
+];
+
+const CONSTANTS = ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'];
+
+// A slash starts a regex literal only where an expression can begin
+const REGEX_CONTEXT = /^(?:[(,=:[!&|?{};+\-*%<>~^]+|return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)$/;
+
+const rules_ = (extra = {}) => [
+  rules.whitespace,
+  rules.lineComment,
+  rules.blockComment,
+  { type: 'string', pattern: /`(?:\\[\s\S]|\$\{[^}]*\}|[^\\`])*`?/ },
+  rules.doubleString,
+  rules.singleString,
+  {
+    type: 'string',
+    pattern: /\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuvy]*/,
+    when: (prev) => !prev || REGEX_CONTEXT.test(prev.value)
+  },
+  ...(extra.before || []),
+  { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)n?|\B\.\d+(?:[eE][+-]?\d+)?)\b/ },
+  identifier({
+    keywords: KEYWORDS.concat(extra.keywords || []),
+    builtins: BUILTINS.concat(extra.builtins || []),
+    constants: CONSTANTS,
+    functionAfter: ['function'],
+    classAfter: ['class', 'extends', 'new'].concat(extra.classAfter || [])
+  }),
+  { type: 'operator', pattern: /=>|\.\.\.|[-+*/%=&|^!<>~?]+/ },
+  rules.punctuation
+];
+
+module.exports = {
+  name: 'javascript',
+  aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+  rules: rules_(),
+  extend: rules_
+};
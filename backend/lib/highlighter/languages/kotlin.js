@@ -0,0 +1,39 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'kotlin',
+  aliases: ['kt', 'kts'],
+  rules: [
+    rules.whitespace,
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'string', pattern: /"""[\s\S]*?(?:"""|$)/ },
+    rules.doubleString,
+    { type: 'string', pattern: /'(?:\\.|[^'\\\n])'/ },
+    { type: 'function', pattern: /@[A-Za-z_][\w:]*/ },
+    { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[fFL]?|\B\.\d+(?:[eE][+-]?\d+)?[fF]?)\b/ },
+    identifier({
+      keywords: [
+        'abstract', 'annotation', 'as', 'break', 'by', 'catch', 'class',
+        'companion', 'const', 'constructor', 'continue', 'data', 'do', 'else',
+        'enum', 'external', 'final', 'finally', 'for', 'fun', 'get', 'if',
+        'import', 'in', 'infix', 'init', 'inline', 'inner', 'interface',
+        'internal', 'is', 'lateinit', 'object', 'open', 'operator', 'out',
+        'override', 'package', 'private', 'protected', 'public', 'reified',
+        'return', 'sealed', 'set', 'super', 'suspend', 'this', 'throw', 'try',
+        'typealias', 'val', 'var', 'vararg', 'when', 'where', 'while'
+      ],
+      builtins: [
+        'Any', 'Array', 'Boolean', 'Byte', 'Char', 'Double', 'Float', 'Int',
+        'List', 'Long', 'Map', 'MutableList', 'Set', 'Short', 'String', 'Unit'
+      ],
+      functions: ['println', 'print', 'listOf', 'mapOf', 'setOf', 'require'],
+      constants: ['true', 'false', 'null'],
+      functionAfter: ['fun'],
+      classAfter: ['class', 'interface', 'object'],
+      pattern: /[A-Za-z_]\w*/
+    }),
+    { type: 'operator', pattern: /->|::|\?:|\?\.|!!|\.\.<?|[-+*/%=&|^!<>?]+/ },
+    rules.punctuation
+  ]
+};
@@ -0,0 +1,38 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'php',
+  aliases: [],
+  rules: [
+    rules.whitespace,
+    { type: 'keyword', pattern: /<\?(?:php|=)?|\?>/ },
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'comment', pattern: /#(?!\[).*/ },
+    { type: 'function', pattern: /#\[[^\]\n]*\]/ },
+    { type: 'variable', pattern: /\$+[A-Za-z_]\w*/ },
+    rules.doubleString,
+    rules.singleString,
+    rules.number,
+    identifier({
+      keywords: [
+        'abstract', 'and', 'as', 'break', 'case', 'catch', 'class', 'clone',
+        'const', 'continue', 'declare', 'default', 'do', 'echo', 'else',
+        'elseif', 'enum', 'extends', 'final', 'finally', 'fn', 'for',
+        'foreach', 'function', 'global', 'if', 'implements', 'include',
+        'include_once', 'instanceof', 'interface', 'match', 'namespace', 'new',
+        'or', 'print', 'private', 'protected', 'public', 'readonly', 'require',
+        'require_once', 'return', 'static', 'switch', 'throw', 'trait', 'try',
+        'use', 'var', 'while', 'xor', 'yield'
+      ],
+      builtins: ['array', 'bool', 'float', 'int', 'string', 'void', 'mixed', 'self', 'parent'],
+      constants: ['true', 'false', 'null'],
+      functionAfter: ['function', 'fn'],
+      classAfter: ['class', 'interface', 'trait', 'enum', 'extends', 'implements', 'new'],
+      caseInsensitive: true,
+      pattern: /[A-Za-z_\\][\w\\]*/
+    }),
+    { type: 'operator', pattern: /->|=>|::|\?->|[-+*/%=&|^!<>~?.]+/ },
+    rules.punctuation
+  ]
+};
@@ -0,0 +1,40 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'python',
+  aliases: ['py', 'py3', 'python3'],
+  rules: [
+    rules.whitespace,
+    rules.hashComment,
+    {
+      type: 'string',
+      pattern: /(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?)/
+    },
+    { type: 'function', pattern: /@[\w.]+/ },
+    { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[jJ]?|\B\.\d+(?:[eE][+-]?\d+)?)\b/ },
+    identifier({
+      keywords: [
+        'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+        'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from',
+        'global', 'if', 'import', 'in', 'is', 'lambda', 'match', 'case',
+        'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while',
+        'with', 'yield', 'self', 'cls'
+      ],
+      builtins: [
+        'bool', 'bytes', 'dict', 'float', 'frozenset', 'int', 'list', 'object',
+        'set', 'str', 'tuple', 'type', 'Exception', 'ValueError', 'TypeError',
+        'KeyError', 'IndexError', 'RuntimeError'
+      ],
+      functions: [
+        'abs', 'all', 'any', 'enumerate', 'filter', 'isinstance', 'len', 'map',
+        'max', 'min', 'open', 'print', 'range', 'reversed', 'sorted', 'sum', 'zip'
+      ],
+      constants: ['True', 'False', 'None'],
+      functionAfter: ['def'],
+      classAfter: ['class'],
+      pattern: /[A-Za-z_]\w*/
+    }),
+    { type: 'operator', pattern: /->|:=|[-+*/%=&|^!<>~@]+/ },
+    rules.punctuation
+  ]
+};
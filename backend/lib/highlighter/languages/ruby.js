@@ -0,0 +1,43 @@
+const { identifier, rules } = require('./common');
+
+const REGEX_CONTEXT = /^(?:[(,=[!&|?{};+\-*%<>~]+|if|unless|when|while|until|and|or|not|return)$/;
+
+module.exports = {
+  name: 'ruby',
+  aliases: ['rb'],
+  rules: [
+    rules.whitespace,
+    { type: 'comment', pattern: /^=begin\b[\s\S]*?(?:^=end\b.*|$(?![\s\S]))/m },
+    rules.hashComment,
+    rules.doubleString,
+    rules.singleString,
+    { type: 'string', pattern: /%[qQwWiI]?(?:\([^)]*\)|\[[^\]]*\]|\{[^}]*\}|<[^>]*>)/ },
+    {
+      type: 'string',
+      pattern: /\/(?![\s=])(?:\\.|[^/\\\n])+\/[imxo]*/,
+      when: (prev) => !prev || REGEX_CONTEXT.test(prev.value)
+    },
+    { type: 'string', pattern: /:(?!:)[A-Za-z_]\w*[?!]?/ },
+    { type: 'variable', pattern: /@@?[A-Za-z_]\w*|\$[A-Za-z_]\w*/ },
+    rules.number,
+    identifier({
+      keywords: [
+        'alias', 'and', 'begin', 'break', 'case', 'class', 'def', 'defined?',
+        'do', 'else', 'elsif', 'end', 'ensure', 'for', 'if', 'in', 'module',
+        'next', 'not', 'or', 'redo', 'rescue', 'retry', 'return', 'self',
+        'super', 'then', 'undef', 'unless', 'until', 'when', 'while', 'yield',
+        'require', 'require_relative', 'include', 'extend', 'attr_accessor',
+        'attr_reader', 'attr_writer', 'private', 'protected', 'public', 'lambda',
+        'proc'
+      ],
+      builtins: ['Array', 'Hash', 'Integer', 'Kernel', 'String', 'Struct'],
+      functions: ['puts', 'print', 'p', 'pp', 'raise'],
+      constants: ['true', 'false', 'nil'],
+      functionAfter: ['def'],
+      classAfter: ['class', 'module'],
+      pattern: /[A-Za-z_]\w*[?!]?/
+    }),
+    { type: 'operator', pattern: /=>|->|::|\.\.\.?|[-+*/%=&|^!<>~?]+/ },
+    rules.punctuation
+  ]
+};
@@ -0,0 +1,38 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'rust',
+  aliases: ['rs'],
+  rules: [
+    rules.whitespace,
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'function', pattern: /#!?\[[^\]\n]*\]/ },
+    { type: 'string', pattern: /b?r(#*)"[\s\S]*?"\1/ },
+    { type: 'string', pattern: /b?"(?:\\[\s\S]|[^"\\])*"?/ },
+    { type: 'string', pattern: /b?'(?:\\(?:x[\da-fA-F]{2}|u\{[\da-fA-F]{1,6}\}|.)|[^\\'\n])'/ },
+    { type: 'variable', pattern: /'[A-Za-z_]\w*/ },
+    { type: 'function', pattern: /[A-Za-z_]\w*!/ },
+    { type: 'number', pattern: /(?:\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)(?:[iu](?:8|16|32|64|128|size)|f32|f64)?)\b/ },
+    identifier({
+      keywords: [
+        'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn',
+        'else', 'enum', 'extern', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop',
+        'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self',
+        'static', 'struct', 'super', 'trait', 'type', 'unsafe', 'use', 'where',
+        'while'
+      ],
+      builtins: [
+        'bool', 'char', 'f32', 'f64', 'i8', 'i16', 'i32', 'i64', 'i128',
+        'isize', 'str', 'u8', 'u16', 'u32', 'u64', 'u128', 'usize', 'String',
+        'Vec', 'Option', 'Result', 'Box', 'Rc', 'Arc', 'HashMap'
+      ],
+      constants: ['true', 'false', 'None', 'Some', 'Ok', 'Err'],
+      functionAfter: ['fn'],
+      classAfter: ['struct', 'enum', 'trait', 'impl', 'type'],
+      pattern: /[A-Za-z_]\w*/
+    }),
+    { type: 'operator', pattern: /->|=>|::|\.\.=?|[-+*/%=&|^!<>?]+/ },
+    rules.punctuation
+  ]
+};
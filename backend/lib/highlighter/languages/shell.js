@@ -0,0 +1,44 @@
+const { identifier, rules } = require('./common');
+
+const variable = { type: 'variable', pattern: /\$\{[^}\n]*\}|\$[A-Za-z_]\w*|\$[@*#?$!0-9-]/ };
+
+// Double-quoted strings keep their variable expansions highlighted
+const interpolated = {
+  name: 'shell-string',
+  rules: [
+    variable,
+    { type: 'string', pattern: /(?:\\[\s\S]|[^"\\$])+|["$]/ }
+  ]
+};
+
+module.exports = {
+  name: 'shell',
+  aliases: ['sh', 'bash', 'zsh', 'console', 'shellscript'],
+  rules: [
+    rules.whitespace,
+    { type: 'comment', pattern: /(?<![\w$])#.*/ },
+    { pattern: /"(?:\\[\s\S]|[^"\\])*"?/, inside: interpolated },
+    { type: 'string', pattern: /'[^']*'?/ },
+    { type: 'string', pattern: /<<-?\s*['"]?(\w+)['"]?[^\n]*\n[\s\S]*?^\s*\1$/m },
+    variable,
+    { type: 'operator', pattern: /&&|\|\||;;|[|&;<>]=?|=/ },
+    { type: 'number', pattern: /\b\d+\b/ },
+    identifier({
+      keywords: [
+        'case', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for',
+        'function', 'if', 'in', 'local', 'readonly', 'return', 'select',
+        'then', 'until', 'while', 'declare', 'unset', 'shift', 'exit', 'source'
+      ],
+      functions: [
+        'alias', 'awk', 'cat', 'cd', 'chmod', 'cp', 'curl', 'echo', 'eval',
+        'exec', 'find', 'git', 'grep', 'kill', 'ls', 'mkdir', 'mv', 'npm',
+        'printf', 'pwd', 'read', 'rm', 'sed', 'set', 'sudo', 'test', 'touch',
+        'trap', 'wget', 'xargs'
+      ],
+      constants: ['true', 'false'],
+      functionAfter: ['function'],
+      pattern: /[A-Za-z_][\w-]*/
+    }),
+    { type: 'punctuation', pattern: /[{}()[\]]/ }
+  ]
+};
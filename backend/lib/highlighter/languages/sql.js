@@ -0,0 +1,39 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'sql',
+  aliases: ['mysql', 'postgres', 'postgresql', 'sqlite', 'plsql'],
+  rules: [
+    rules.whitespace,
+    { type: 'comment', pattern: /--.*/ },
+    rules.blockComment,
+    { type: 'string', pattern: /[eEnN]?'(?:''|\\.|[^'\\])*'?/ },
+    { type: 'variable', pattern: /"(?:""|[^"])*"|`[^`]*`|\[[^\]\n]*\]/ },
+    { type: 'variable', pattern: /[@:$][A-Za-z_]\w*|\$\d+|\?/ },
+    rules.number,
+    identifier({
+      keywords: [
+        'add', 'all', 'alter', 'and', 'any', 'as', 'asc', 'begin', 'between',
+        'by', 'case', 'cascade', 'check', 'column', 'commit', 'constraint',
+        'create', 'cross', 'database', 'default', 'delete', 'desc', 'distinct',
+        'drop', 'else', 'end', 'exists', 'foreign', 'from', 'full', 'group',
+        'having', 'if', 'in', 'index', 'inner', 'insert', 'into', 'is', 'join',
+        'key', 'left', 'like', 'limit', 'not', 'offset', 'on', 'or', 'order',
+        'outer', 'over', 'partition', 'primary', 'references', 'returning',
+        'right', 'rollback', 'select', 'set', 'table', 'then', 'transaction',
+        'truncate', 'union', 'unique', 'update', 'using', 'values', 'view',
+        'when', 'where', 'with'
+      ],
+      builtins: [
+        'bigint', 'boolean', 'char', 'date', 'decimal', 'float', 'int',
+        'integer', 'json', 'jsonb', 'numeric', 'serial', 'smallint', 'text',
+        'timestamp', 'uuid', 'varchar'
+      ],
+      constants: ['true', 'false', 'null'],
+      caseInsensitive: true,
+      pattern: /[A-Za-z_][\w$]*/
+    }),
+    { type: 'operator', pattern: /::|\|\||[-+*/%=<>!~&|^]+/ },
+    rules.punctuation
+  ]
+};
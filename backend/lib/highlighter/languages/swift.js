@@ -0,0 +1,39 @@
+const { identifier, rules } = require('./common');
+
+module.exports = {
+  name: 'swift',
+  aliases: [],
+  rules: [
+    rules.whitespace,
+    rules.lineComment,
+    rules.blockComment,
+    { type: 'string', pattern: /#*"""[\s\S]*?(?:"""#*|$)/ },
+    { type: 'string', pattern: /#*"(?:\\[\s\S]|[^"\\\n])*"?#*/ },
+    { type: 'function', pattern: /@[A-Za-z_]\w*/ },
+    { type: 'keyword', pattern: /#[A-Za-z_]\w*/ },
+    rules.number,
+    identifier({
+      keywords: [
+        'actor', 'as', 'associatedtype', 'async', 'await', 'break', 'case',
+        'catch', 'class', 'continue', 'default', 'defer', 'deinit', 'do', 'else',
+        'enum', 'extension', 'fallthrough', 'fileprivate', 'final', 'for',
+        'func', 'guard', 'if', 'import', 'in', 'init', 'inout', 'internal', 'is',
+        'lazy', 'let', 'mutating', 'open', 'operator', 'override', 'private',
+        'protocol', 'public', 'repeat', 'rethrows', 'return', 'self', 'Self',
+        'some', 'static', 'struct', 'subscript', 'super', 'switch', 'throw',
+        'throws', 'try', 'typealias', 'var', 'weak', 'where', 'while'
+      ],
+      builtins: [
+        'Any', 'Array', 'Bool', 'Character', 'Dictionary', 'Double', 'Float',
+        'Int', 'Optional', 'Set', 'String', 'UInt', 'Void'
+      ],
+      functions: ['print', 'debugPrint', 'fatalError', 'precondition'],
+      constants: ['true', 'false', 'nil'],
+      functionAfter: ['func'],
+      classAfter: ['class', 'struct', 'enum', 'protocol', 'extension', 'actor'],
+      pattern: /[A-Za-z_]\w*/
+    }),
+    { type: 'operator', pattern: /->|\.\.[.<]|[-+*/%=&|^!<>~?]+/ },
+    rules.punctuation
+  ]
+};
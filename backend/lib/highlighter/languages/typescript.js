@@ -0,0 +1,19 @@
+const javascript = require('./javascript');
+
+module.exports = {
+  name: 'typescript',
+  aliases: ['ts', 'tsx', 'mts', 'cts'],
+  rules: javascript.extend({
+    before: [{ type: 'function', pattern: /@[A-Za-z_$][\w$]*/ }],
+    keywords: [
+      'abstract', 'as', 'asserts', 'declare', 'enum', 'implements', 'infer',
+      'interface', 'is', 'keyof', 'module', 'namespace', 'override', 'private',
+      'protected', 'public', 'readonly', 'satisfies', 'type', 'unique'
+    ],
+    builtins: [
+      'any', 'bigint', 'boolean', 'never', 'number', 'object', 'string',
+      'symbol', 'unknown', 'Partial', 'Readonly', 'Record', 'Pick', 'Omit'
+    ],
+    classAfter: ['interface', 'type', 'enum', 'implements']
+  })
+};
@@ -0,0 +1,254 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Background render jobs. Job records live in a Store (Redis or files);
+// queued job IDs go on a Redis list when Redis is connected, so several
+// instances can share the work, and on an in-process array otherwise.
+//
+// Job status: queued -> running -> succeeded | failed, or cancelled.
+//
+// The in-process array does not survive a restart, so on start() jobs left
+// queued or running in the store are picked up again (see recover()).
+
+const QUEUE_KEY = 'carbon:jobs:queue';
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class JobQueue {
+  constructor({
+    store,
+    redis = () => null,
+    handler,
+    onFinish = () => {},
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelayMs = 2000,
+    resultTtl = 3600,
+    pendingTtl = 86400,
+    pollMs = 500
+  }) {
+    this.store = store;
+    this.redis = redis;
+    this.handler = handler;
+    this.onFinish = onFinish;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.resultTtl = resultTtl;
+    this.pendingTtl = pendingTtl;
+    this.pollMs = pollMs;
+
+    this.pending = [];
+    this.active = 0;
+    this.timer = null;
+    this.counters = {
+      submitted: 0,
+      succeeded: 0,
+      failed: 0,
+      retried: 0,
+      cancelled: 0
+    };
+  }
+
+  get client() {
+    const client = this.redis();
+    return client && client.isReady ? client : null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.recover().catch((error) => console.warn('⚠️ Job recovery failed:', error.message));
+    // Polling picks up jobs queued by other instances and delayed retries
+    this.timer = setInterval(() => this.pump(), this.pollMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // baseUrl is where the job can be fetched from later, for the webhook
+  async submit(request, { callbackUrl, apiKeyId, baseUrl } = {}) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      attempts: 0,
+      request,
+      callbackUrl: callbackUrl || null,
+      apiKeyId: apiKeyId || null,
+      baseUrl: baseUrl || '',
+      createdAt: new Date().toISOString()
+    };
+    await this.save(job);
+    await this.push(job.id);
+    this.counters.submitted++;
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  // Without Redis, queued job IDs lived in the previous process and a job
+  // marked running was interrupted by the restart. Queued jobs go back on
+  // the queue; interrupted ones are retried while they have attempts left
+  // and failed otherwise. With Redis the queue is shared and other
+  // instances may still be running those jobs, so nothing is touched.
+  async recover() {
+    if (this.client) return { requeued: 0, failed: 0 };
+
+    const recovered = { requeued: 0, failed: 0 };
+    for (const id of await this.store.keys()) {
+      const job = await this.store.get(id);
+      if (!job || FINISHED.includes(job.status)) continue;
+
+      if (job.status === 'running' && job.attempts >= this.maxAttempts) {
+        job.status = 'failed';
+        job.error = { message: 'Job was interrupted by a server restart', code: 'JOB_INTERRUPTED' };
+        job.finishedAt = new Date().toISOString();
+        await this.save(job);
+        this.counters.failed++;
+        this.onFinish(job);
+        recovered.failed++;
+        continue;
+      }
+
+      if (job.status === 'running') {
+        job.status = 'queued';
+        await this.save(job);
+      }
+      if (!this.pending.includes(id)) this.pending.push(id);
+      recovered.requeued++;
+    }
+
+    if (recovered.requeued || recovered.failed) {
+      console.log(`✅ Recovered jobs: ${recovered.requeued} requeued, ${recovered.failed} failed`);
+    }
+    this.pump();
+    return recovered;
+  }
+
+  // Queued jobs never start; a running job finishes but its result is
+  // dropped. Returns null for unknown jobs and the job unchanged when it
+  // had already finished.
+  async cancel(id) {
+    const job = await this.store.get(id);
+    if (!job || FINISHED.includes(job.status)) return job;
+
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    await this.save(job);
+    this.counters.cancelled++;
+    this.onFinish(job);
+    return job;
+  }
+
+  save(job) {
+    return this.store.set(job.id, job, {
+      ttl: FINISHED.includes(job.status) ? this.resultTtl : this.pendingTtl
+    });
+  }
+
+  async push(id) {
+    const client = this.client;
+    if (client) {
+      await client.rPush(QUEUE_KEY, id);
+    } else {
+      this.pending.push(id);
+    }
+  }
+
+  async pop() {
+    if (this.pending.length) return this.pending.shift();
+    const client = this.client;
+    return client ? client.lPop(QUEUE_KEY) : null;
+  }
+
+  async pump() {
+    while (this.active < this.concurrency) {
+      this.active++;
+      let id = null;
+      try {
+        id = await this.pop();
+      } catch (error) {
+        console.warn('⚠️ Job queue read failed:', error.message);
+      }
+      if (!id) {
+        this.active--;
+        return;
+      }
+
+      this.run(id)
+        .catch((error) => console.error('Job error:', error))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  async run(id) {
+    const job = await this.store.get(id);
+    // Cancelled or expired while waiting
+    if (!job || job.status !== 'queued') return;
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    await this.save(job);
+
+    let result;
+    let failure;
+    try {
+      result = await this.handler(job);
+    } catch (error) {
+      failure = error;
+    }
+
+    const latest = await this.store.get(id);
+    if (!latest || latest.status === 'cancelled') return;
+
+    if (!failure) {
+      job.status = 'succeeded';
+      job.result = result;
+      job.error = null;
+    } else if (this.isRetryable(failure) && job.attempts < this.maxAttempts) {
+      job.status = 'queued';
+      job.error = { message: failure.message, code: failure.code };
+      await this.save(job);
+      this.counters.retried++;
+      setTimeout(() => {
+        this.push(id).catch((error) => console.warn('⚠️ Job requeue failed:', error.message));
+      }, this.retryDelayMs * job.attempts).unref();
+      return;
+    } else {
+      job.status = 'failed';
+      job.error = { message: failure.message, code: failure.code };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await this.save(job);
+    this.counters[job.status]++;
+    this.onFinish(job);
+  }
+
+  // Bad input fails for good; anything else (full render queue, browser
+  // crash, timeouts) is worth another attempt
+  isRetryable(error) {
+    return !(error.status >= 400 && error.status < 500) || error.status === 429;
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      active: this.active,
+      pending: this.pending.length,
+      concurrency: this.concurrency,
+      queue: this.client ? 'redis' : 'memory'
+    };
+  }
+}
+
+module.exports = {
+  JobQueue
+};
@@ -0,0 +1,51 @@
+// Line selection shared by the HTML template and the SVG renderer:
+// lineRange, startLineNumber, highlightLines and focusLines
+
+const LINE_SPEC_PATTERN = /^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/;
+const LINE_RANGE_PATTERN = /^\s*\d+(\s*-\s*\d+)?\s*$/;
+
+// "3,7-9" -> [[3, 3], [7, 9]]. Ranges are kept as pairs rather than
+// expanded, so "1-1000000" costs nothing.
+function parseLineSpec(spec) {
+  if (!spec) return [];
+  return String(spec)
+    .split(',')
+    .map((part) => part.split('-').map((n) => parseInt(n, 10)))
+    .map(([start, end = start]) => [Math.min(start, end), Math.max(start, end)]);
+}
+
+function inSpec(ranges, number) {
+  return ranges.some(([start, end]) => number >= start && number <= end);
+}
+
+// Picks the lines to render from per-line content (HTML strings or token
+// arrays) and annotates each with its displayed number and emphasis.
+// Line numbers in highlightLines/focusLines refer to the displayed numbers.
+function selectLines(lines, options = {}) {
+  const startLineNumber = parseInt(options.startLineNumber, 10) || 1;
+  const [[first, last]] = options.lineRange
+    ? parseLineSpec(options.lineRange)
+    : [[1, lines.length]];
+
+  const highlighted = parseLineSpec(options.highlightLines);
+  const focused = parseLineSpec(options.focusLines);
+
+  return lines
+    .slice(first - 1, last)
+    .map((content, i) => {
+      const number = startLineNumber + first - 1 + i;
+      return {
+        content,
+        number,
+        highlighted: inSpec(highlighted, number),
+        dimmed: focused.length > 0 && !inSpec(focused, number)
+      };
+    });
+}
+
+module.exports = {
+  LINE_SPEC_PATTERN,
+  LINE_RANGE_PATTERN,
+  parseLineSpec,
+  selectLines
+};
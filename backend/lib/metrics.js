@@ -0,0 +1,145 @@
+// Small Prometheus registry: counters, gauges and histograms rendered in
+// the text exposition format for GET /metrics. Metrics that mirror state
+// kept elsewhere (cache counters, pool queue) take a `collect` callback
+// that fills them in at scrape time.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, { name, help, labels = [], collect }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labels;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  // Label values in declaration order; missing labels become ""
+  labelsFor(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach((key) => {
+      picked[key] = labels[key] === undefined || labels[key] === null ? '' : String(labels[key]);
+    });
+    return picked;
+  }
+
+  entry(labels, create) {
+    const picked = this.labelsFor(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, create(picked));
+    return this.series.get(key);
+  }
+
+  set(labels, value) {
+    this.entry(labels, (picked) => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, by = 1) {
+    this.entry(labels, (picked) => ({ labels: picked, value: 0 })).value += by;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, (picked) => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // Text exposition format, version 0.0.4
+  render() {
+    return `${this.metrics.map((metric) => {
+      if (metric.collect) {
+        try {
+          metric.collect(metric);
+        } catch (error) {
+          console.warn(`⚠️ Could not collect ${metric.name}:`, error.message);
+        }
+      }
+      return [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+      ].join('\n');
+    }).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  MetricsRegistry
+};
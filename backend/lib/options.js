@@ -0,0 +1,71 @@
+const { RenderError } = require('./errors');
+const { parseLineSpec } = require('./lines');
+
+// Option handling shared by the renderer and the browser preview (served
+// through /js/carbon-shared.js), so both hand the template the same input.
+
+// Render option defaults, shared by the HTML template and the SVG renderer.
+// Filled in before hashing so omitted and explicit defaults share a cache entry.
+const RENDER_DEFAULTS = {
+  theme: 'dark',
+  backgroundColor: '#262424',
+  fontFamily: 'Fira Code',
+  fontSize: '14px',
+  showLineNumbers: true,
+  showWindowControls: true,
+  padding: '40px',
+  format: 'png',
+  scale: 2
+};
+
+// Every option the renderer reads. Anything else is dropped, so unknown
+// keys never reach the template or split cache entries.
+const RENDER_OPTION_KEYS = [
+  'theme', 'customTheme', 'language', 'format', 'quality', 'scale',
+  'fontFamily', 'fontSize', 'lineHeight', 'tabSize', 'padding',
+  'showLineNumbers', 'showWindowControls', 'windowStyle', 'windowTitle',
+  'backgroundColor', 'backgroundGradient', 'backgroundImage', 'radius', 'shadow',
+  'highlightLines', 'focusLines', 'lineRange', 'startLineNumber',
+  'mode', 'before', 'animation'
+];
+
+// Defaults filled in and layout options in canonical form. Themes, output
+// quality and animation are left to the renderer.
+function prepareOptions(code, rawOptions = {}) {
+  const options = { ...RENDER_DEFAULTS };
+  RENDER_OPTION_KEYS.forEach((key) => {
+    const value = rawOptions[key];
+    if (value !== undefined && value !== null) options[key] = value;
+  });
+
+  options.scale = parseFloat(options.scale) || RENDER_DEFAULTS.scale;
+  // Diffs carry their own line numbers, so line selection does not apply
+  if (options.mode === 'diff') {
+    ['highlightLines', 'focusLines', 'lineRange', 'startLineNumber'].forEach((key) => delete options[key]);
+  } else {
+    delete options.mode;
+    delete options.before;
+  }
+
+  ['highlightLines', 'focusLines', 'lineRange'].forEach((key) => {
+    if (options[key]) options[key] = String(options[key]).replace(/\s+/g, '');
+    else delete options[key];
+  });
+  ['radius', 'shadow'].forEach((key) => {
+    if (options[key] !== undefined) options[key] = parseFloat(options[key]) || 0;
+  });
+  if (options.startLineNumber !== undefined) {
+    options.startLineNumber = parseInt(options.startLineNumber) || 1;
+  }
+  if (options.lineRange && parseLineSpec(options.lineRange)[0][0] > code.split('\n').length) {
+    throw new RenderError('Line range is outside the code', { status: 400, code: 'INVALID_LINE_RANGE' });
+  }
+
+  return options;
+}
+
+module.exports = {
+  RENDER_DEFAULTS,
+  RENDER_OPTION_KEYS,
+  prepareOptions
+};
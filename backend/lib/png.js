@@ -0,0 +1,88 @@
+const zlib = require('zlib');
+
+// Minimal PNG decoder for the screenshots Chrome produces: 8-bit RGB or
+// RGBA, not interlaced. Used to get at the pixels of animation frames.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 2: 3, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Returns { width, height, data } with data as RGBA, 4 bytes per pixel
+function decodePNG(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      const [depth, colorType, , , interlace] = chunk.subarray(8, 13);
+      channels = CHANNELS[colorType];
+      if (depth !== 8 || !channels || interlace) {
+        throw new Error('Unsupported PNG: only 8-bit RGB(A) without interlacing');
+      }
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const data = Buffer.alloc(width * height * 4);
+  let previous = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const current = Buffer.alloc(stride);
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? current[x - channels] : 0;
+      const up = previous[x];
+      const upLeft = x >= channels ? previous[x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      current[x] = value & 0xff;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const source = x * channels;
+      const target = (y * width + x) * 4;
+      data[target] = current[source];
+      data[target + 1] = current[source + 1];
+      data[target + 2] = current[source + 2];
+      data[target + 3] = channels === 4 ? current[source + 3] : 255;
+    }
+    previous = current;
+  }
+
+  return { width, height, data };
+}
+
+module.exports = {
+  decodePNG
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { fonts } = require('./fonts');
+const { isWOFF, decodeWOFF } = require('./woff');
+
+// PNG output without a browser: the SVG renderer's drawing (same window
+// chrome, gutter, tokens and theme colours) rasterized by resvg. Used when
+// Chrome is missing or fails to launch, e.g. on serverless hosts.
+
+let resvg = null;
+try {
+  resvg = require('@resvg/resvg-js');
+} catch (error) {
+  resvg = null;
+}
+
+// Bundled fonts ship as WOFF; resvg only reads TrueType/OpenType files, so
+// they are unpacked here once
+const FONT_CACHE_DIR = process.env.RASTER_FONT_CACHE_DIR || path.join(os.tmpdir(), 'carbon-fonts');
+
+class Rasterizer {
+  constructor({ fontCacheDir = FONT_CACHE_DIR } = {}) {
+    this.fontCacheDir = fontCacheDir;
+    this.loadable = new Map();
+  }
+
+  get isAvailable() {
+    return !!resvg;
+  }
+
+  // A file resvg can load for a registry face, or null. WOFF2 cannot be
+  // unpacked here, but @fontsource ships a WOFF next to every WOFF2.
+  loadableFile(file) {
+    if (this.loadable.has(file)) return this.loadable.get(file);
+
+    let source = file;
+    if (/\.woff2$/i.test(source)) {
+      const woff = source.replace(/\.woff2$/i, '.woff');
+      source = fs.existsSync(woff) ? woff : null;
+    }
+
+    let loadable = source;
+    if (source && /\.woff$/i.test(source)) {
+      const id = crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+      loadable = path.join(this.fontCacheDir, `${id}.ttf`);
+      try {
+        if (!fs.existsSync(loadable)) {
+          const buffer = fs.readFileSync(source);
+          if (!isWOFF(buffer)) throw new Error('not a WOFF file');
+          fs.mkdirSync(this.fontCacheDir, { recursive: true });
+          fs.writeFileSync(loadable, decodeWOFF(buffer));
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not unpack font ${path.basename(source)}: ${error.message}`);
+        loadable = null;
+      }
+    }
+
+    this.loadable.set(file, loadable);
+    return loadable;
+  }
+
+  // Renders an SVG document to PNG at `scale`. System fonts stay loaded so
+  // glyphs the code font lacks (emoji, CJK) still have a fallback.
+  async rasterize(svg, { fontFamily, text = '', scale = 1 }) {
+    const fontFiles = fonts.faceFiles(fontFamily, text)
+      .map((file) => this.loadableFile(file))
+      .filter(Boolean);
+
+    const image = await resvg.renderAsync(svg, {
+      fitTo: { mode: 'zoom', value: scale },
+      font: {
+        fontFiles: [...new Set(fontFiles)],
+        loadSystemFonts: true,
+        defaultFontFamily: fontFamily
+      },
+      logLevel: 'off'
+    });
+    return Buffer.from(image.asPng());
+  }
+}
+
+module.exports = {
+  Rasterizer
+};
@@ -0,0 +1,120 @@
+const { commandOptions } = require('redis');
+
+// Two-tier cache for rendered images. A bounded in-process LRU sits in
+// front of Redis (when connected); entries are raw image buffers plus a
+// small JSON metadata object, never base64 strings. An entry expires `ttl`
+// seconds after it was rendered, in both tiers; reading it from Redis into
+// memory does not extend its life.
+class RenderCache {
+  constructor({ redis = () => null, maxEntries = 200, maxBytes = 64 * 1024 * 1024, ttl = 3600 } = {}) {
+    this.redis = redis;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+
+    // Map iteration order doubles as recency order (oldest first)
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, memoryHits: 0, redisHits: 0, misses: 0, evictions: 0, errors: 0 };
+  }
+
+  get client() {
+    const client = this.redis();
+    return client && client.isReady ? client : null;
+  }
+
+  redisKey(key) {
+    return `carbon:render:${key}`;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.counters.hits++;
+      this.counters.memoryHits++;
+      return { buffer: entry.buffer, meta: entry.meta };
+    }
+    if (entry) this.remember(key, null);
+
+    const client = this.client;
+    if (client) {
+      try {
+        const stored = await client.hGetAll(commandOptions({ returnBuffers: true }), this.redisKey(key));
+        if (stored && stored.image && stored.meta) {
+          const value = { buffer: stored.image, meta: JSON.parse(stored.meta.toString('utf8')) };
+          this.remember(key, value, stored.expiresAt ? Number(stored.expiresAt.toString('utf8')) : undefined);
+          this.counters.hits++;
+          this.counters.redisHits++;
+          return value;
+        }
+      } catch (error) {
+        this.counters.errors++;
+        console.error('Cache read error:', error);
+      }
+    }
+
+    this.counters.misses++;
+    return null;
+  }
+
+  async set(key, { buffer, meta }) {
+    const expiresAt = Date.now() + this.ttl * 1000;
+    this.remember(key, { buffer, meta }, expiresAt);
+
+    const client = this.client;
+    if (!client) return;
+
+    try {
+      await client
+        .multi()
+        .hSet(this.redisKey(key), { image: buffer, meta: JSON.stringify(meta), expiresAt: String(expiresAt) })
+        .pExpireAt(this.redisKey(key), expiresAt)
+        .exec();
+    } catch (error) {
+      this.counters.errors++;
+      console.error('Cache write error:', error);
+    }
+  }
+
+  // Stores (or with a null value, drops) a memory entry, then evicts the
+  // least recently used entries until both limits hold again
+  remember(key, value, expiresAt = Date.now() + this.ttl * 1000) {
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.entries.delete(key);
+      this.bytes -= existing.buffer.length;
+    }
+    if (!value || value.buffer.length > this.maxBytes || expiresAt <= Date.now()) return;
+
+    this.entries.set(key, { ...value, expiresAt });
+    this.bytes += value.buffer.length;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      this.bytes -= oldest.buffer.length;
+      this.counters.evictions++;
+    }
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      ...this.counters,
+      hitRate: lookups ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : 0,
+      memory: {
+        entries: this.entries.size,
+        bytes: this.bytes,
+        maxEntries: this.maxEntries,
+        maxBytes: this.maxBytes
+      },
+      redis: !!this.client
+    };
+  }
+}
+
+module.exports = {
+  RenderCache
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// JSON with object keys sorted, so equal options always serialise the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Content hash identifying one render: same code and options, same image
+function renderKey(code, options = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify(options))
+    .update('\0')
+    .update(String(code))
+    .digest('hex');
+}
+
+module.exports = {
+  stableStringify,
+  renderKey
+};
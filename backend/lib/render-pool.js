@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+
+class RenderPoolError extends Error {
+  constructor(message, { code, status = 503, retryAfter = 5 } = {}) {
+    super(message);
+    this.name = 'RenderPoolError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Keeps a bounded set of warm Puppeteer pages on one browser. Callers that
+// find every page busy wait in a FIFO queue; the browser is relaunched
+// automatically if it disconnects or fails to launch, with backoff.
+class RenderPool extends EventEmitter {
+  constructor(puppeteer, options = {}) {
+    super();
+    this.puppeteer = puppeteer;
+    this.launchOptions = options.launchOptions || {};
+    this.size = options.size || 4;
+    this.maxQueue = options.maxQueue !== undefined ? options.maxQueue : 50;
+    this.maxWaitMs = options.maxWaitMs || 15000;
+    this.maxRendersPerPage = options.maxRendersPerPage || 100;
+
+    this.browser = null;
+    this.idle = [];
+    this.busy = new Set();
+    this.queue = [];
+    this.creating = 0;
+    this.relaunching = false;
+    this.relaunchTimer = null;
+    this.relaunchDelay = 1000;
+    this.launchFailed = false;
+    this.closed = false;
+
+    this.counters = {
+      renders: 0,
+      recycled: 0,
+      restarts: 0,
+      rejected: 0,
+      timedOut: 0
+    };
+  }
+
+  get isReady() {
+    return !!this.browser && this.browser.isConnected();
+  }
+
+  // True while rendering is possible now or shortly: relaunching after a
+  // disconnect, but not after the last launch attempt failed
+  get isAvailable() {
+    return this.isReady || (this.relaunching && !this.launchFailed);
+  }
+
+  async start() {
+    if (!this.puppeteer || this.closed) return false;
+
+    try {
+      this.browser = await this.puppeteer.launch(this.launchOptions);
+      this.browser.on('disconnected', () => this.handleDisconnect());
+      this.relaunchDelay = 1000;
+      this.launchFailed = false;
+
+      await Promise.all(Array.from({ length: this.size }, () => this.addPage()));
+      this.emit('ready');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to launch browser:', error.message);
+      this.browser = null;
+      this.launchFailed = true;
+      this.scheduleRelaunch();
+      return false;
+    }
+  }
+
+  async addPage() {
+    if (!this.isReady) return;
+
+    this.creating += 1;
+    try {
+      const page = await this.browser.newPage();
+      this.handOff({ page, renders: 0 });
+    } catch (error) {
+      console.error('Failed to open render page:', error.message);
+    } finally {
+      this.creating -= 1;
+    }
+  }
+
+  handOff(slot) {
+    const waiter = this.queue.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.busy.add(slot);
+      waiter.resolve(slot);
+    } else {
+      this.idle.push(slot);
+    }
+  }
+
+  acquire() {
+    if (this.closed) {
+      return Promise.reject(new RenderPoolError('Render pool is shutting down', {
+        code: 'POOL_CLOSED'
+      }));
+    }
+
+    if (!this.isAvailable) {
+      return Promise.reject(new RenderPoolError('Image generation service is temporarily unavailable', {
+        code: 'BROWSER_UNAVAILABLE'
+      }));
+    }
+
+    const slot = this.idle.shift();
+    if (slot) {
+      this.busy.add(slot);
+      return Promise.resolve(slot);
+    }
+
+    // Top up pages lost to crashes or failed recycling
+    if (this.idle.length + this.busy.size + this.creating < this.size) {
+      this.addPage();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.counters.rejected += 1;
+      return Promise.reject(new RenderPoolError('Too many renders in progress, please try again shortly', {
+        code: 'QUEUE_FULL',
+        status: 429,
+        retryAfter: Math.ceil(this.maxWaitMs / 1000)
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter((w) => w !== waiter);
+        this.counters.timedOut += 1;
+        reject(new RenderPoolError('Timed out waiting for a free renderer', {
+          code: 'QUEUE_TIMEOUT',
+          retryAfter: Math.ceil(this.maxWaitMs / 1000)
+        }));
+      }, this.maxWaitMs);
+      this.queue.push(waiter);
+    });
+  }
+
+  release(slot, { recycle = false } = {}) {
+    this.busy.delete(slot);
+    slot.renders += 1;
+    this.counters.renders += 1;
+
+    if (recycle || slot.renders >= this.maxRendersPerPage || slot.page.isClosed() || !this.isReady) {
+      this.counters.recycled += 1;
+      slot.page.close().catch(() => {});
+      this.addPage();
+      return;
+    }
+
+    this.handOff(slot);
+  }
+
+  // Runs task(page) on a pooled page; a page whose task throws is replaced
+  async run(task) {
+    const slot = await this.acquire();
+    let failed = false;
+
+    try {
+      return await task(slot.page);
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      this.release(slot, { recycle: failed });
+    }
+  }
+
+  handleDisconnect() {
+    if (this.closed) return;
+
+    console.error('❌ Browser disconnected, relaunching');
+    this.browser = null;
+    this.idle = [];
+    this.emit('disconnected');
+    this.scheduleRelaunch();
+  }
+
+  // One pending attempt at a time; a failed attempt schedules the next one
+  // from start(), backing off up to 30 seconds
+  scheduleRelaunch() {
+    if (this.closed || this.relaunchTimer) return;
+    if (this.relaunching) this.relaunchDelay = Math.min(this.relaunchDelay * 2, 30000);
+    this.relaunching = true;
+
+    this.relaunchTimer = setTimeout(async () => {
+      this.relaunchTimer = null;
+      if (this.closed) return;
+
+      if (await this.start()) {
+        this.relaunching = false;
+        this.counters.restarts += 1;
+        this.emit('restarted');
+        console.log('✅ Browser relaunched');
+      }
+    }, this.relaunchDelay);
+    this.relaunchTimer.unref();
+  }
+
+  stats() {
+    return {
+      ready: this.isReady,
+      relaunching: this.relaunching,
+      launchFailed: this.launchFailed,
+      size: this.size,
+      pages: this.idle.length + this.busy.size,
+      busy: this.busy.size,
+      idle: this.idle.length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      utilisation: Math.round((this.busy.size / this.size) * 100) / 100,
+      ...this.counters
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.relaunchTimer);
+    this.relaunchTimer = null;
+
+    this.queue.forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new RenderPoolError('Render pool is shutting down', { code: 'POOL_CLOSED' }));
+    });
+    this.queue = [];
+
+    if (this.browser) {
+      const { browser } = this;
+      this.browser = null;
+      await browser.close();
+    }
+  }
+}
+
+module.exports = {
+  RenderPool,
+  RenderPoolError
+};
@@ -0,0 +1,552 @@
+const { EventEmitter } = require('events');
+const { detectLanguage } = require('./highlighter');
+const { RenderPool } = require('./render-pool');
+const { RenderError } = require('./errors');
+const { renderKey } = require('./render-key');
+const { diffSource } = require('./diff');
+const { RENDER_DEFAULTS, prepareOptions } = require('./options');
+const { hasTheme, normaliseTheme } = require('./themes');
+const { generateSVG } = require('./svg');
+const { Rasterizer } = require('./rasterizer');
+const { generateHTMLTemplate } = require('./template');
+const { decodePNG } = require('./png');
+const { PaletteBuilder, GIFEncoder } = require('./gif');
+const {
+  ANIMATION_LIMITS,
+  ENCODE_TIMEOUT_MS,
+  framePixels,
+  isAnimated,
+  normaliseAnimation,
+  frameCount,
+  planFrames,
+  measureCode,
+  revealCode,
+  encodeWebM
+} = require('./animation');
+
+// The renderer on its own, for the server and the CLI alike: options are
+// normalised, SVG is built directly and raster formats are screenshotted
+// through a pool of Puppeteer pages, animations as a series of screenshots.
+// Without a browser, PNG falls back to rasterizing the SVG (lib/rasterizer.js).
+//
+// Emits 'timing' ({ phase, format, seconds }) for set_content, screenshot,
+// encode (animations only), rasterize and total render time.
+
+const IMAGE_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  gif: 'image/gif',
+  webm: 'video/webm'
+};
+
+// Which engine draws PNGs: 'browser' screenshots the HTML template,
+// 'raster' rasterizes the SVG, 'auto' uses the browser when it is running
+const RENDER_ENGINES = ['auto', 'browser', 'raster'];
+
+// Most frames a GIF palette is built from
+const PALETTE_SAMPLE_FRAMES = 8;
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=site-per-process',
+  '--disable-setuid-sandbox',
+  '--disable-accelerated-2d-canvas',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-breakpad',
+  '--disable-component-extensions-with-background-pages',
+  '--disable-extensions',
+  '--disable-features=TranslateUI',
+  '--disable-ipc-flooding-protection',
+  '--disable-renderer-backgrounding',
+  '--enable-features=NetworkService,NetworkServiceInProcess',
+  '--font-render-hinting=none'
+];
+
+class Renderer extends EventEmitter {
+  // puppeteer: the module, or null for SVG-only rendering
+  // cache: a RenderCache (or anything with get/set), optional
+  // themes: a Store of user themes, looked up by ID, optional
+  // engine: one of RENDER_ENGINES
+  constructor({
+    puppeteer = null,
+    engine = 'auto',
+    executablePath,
+    poolSize = 4,
+    maxQueue = 50,
+    maxWaitMs = 15000,
+    maxRendersPerPage = 100,
+    maxImageSize = { width: 1920, height: 4320 },
+    cache = null,
+    themes = null
+  } = {}) {
+    super();
+    if (!RENDER_ENGINES.includes(engine)) {
+      throw new Error(`Unknown render engine "${engine}" (expected ${RENDER_ENGINES.join(', ')})`);
+    }
+    this.engine = engine;
+    this.rasterizer = new Rasterizer();
+    this.maxImageSize = maxImageSize;
+    this.cache = cache;
+    this.themes = themes;
+    this.pool = new RenderPool(puppeteer, {
+      launchOptions: {
+        headless: 'new',
+        args: LAUNCH_ARGS,
+        defaultViewport: {
+          width: 1200,
+          height: 800,
+          deviceScaleFactor: 2
+        },
+        ...(executablePath ? { executablePath } : {})
+      },
+      size: poolSize,
+      maxQueue,
+      maxWaitMs,
+      maxRendersPerPage
+    });
+  }
+
+  // Launches the browser; resolves false when it is not available
+  start() {
+    return this.pool.start();
+  }
+
+  close() {
+    return this.pool.close();
+  }
+
+  // Starts a timer for one render phase; call the result to stop it
+  timer(phase, format) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.emit('timing', { phase, format, seconds });
+    };
+  }
+
+  // Fills in defaults and coerces numeric options, so requests that would
+  // render the same image also hash to the same cache key
+  async normaliseOptions(code, rawOptions = {}) {
+    const options = prepareOptions(code, rawOptions);
+
+    // Templates get user themes as a checked palette; built-ins stay by name
+    if (options.customTheme) {
+      options.customTheme = normaliseTheme(options.customTheme);
+      delete options.theme;
+    } else if (!hasTheme(options.theme)) {
+      const stored = this.themes ? await this.themes.get(options.theme) : null;
+      if (!stored) {
+        throw new RenderError('Theme not found', { status: 400, code: 'UNKNOWN_THEME' });
+      }
+      options.customTheme = stored;
+      delete options.theme;
+    }
+
+    if (options.format === 'jpeg' || options.format === 'webp') {
+      options.quality = parseInt(options.quality) || 90;
+    } else {
+      delete options.quality;
+    }
+    if (isAnimated(options.format)) {
+      options.animation = normaliseAnimation(options.animation);
+    } else {
+      delete options.animation;
+    }
+
+    // Resolve 'auto' up front so highlighting, title and response agree
+    const language = { name: options.language || 'auto', detected: false, confidence: 1 };
+    if (language.name === 'auto') {
+      const detection = detectLanguage(options.mode === 'diff' ? diffSource(code, options) : code);
+      Object.assign(language, {
+        name: detection.language,
+        detected: true,
+        confidence: detection.confidence
+      });
+    }
+    options.language = language.name;
+
+    return { options, language };
+  }
+
+  // The engine that draws `format`: 'svg' for vector output, else
+  // 'browser' or 'raster'. Only PNG can be rasterized; everything else
+  // needs the browser and fails with a 503 while it is down.
+  engineFor(format, engine = this.engine) {
+    if (format === 'svg') return 'svg';
+    if (format !== 'png' || engine === 'browser') return 'browser';
+    if (engine === 'raster') {
+      if (!this.rasterizer.isAvailable) {
+        throw new RenderError('Rendering without a browser needs @resvg/resvg-js', {
+          status: 503,
+          code: 'ENGINE_UNAVAILABLE'
+        });
+      }
+      return 'raster';
+    }
+    return this.pool.isAvailable || !this.rasterizer.isAvailable ? 'browser' : 'raster';
+  }
+
+  // Renders code to an image buffer, going through the cache when there is
+  // one. Options are validated beforehand (see lib/validation.js); `engine`
+  // overrides the renderer's engine for this render.
+  async render(code, rawOptions = {}, { engine } = {}) {
+    const { options, language } = await this.normaliseOptions(code, rawOptions);
+    const { format, scale } = options;
+    const used = this.engineFor(format, engine);
+
+    // Rasterized PNGs differ slightly from screenshots, so they are cached
+    // apart; screenshots keep the keys they always had
+    const cacheKey = renderKey(code, used === 'raster' ? { ...options, engine: used } : options);
+    const cached = this.cache && await this.cache.get(cacheKey);
+    if (cached) {
+      return { buffer: cached.buffer, ...cached.meta, language, cached: true };
+    }
+
+    const stopTotal = this.timer('total', format);
+    let rendered;
+    if (used === 'svg') {
+      rendered = this.renderSVG(code, options);
+    } else if (used === 'raster') {
+      rendered = await this.renderRaster(code, options);
+    } else if (isAnimated(format)) {
+      rendered = await this.renderAnimation(code, options);
+    } else {
+      rendered = await this.renderScreenshot(code, options);
+    }
+    const { buffer, dimensions, animation } = rendered;
+    stopTotal();
+
+    const meta = {
+      mimeType: IMAGE_FORMATS[format],
+      format,
+      engine: used,
+      ...(format === 'svg' ? {} : { scale }),
+      dimensions,
+      ...(animation ? { animation } : {})
+    };
+    if (this.cache) await this.cache.set(cacheKey, { buffer, meta });
+
+    return { buffer, ...meta, language, cached: false };
+  }
+
+  // SVG is built directly on the server, no browser needed
+  renderSVG(code, options) {
+    const { svg, dimensions } = generateSVG(code, options);
+    this.assertImageSize(dimensions);
+    return { buffer: Buffer.from(svg), dimensions };
+  }
+
+  // Pixel size of the PNG a render would produce, laid out but not drawn
+  async measurePNG(code, rawOptions = {}) {
+    const { options, language } = await this.normaliseOptions(code, { ...rawOptions, format: 'png' });
+    const { dimensions } = generateSVG(code, options);
+    return {
+      width: Math.round(dimensions.width * options.scale),
+      height: Math.round(dimensions.height * options.scale),
+      language
+    };
+  }
+
+  // The SVG drawing rasterized to PNG, no browser needed
+  async renderRaster(code, options) {
+    const { svg, dimensions } = generateSVG(code, options);
+    this.assertImageSize(dimensions);
+
+    const stopRasterize = this.timer('rasterize', options.format);
+    const buffer = await this.rasterizer.rasterize(svg, {
+      fontFamily: options.fontFamily,
+      text: code + (options.before || ''),
+      scale: options.scale
+    });
+    stopRasterize();
+    return { buffer, dimensions };
+  }
+
+  assertBrowser() {
+    if (!this.pool.isAvailable) {
+      throw new RenderError('Image generation service is temporarily unavailable', {
+        status: 503,
+        details: { fallback: true }
+      });
+    }
+  }
+
+  async loadTemplate(page, code, options) {
+    await page.setContent(generateHTMLTemplate(code, options), {
+      waitUntil: 'load',
+      timeout: 10000
+    });
+    // Fonts are inlined, so this only waits for them to be decoded
+    await page.evaluate(() => document.fonts.ready.then(() => true));
+  }
+
+  async measureFrame(page) {
+    const dimensions = await page.evaluate(() => {
+      const element = document.querySelector('.frame');
+      if (!element) return null;
+      const rect = element.getBoundingClientRect();
+      return {
+        x: Math.floor(rect.x),
+        y: Math.floor(rect.y),
+        width: Math.ceil(rect.width),
+        height: Math.ceil(rect.height)
+      };
+    });
+
+    if (!dimensions) {
+      throw new Error('Could not find code container');
+    }
+    return dimensions;
+  }
+
+  isTransparent(options) {
+    return options.backgroundColor === 'transparent' && !options.backgroundImage && !options.backgroundGradient;
+  }
+
+  async renderScreenshot(code, options) {
+    const { format, scale } = options;
+    this.assertBrowser();
+
+    const { screenshot, dimensions } = await this.pool.run(async (page) => {
+      // Pages are pooled, so the scale has to be applied on every render
+      await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: scale });
+
+      const stopSetContent = this.timer('set_content', format);
+      await this.loadTemplate(page, code, options);
+      stopSetContent();
+
+      const dimensions = await this.measureFrame(page);
+
+      // Oversized output is rejected below rather than silently cropped
+      if (this.isTooLarge(dimensions)) {
+        return { screenshot: null, dimensions };
+      }
+
+      // Take screenshot
+      const stopScreenshot = this.timer('screenshot', format);
+      const screenshot = await page.screenshot({
+        type: format,
+        clip: dimensions,
+        omitBackground: this.isTransparent(options),
+        ...(format === 'png' ? {} : { quality: options.quality })
+      });
+      stopScreenshot();
+
+      return { screenshot, dimensions };
+    });
+
+    this.assertImageSize(dimensions);
+
+    return {
+      buffer: Buffer.from(screenshot),
+      dimensions: {
+        width: dimensions.width,
+        height: dimensions.height
+      }
+    };
+  }
+
+  // GIF and WebM. Every frame is a PNG screenshot of the template; they
+  // are encoded here once the page is released back to the pool.
+  async renderAnimation(code, options) {
+    const { format, scale, animation } = options;
+    if (frameCount(animation) > ANIMATION_LIMITS.maxFrames) {
+      throw new RenderError(`Animation would have more than ${ANIMATION_LIMITS.maxFrames} frames`, {
+        status: 400,
+        code: 'TOO_MANY_FRAMES'
+      });
+    }
+    this.assertBrowser();
+
+    const transparent = this.isTransparent(options);
+    const states = animation.style === 'steps' ? [...animation.steps, code] : [code];
+
+    const { frames, dimensions } = await this.pool.run(async (page) => {
+      await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: scale });
+
+      // Code states differ in size, so each one is laid out at the size of
+      // the largest (the CSS uses border-box sizing)
+      const stopSetContent = this.timer('set_content', format);
+      let fixedSize = null;
+      if (states.length > 1) {
+        const size = { width: 0, height: 0 };
+        for (const state of states) {
+          await this.loadTemplate(page, state, options);
+          const { width, height } = await page.evaluate(() => ({
+            width: document.querySelector('.frame').getBoundingClientRect().width,
+            height: document.querySelector('.carbon-container').getBoundingClientRect().height
+          }));
+          size.width = Math.max(size.width, Math.ceil(width));
+          size.height = Math.max(size.height, Math.ceil(height));
+        }
+        fixedSize = `.frame { width: ${size.width}px !important; } .carbon-container { min-height: ${size.height}px; }`;
+      }
+
+      let loaded = -1;
+      const load = async (state) => {
+        if (state === loaded) return;
+        await this.loadTemplate(page, states[state], options);
+        if (fixedSize) await page.addStyleTag({ content: fixedSize });
+        loaded = state;
+      };
+
+      await load(0);
+      const total = animation.style === 'steps' ? 0 : await page.evaluate(measureCode, animation.style);
+      const plan = planFrames(animation, total);
+      const dimensions = await this.measureFrame(page);
+      stopSetContent();
+
+      if (this.isTooLarge(dimensions) || framePixels(dimensions, scale) > ANIMATION_LIMITS.maxPixels) {
+        return { frames: null, dimensions };
+      }
+
+      const stopScreenshot = this.timer('screenshot', format);
+      const frames = [];
+      let captured = 0;
+      for (const frame of plan) {
+        await load(frame.state);
+        if (animation.style !== 'steps') {
+          await page.evaluate(revealCode, animation.style, frame.reveal, frame.caret);
+        }
+        const png = await page.screenshot({ type: 'png', clip: dimensions, omitBackground: transparent });
+        captured += png.length;
+        if (captured > ANIMATION_LIMITS.maxCaptureBytes) {
+          return { frames: null, dimensions, captured };
+        }
+        frames.push({ png: Buffer.from(png), delay: frame.delay });
+      }
+      stopScreenshot();
+
+      return { frames, dimensions };
+    });
+
+    this.assertImageSize(dimensions);
+    this.assertFramePixels(dimensions, scale);
+    if (!frames) {
+      throw new RenderError('Animation frames are too large to encode; use fewer frames, a smaller scale or less code', {
+        status: 413,
+        code: 'ANIMATION_TOO_LARGE',
+        details: { maxCaptureBytes: ANIMATION_LIMITS.maxCaptureBytes }
+      });
+    }
+
+    const stopEncode = this.timer('encode', format);
+    const duration = Math.round(frames.reduce((sum, frame) => sum + frame.delay, 0) * 1000) / 1000;
+    const buffer = format === 'gif'
+      ? await this.encodeGIF(frames, { transparent, paletteFrames: this.paletteFrames(frames, animation.style) })
+      : await encodeWebM(frames, { fps: animation.fps, transparent });
+    stopEncode();
+
+    this.assertAnimationBytes(buffer.length);
+
+    return {
+      buffer,
+      dimensions: {
+        width: dimensions.width,
+        height: dimensions.height
+      },
+      animation: {
+        frames: frames.length,
+        duration
+      }
+    };
+  }
+
+  // Frames that between them hold every color: the last two for reveal
+  // styles (the finished code, and the caret), and for steps up to
+  // PALETTE_SAMPLE_FRAMES spread over the states, always with the last
+  paletteFrames(frames, style) {
+    if (style !== 'steps') return frames.slice(-2);
+    if (frames.length <= PALETTE_SAMPLE_FRAMES) return frames;
+    return Array.from({ length: PALETTE_SAMPLE_FRAMES }, (_, i) => (
+      frames[Math.round((i * (frames.length - 1)) / (PALETTE_SAMPLE_FRAMES - 1))]
+    ));
+  }
+
+  // Frames are decoded one at a time, for the palette and again for the
+  // encoder, and each screenshot is dropped once encoded. Encoding yields
+  // between frames so the server stays responsive, and stops as soon as
+  // the GIF outgrows the byte limit or the time limit.
+  async encodeGIF(frames, { transparent, paletteFrames }) {
+    const deadline = Date.now() + ENCODE_TIMEOUT_MS;
+    let builder = null;
+    let size = null;
+    for (const { png } of paletteFrames) {
+      const { width, height, data } = decodePNG(png);
+      size = size || { width, height };
+      builder = builder || new PaletteBuilder({
+        size: transparent ? 255 : 256,
+        pixels: paletteFrames.length * width * height
+      });
+      builder.add(data);
+    }
+
+    const encoder = new GIFEncoder({ ...size, palette: builder.palette(), transparent });
+    for (const frame of frames) {
+      encoder.addFrame(decodePNG(frame.png).data, frame.delay);
+      frame.png = null;
+      this.assertAnimationBytes(encoder.size);
+      if (Date.now() > deadline) {
+        throw new RenderError(`Animation took more than ${ENCODE_TIMEOUT_MS / 1000}s to encode; use fewer frames or a smaller scale`, {
+          status: 413,
+          code: 'ENCODE_TIMEOUT'
+        });
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return encoder.finish();
+  }
+
+  assertFramePixels(dimensions, scale) {
+    const pixels = framePixels(dimensions, scale);
+    if (pixels <= ANIMATION_LIMITS.maxPixels) return;
+
+    throw new RenderError(`Animation frames would be ${pixels} device pixels, more than the ${ANIMATION_LIMITS.maxPixels} pixel limit; lower the scale or size`, {
+      status: 400,
+      code: 'IMAGE_TOO_LARGE',
+      details: { pixels, maxPixels: ANIMATION_LIMITS.maxPixels }
+    });
+  }
+
+  assertAnimationBytes(bytes) {
+    if (bytes <= ANIMATION_LIMITS.maxBytes) return;
+
+    throw new RenderError(`Animation is over ${ANIMATION_LIMITS.maxBytes} bytes, the size limit`, {
+      status: 413,
+      code: 'ANIMATION_TOO_LARGE',
+      details: { bytes, maxBytes: ANIMATION_LIMITS.maxBytes }
+    });
+  }
+
+  isTooLarge({ width, height }) {
+    return width > this.maxImageSize.width || height > this.maxImageSize.height;
+  }
+
+  assertImageSize({ width, height }) {
+    if (!this.isTooLarge({ width, height })) return;
+
+    const max = this.maxImageSize;
+    throw new RenderError(`Image would be ${width}×${height}px, larger than the ${max.width}×${max.height}px limit`, {
+      status: 400,
+      code: 'IMAGE_TOO_LARGE',
+      details: {
+        dimensions: { width, height },
+        maxDimensions: max
+      }
+    });
+  }
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  RENDER_DEFAULTS,
+  RENDER_ENGINES,
+  Renderer
+};
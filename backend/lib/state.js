@@ -0,0 +1,41 @@
+// Editor state ({ code, options }) as the frontend keeps it in the URL hash
+// (#state=...), so a link reproduces the setup: UTF-8 JSON in URL-safe
+// base64. Shared with the browser through /js/carbon-shared.js.
+
+const ENCODED_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function encodeState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The state from a link, or null when it is not one. Links come from
+// anywhere, so only a string of code and an options object are kept.
+function decodeState(encoded) {
+  if (!ENCODED_PATTERN.test(encoded)) return null;
+
+  let state;
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    state = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+  } catch (error) {
+    return null;
+  }
+
+  if (!state || typeof state.code !== 'string') return null;
+  const { options } = state;
+  return {
+    code: state.code,
+    options: options && typeof options === 'object' && !Array.isArray(options) ? options : {}
+  };
+}
+
+module.exports = {
+  encodeState,
+  decodeState
+};
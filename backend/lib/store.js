@@ -0,0 +1,123 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Small key/value store for JSON documents. Uses Redis when a connected
+// client is available and falls back to one file per key under `dir`.
+// Expiry is enforced by Redis itself; for files it is checked on read, and
+// sweep() removes expired files nobody reads again.
+class Store {
+  constructor({ namespace, redis = () => null, dir }) {
+    this.namespace = namespace;
+    this.redis = redis;
+    this.dir = path.join(dir, namespace);
+  }
+
+  get client() {
+    const client = this.redis();
+    return client && client.isReady ? client : null;
+  }
+
+  redisKey(key) {
+    return `carbon:${this.namespace}:${key}`;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    const client = this.client;
+    if (client) {
+      const raw = await client.get(this.redisKey(key));
+      return raw ? JSON.parse(raw) : null;
+    }
+
+    try {
+      const { value, expiresAt } = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      if (expiresAt && expiresAt <= Date.now()) {
+        await this.delete(key);
+        return null;
+      }
+      return value;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // ttl is in seconds; omit it to keep the value until deleted
+  async set(key, value, { ttl } = {}) {
+    const client = this.client;
+    if (client) {
+      await client.set(this.redisKey(key), JSON.stringify(value), ttl ? { EX: ttl } : {});
+      return;
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const expiresAt = ttl ? Date.now() + ttl * 1000 : null;
+    const file = this.filePath(key);
+    // Write then rename so readers never see a half-written file
+    await fs.writeFile(`${file}.tmp`, JSON.stringify({ value, expiresAt }));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  // Every key in the namespace, including file entries that have expired
+  // but not been read since
+  async keys() {
+    const client = this.client;
+    if (client) {
+      const prefix = this.redisKey('');
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        keys.push(key.slice(prefix.length));
+      }
+      return keys;
+    }
+
+    try {
+      return (await fs.readdir(this.dir))
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Deletes expired file entries and returns how many went. Files are read
+  // one at a time; Redis expires keys itself, so there is nothing to do.
+  async sweep(now = Date.now()) {
+    if (this.client) return 0;
+
+    let removed = 0;
+    for (const key of await this.keys()) {
+      try {
+        const { expiresAt } = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+        if (expiresAt && expiresAt <= now && await this.delete(key)) removed++;
+      } catch (error) {
+        // Deleted meanwhile, or not a store entry
+        if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      }
+    }
+    return removed;
+  }
+
+  async delete(key) {
+    const client = this.client;
+    if (client) {
+      return (await client.del(this.redisKey(key))) > 0;
+    }
+
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  Store
+};
@@ -0,0 +1,262 @@
+const { detectLanguage, tokenizeLines, escapeHTML } = require('./highlighter');
+const { getTheme } = require('./themes');
+const { selectLines } = require('./lines');
+const { buildDiff } = require('./diff');
+const {
+  SHADOW_COLOR,
+  SHADOW_OFFSET,
+  WINDOWS_BUTTONS,
+  WINDOWS_BUTTON_SIZE,
+  WINDOWS_BUTTON_GAP,
+  toPixels,
+  resolveFrame,
+  backgroundDefs,
+  backgroundSVG
+} = require('./frame');
+const { fonts } = require('./fonts');
+
+// Layout constants mirror the CSS in generateHTMLTemplate so the vector
+// output lines up with the PNG screenshot of the same snippet
+const CODE_PADDING = 32;
+const HEADER_PADDING_X = 24;
+const HEADER_PADDING_Y = 16;
+const DOT_SIZE = 14;
+const DOT_GAP = 10;
+const GUTTER_MIN_WIDTH = 40;
+const GUTTER_PADDING = 16;
+const GUTTER_MARGIN = 16;
+const GRID_SIZE = 30;
+const HIGHLIGHT_ACCENT_WIDTH = 3;
+const DIMMED_OPACITY = 0.35;
+// Advance width of one character in a monospace font, in em
+const CHAR_WIDTH_EM = 0.6;
+
+const TOKEN_STYLES = {
+  comment: 'font-style="italic"',
+  keyword: 'font-weight="600"',
+  punctuation: 'fill-opacity="0.8"'
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Splits token lines into rows no wider than `columns`, the way
+// white-space: pre-wrap breaks long lines in the browser
+function wrapLine(tokens, columns, tabSize) {
+  const rows = [[]];
+  let width = 0;
+
+  tokens.forEach(({ type, value }) => {
+    let text = value.replace(/\t/g, ' '.repeat(tabSize));
+    while (text) {
+      if (width >= columns) {
+        rows.push([]);
+        width = 0;
+      }
+      const part = text.slice(0, columns - width);
+      rows[rows.length - 1].push({ type, value: part });
+      width += part.length;
+      text = text.slice(part.length);
+    }
+  });
+
+  return rows;
+}
+
+function renderRow(tokens, colors) {
+  return tokens
+    .map(({ type, value }) => {
+      const fill = type ? colors[type] || colors.text : colors.text;
+      const style = TOKEN_STYLES[type] ? ` ${TOKEN_STYLES[type]}` : '';
+      return `<tspan fill="${fill}"${style}>${escapeHTML(value)}</tspan>`;
+    })
+    .join('');
+}
+
+function generateSVG(code, options = {}) {
+  const {
+    theme = 'dark',
+    customTheme,
+    fontFamily = 'Fira Code',
+    fontSize = '14px',
+    language = 'auto',
+    showLineNumbers = true,
+    lineHeight = '1.6',
+    tabSize = 2
+  } = options;
+
+  const colors = customTheme ? customTheme.colors : getTheme(theme);
+  const resolvedLanguage = language === 'auto' ? detectLanguage(code).language : language;
+  const frame = resolveFrame(options, colors, resolvedLanguage);
+  const hasHeader = frame.windowStyle !== 'none';
+
+  const fontPx = toPixels(fontSize, 14);
+  const linePx = fontPx * (parseFloat(lineHeight) || 1.6);
+  const charWidth = fontPx * CHAR_WIDTH_EM;
+  // width and height are the window's; the frame adds padding around it
+  const width = frame.containerWidth;
+
+  const isDiff = options.mode === 'diff';
+  const lines = isDiff
+    ? buildDiff(code, options, (text) => tokenizeLines(text, resolvedLanguage)).map((line) => ({
+      ...line,
+      // Hunk separators are styled like comments, as in the HTML template
+      content: line.kind === 'hunk' ? [{ type: 'comment', value: line.label }] : line.content,
+      number: line.number || null
+    }))
+    : selectLines(tokenizeLines(code, resolvedLanguage), options);
+  const lastNumber = Math.max(1, ...lines.map((line) => line.number || 0));
+  const gutterBox = showLineNumbers
+    ? Math.max(GUTTER_MIN_WIDTH, String(lastNumber).length * charWidth + GUTTER_PADDING + 1)
+    : 0;
+  const gutterWidth = showLineNumbers ? gutterBox + GUTTER_MARGIN : 0;
+  // Diffs get a "+ " / "- " column between the gutter and the code
+  const signWidth = isDiff ? charWidth * 2 : 0;
+  const columns = Math.max(1, Math.floor((width - CODE_PADDING * 2 - gutterWidth - signWidth) / charWidth));
+
+  const titleSize = fontPx * 0.9;
+  const headerHeight = hasHeader
+    ? round(HEADER_PADDING_Y * 2 + Math.max(DOT_SIZE, titleSize * (parseFloat(lineHeight) || 1.6)) + 1)
+    : 0;
+
+  const { border, windowTint: tint, headerTint } = colors;
+
+  // Lay out every visual row, remembering which source line it starts
+  const signX = CODE_PADDING + gutterWidth;
+  const codeX = signX + signWidth;
+  let y = headerHeight + CODE_PADDING;
+  const rows = [];
+  const backgrounds = [];
+  lines.forEach((line) => {
+    const top = y;
+    wrapLine(line.content, columns, tabSize).forEach((row, rowIndex) => {
+      rows.push({
+        tokens: row,
+        number: rowIndex === 0 ? line.number : null,
+        sign: rowIndex === 0 && line.kind !== 'hunk' ? line.sign : null,
+        kind: line.kind,
+        dimmed: line.dimmed,
+        y
+      });
+      y = round(y + linePx);
+    });
+    const box = { y: top, height: round(y - top) };
+    if (line.highlighted) backgrounds.push({ ...box, fill: colors.lineHighlight, accent: colors.lineHighlightAccent });
+    if (line.kind === 'add') backgrounds.push({ ...box, fill: colors.diffAdded });
+    if (line.kind === 'del') backgrounds.push({ ...box, fill: colors.diffRemoved });
+  });
+
+  const height = Math.ceil(y + CODE_PADDING);
+  const frameWidth = width + frame.padding * 2;
+  const frameHeight = height + frame.padding * 2;
+  const radius = frame.radius;
+  const fontStack = `'${fontFamily.replace(/'/g, '')}', monospace`;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${frameWidth}" height="${frameHeight}" viewBox="0 0 ${frameWidth} ${frameHeight}">`);
+  parts.push('<defs>');
+  parts.push(`<style><![CDATA[${fonts.fontFaceCSS(fontFamily, code + (options.before || '') + frame.title)}]]></style>`);
+  parts.push(`<clipPath id="window"><rect width="${width}" height="${height}" rx="${radius}"/></clipPath>`);
+  parts.push(`<pattern id="grid" width="${GRID_SIZE}" height="${GRID_SIZE}" patternUnits="userSpaceOnUse">`
+    + `<path d="M0 0.5H${GRID_SIZE}M0.5 0V${GRID_SIZE}" stroke="rgba(255, 255, 255, 0.03)" stroke-width="1"/></pattern>`);
+  parts.push(backgroundDefs(frame.background, frameWidth, frameHeight));
+  if (frame.shadow) {
+    // Like box-shadow: blurred and offset, and never drawn under the window
+    parts.push(`<filter id="shadow" filterUnits="userSpaceOnUse" x="${-frame.padding}" y="${-frame.padding}" width="${frameWidth}" height="${frameHeight}">`
+      + `<feGaussianBlur in="SourceAlpha" stdDeviation="${frame.shadow / 2}"/>`
+      + `<feOffset dy="${Math.round(frame.shadow * SHADOW_OFFSET)}" result="blur"/>`
+      + `<feFlood flood-color="${SHADOW_COLOR}"/>`
+      + '<feComposite in2="blur" operator="in" result="shadow"/>'
+      + '<feComposite in="shadow" in2="SourceAlpha" operator="out"/></filter>');
+  }
+  parts.push('</defs>');
+
+  parts.push(backgroundSVG(frame.background, frameWidth, frameHeight));
+  parts.push(`<g transform="translate(${frame.padding}, ${frame.padding})">`);
+  if (frame.shadow) {
+    parts.push(`<rect width="${width}" height="${height}" rx="${radius}" filter="url(#shadow)"/>`);
+  }
+
+  parts.push('<g clip-path="url(#window)">');
+  if (frame.background.type === 'transparent') {
+    parts.push(`<rect width="${width}" height="${height}" fill="${frame.background.windowColor}"/>`);
+  }
+  parts.push(`<rect width="${width}" height="${height}" fill="${tint}"/>`);
+
+  if (hasHeader) {
+    const centerY = round(headerHeight / 2);
+    parts.push(`<rect width="${width}" height="${headerHeight}" fill="${headerTint}"/>`);
+    parts.push(`<line x1="0" y1="${round(headerHeight - 0.5)}" x2="${width}" y2="${round(headerHeight - 0.5)}" stroke="${border}"/>`);
+
+    const titleAttributes = `y="${centerY}" font-family="${escapeHTML(fontStack)}" font-size="${titleSize}" font-weight="500" `
+      + `fill="${colors.comment}" dominant-baseline="central"`;
+    // Mirrors text-overflow: ellipsis on .window-title
+    const fitTitle = (room) => {
+      const fits = Math.max(1, Math.floor(room / (titleSize * CHAR_WIDTH_EM)));
+      return escapeHTML(frame.title.length > fits ? `${frame.title.slice(0, fits - 1)}…` : frame.title);
+    };
+
+    if (frame.windowStyle === 'mac') {
+      ['#ff5f56', '#ffbd2e', '#27ca3f'].forEach((color, i) => {
+        const cx = HEADER_PADDING_X + DOT_SIZE / 2 + i * (DOT_SIZE + DOT_GAP);
+        parts.push(`<circle cx="${cx}" cy="${centerY}" r="${DOT_SIZE / 2}" fill="${color}"/>`);
+      });
+      const controlsEnd = HEADER_PADDING_X + DOT_SIZE * 3 + DOT_GAP * 2;
+      const titleX = (controlsEnd + width - HEADER_PADDING_X - 60) / 2;
+      parts.push(`<text x="${titleX}" ${titleAttributes} text-anchor="middle">`
+        + `${fitTitle(width - HEADER_PADDING_X - 60 - controlsEnd)}</text>`);
+    } else {
+      const buttonsWidth = WINDOWS_BUTTON_SIZE * 3 + WINDOWS_BUTTON_GAP * 2;
+      const buttonsX = width - HEADER_PADDING_X - buttonsWidth;
+      parts.push(`<text x="${HEADER_PADDING_X}" ${titleAttributes}>${fitTitle(buttonsX - HEADER_PADDING_X * 2)}</text>`);
+      Object.values(WINDOWS_BUTTONS).forEach((d, i) => {
+        const x = buttonsX + i * (WINDOWS_BUTTON_SIZE + WINDOWS_BUTTON_GAP);
+        parts.push(`<path transform="translate(${x}, ${round(centerY - WINDOWS_BUTTON_SIZE / 2)})" d="${d}" fill="none" stroke="${colors.comment}"/>`);
+      });
+    }
+  }
+
+  backgrounds.forEach((background) => {
+    parts.push(`<rect y="${background.y}" width="${width}" height="${background.height}" fill="${background.fill}"/>`);
+    if (background.accent) {
+      parts.push(`<rect y="${background.y}" width="${HIGHLIGHT_ACCENT_WIDTH}" height="${background.height}" fill="${background.accent}"/>`);
+    }
+  });
+
+  if (showLineNumbers) {
+    const gutterX = CODE_PADDING + gutterBox;
+    parts.push(`<line x1="${gutterX - 0.5}" y1="${headerHeight + CODE_PADDING}" x2="${gutterX - 0.5}" y2="${y}" stroke="${border}"/>`);
+  }
+
+  parts.push(`<g font-family="${escapeHTML(fontStack)}" font-size="${fontPx}" xml:space="preserve" style="white-space: pre">`);
+  rows.forEach((row) => {
+    const baseline = round(row.y + linePx / 2);
+    const opacity = row.dimmed ? ` opacity="${DIMMED_OPACITY}"` : '';
+    if (showLineNumbers && row.number !== null) {
+      parts.push(`<text x="${CODE_PADDING + gutterBox - GUTTER_PADDING - 1}" y="${baseline}" text-anchor="end" `
+        + `dominant-baseline="central" fill="${colors.comment}"${opacity}>${row.number}</text>`);
+    }
+    if (row.sign && row.sign !== ' ') {
+      const fill = row.kind === 'add' ? colors.diffAddedSign : colors.diffRemovedSign;
+      parts.push(`<text x="${signX}" y="${baseline}" dominant-baseline="central" fill="${fill}">${row.sign}</text>`);
+    }
+    if (row.tokens.length) {
+      parts.push(`<text x="${codeX}" y="${baseline}" dominant-baseline="central"${opacity}>${renderRow(row.tokens, colors)}</text>`);
+    }
+  });
+  parts.push('</g>');
+
+  parts.push(`<rect width="${width}" height="${height}" fill="url(#grid)"/>`);
+  parts.push('</g>');
+  parts.push(`<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="${radius}" fill="none" stroke="${border}"/>`);
+  parts.push('</g>');
+  parts.push('</svg>');
+
+  return {
+    svg: parts.filter(Boolean).join('\n'),
+    dimensions: { width: frameWidth, height: frameHeight }
+  };
+}
+
+module.exports = {
+  generateSVG
+};
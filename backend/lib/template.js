@@ -0,0 +1,276 @@
+const { detectLanguage, highlightLines, escapeHTML } = require('./highlighter');
+const { getTheme } = require('./themes');
+const { selectLines } = require('./lines');
+const { buildDiff } = require('./diff');
+const {
+  WINDOWS_BUTTONS,
+  WINDOWS_BUTTON_SIZE,
+  WINDOWS_BUTTON_GAP,
+  resolveFrame,
+  backgroundCSS,
+  shadowCSS
+} = require('./frame');
+const { fonts } = require('./fonts');
+
+// The page that Puppeteer screenshots. Code is highlighted here, fonts are
+// inlined, and nothing is loaded from the network.
+function generateHTMLTemplate(code, options = {}) {
+  const {
+    theme = 'dark',
+    customTheme,
+    fontFamily = 'Fira Code',
+    fontSize = '14px',
+    language = 'auto',
+    showLineNumbers = true,
+    lineHeight = '1.6',
+    tabSize = 2
+  } = options;
+
+  const themeColors = customTheme ? customTheme.colors : getTheme(theme);
+  const fontFamilyCSS = fontFamily.includes(' ') ? `'${fontFamily}'` : fontFamily;
+
+  // Tokenize on the server so the page needs no highlighting script
+  const resolvedLanguage = language === 'auto' ? detectLanguage(code).language : language;
+  const frame = resolveFrame(options, themeColors, resolvedLanguage);
+  const hasHeader = frame.windowStyle !== 'none';
+  const isDiff = options.mode === 'diff';
+  const codeLines = isDiff
+    ? buildDiff(code, options, (text) => highlightLines(text, resolvedLanguage))
+      .map((line) => `<div class="line diff-${line.kind}">`
+        + (showLineNumbers ? `<span class="line-number">${line.number || ''}</span>` : '')
+        + `<span class="diff-sign">${line.kind === 'hunk' ? '  ' : `${line.sign} `}</span>`
+        + `<span class="line-content">${line.kind === 'hunk' ? escapeHTML(line.label) : line.content || ' '}</span>`
+        + '</div>')
+      .join('')
+    : selectLines(highlightLines(code, resolvedLanguage), options)
+      .map((line) => `<div class="${['line', line.highlighted && 'highlighted', line.dimmed && 'dimmed'].filter(Boolean).join(' ')}">`
+        + (showLineNumbers ? `<span class="line-number">${line.number}</span>` : '')
+        + `<span class="line-content">${line.content || ' '}</span>`
+        + '</div>')
+      .join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Carbon Code</title>
+    <style>${fonts.fontFaceCSS(fontFamily, code + (options.before || '') + frame.title)}</style>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            background: transparent;
+            font-family: ${fontFamilyCSS}, monospace;
+            font-size: ${fontSize};
+            line-height: ${lineHeight};
+            color: ${themeColors.text};
+        }
+        
+        /* The exported image: padding and background around the window */
+        .frame {
+            width: ${frame.containerWidth + frame.padding * 2}px;
+            padding: ${frame.padding}px;
+            background: ${backgroundCSS(frame.background)};
+        }
+        
+        .carbon-container {
+            width: 100%;
+            background: ${frame.background.type === 'transparent'
+              ? `linear-gradient(${themeColors.windowTint}, ${themeColors.windowTint}), ${frame.background.windowColor}`
+              : themeColors.windowTint};
+            border-radius: ${frame.radius}px;
+            overflow: hidden;
+            box-shadow: ${shadowCSS(frame.shadow)};
+            border: 1px solid ${themeColors.border};
+        }
+        
+        ${hasHeader ? `
+        .window-header {
+            background: ${themeColors.headerTint};
+            padding: 16px 24px;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            border-bottom: 1px solid ${themeColors.border};
+        }
+        
+        .window-controls {
+            display: flex;
+            gap: 10px;
+        }
+        
+        .window-dot {
+            width: 14px;
+            height: 14px;
+            border-radius: 50%;
+            cursor: pointer;
+            transition: all 0.2s ease;
+        }
+        
+        .window-dot:hover {
+            transform: scale(1.1);
+        }
+        
+        .dot-close { background: #ff5f56; }
+        .dot-minimize { background: #ffbd2e; }
+        .dot-maximize { background: #27ca3f; }
+        
+        .window-title {
+            font-size: 0.9em;
+            color: ${themeColors.comment};
+            font-weight: 500;
+            white-space: pre;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        
+        .window-buttons {
+            display: flex;
+            gap: ${WINDOWS_BUTTON_GAP}px;
+            color: ${themeColors.comment};
+        }
+        
+        .window-buttons svg {
+            display: block;
+            overflow: visible;
+        }
+        ` : ''}
+        
+        .code-wrapper {
+            padding: 32px;
+            overflow: auto;
+        }
+        
+        pre {
+            margin: 0;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            tab-size: ${tabSize};
+        }
+        
+        code {
+            font-family: inherit;
+            display: block;
+        }
+        
+        .line {
+            display: flex;
+            min-height: ${parseInt(fontSize) * parseFloat(lineHeight)}px;
+            /* Bleed into the wrapper padding so highlights span the window */
+            margin: 0 -32px;
+            padding: 0 32px;
+        }
+        
+        .line.highlighted {
+            background: ${themeColors.lineHighlight};
+            box-shadow: inset 3px 0 0 ${themeColors.lineHighlightAccent};
+        }
+        
+        .line.dimmed {
+            opacity: 0.35;
+        }
+        
+        ${isDiff ? `
+        .diff-sign {
+            user-select: none;
+            white-space: pre;
+        }
+        
+        .diff-add { background: ${themeColors.diffAdded}; }
+        .diff-add .diff-sign { color: ${themeColors.diffAddedSign}; }
+        .diff-del { background: ${themeColors.diffRemoved}; }
+        .diff-del .diff-sign { color: ${themeColors.diffRemovedSign}; }
+        
+        .diff-hunk .line-content {
+            color: ${themeColors.comment};
+            font-style: italic;
+        }
+        ` : ''}
+        
+        ${showLineNumbers ? `
+        .line-number {
+            color: ${themeColors.comment};
+            user-select: none;
+            text-align: right;
+            min-width: 40px;
+            padding-right: 16px;
+            border-right: 1px solid ${themeColors.border};
+            margin-right: 16px;
+        }
+        ` : ''}
+        
+        .token.comment { color: ${themeColors.comment}; font-style: italic; }
+        .token.keyword { color: ${themeColors.keyword}; font-weight: 600; }
+        .token.string { color: ${themeColors.string}; }
+        .token.number { color: ${themeColors.number}; }
+        .token.function { color: ${themeColors.function}; }
+        .token.class { color: ${themeColors.class}; }
+        .token.variable { color: ${themeColors.variable}; }
+        .token.operator { color: ${themeColors.operator}; }
+        .token.punctuation { color: ${themeColors.text}; opacity: 0.8; }
+        
+        .grid-bg {
+            position: absolute;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background-image: 
+                linear-gradient(rgba(255, 255, 255, 0.03) 1px, transparent 1px),
+                linear-gradient(90deg, rgba(255, 255, 255, 0.03) 1px, transparent 1px);
+            background-size: 30px 30px;
+            pointer-events: none;
+            z-index: 0;
+        }
+        
+        .content {
+            position: relative;
+            z-index: 1;
+        }
+    </style>
+</head>
+<body>
+    <div class="frame">
+    <div class="carbon-container">
+        ${frame.windowStyle === 'mac' ? `
+        <div class="window-header">
+            <div class="window-controls">
+                <div class="window-dot dot-close" title="Close"></div>
+                <div class="window-dot dot-minimize" title="Minimize"></div>
+                <div class="window-dot dot-maximize" title="Maximize"></div>
+            </div>
+            <div class="window-title">${escapeHTML(frame.title)}</div>
+            <div style="width: 60px;"></div>
+        </div>
+        ` : ''}
+        ${frame.windowStyle === 'windows' ? `
+        <div class="window-header">
+            <div class="window-title">${escapeHTML(frame.title)}</div>
+            <div class="window-buttons">
+                ${Object.values(WINDOWS_BUTTONS).map((d) => `<svg width="${WINDOWS_BUTTON_SIZE}" height="${WINDOWS_BUTTON_SIZE}"><path d="${d}" fill="none" stroke="currentColor"/></svg>`).join('')}
+            </div>
+        </div>
+        ` : ''}
+        
+        <div class="code-wrapper">
+            <div class="grid-bg"></div>
+            <div class="content">
+                <pre><code>${codeLines}</code></pre>
+            </div>
+        </div>
+    </div>
+    </div>
+    
+</body>
+</html>`;
+}
+
+module.exports = {
+  generateHTMLTemplate
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RenderError } = require('./errors');
+const { stableStringify } = require('./render-key');
+
+// Theme registry. Built-in themes are the JSON files in backend/themes;
+// user themes (inline customTheme objects or imported VS Code / TextMate
+// themes) go through the same schema check before they reach a template.
+const THEMES_DIR = path.join(__dirname, '..', 'themes');
+
+// Token classes every theme has to colour
+const TOKEN_KEYS = ['text', 'comment', 'keyword', 'string', 'number', 'function', 'class', 'variable', 'operator'];
+
+// Window chrome and line decorations, derived from the theme type when a
+// theme leaves them out
+const DERIVED_COLORS = {
+  dark: {
+    background: '#262424',
+    border: 'rgba(255, 255, 255, 0.1)',
+    windowTint: 'rgba(0, 0, 0, 0.3)',
+    headerTint: 'rgba(0, 0, 0, 0.4)',
+    lineHighlight: 'rgba(255, 255, 255, 0.08)',
+    diffAdded: 'rgba(80, 250, 123, 0.15)',
+    diffAddedSign: '#50fa7b',
+    diffRemoved: 'rgba(255, 85, 85, 0.15)',
+    diffRemovedSign: '#ff5555'
+  },
+  light: {
+    background: '#ffffff',
+    border: 'rgba(0, 0, 0, 0.1)',
+    windowTint: 'rgba(0, 0, 0, 0.05)',
+    headerTint: 'rgba(0, 0, 0, 0.1)',
+    lineHighlight: 'rgba(0, 0, 0, 0.06)',
+    diffAdded: 'rgba(80, 161, 79, 0.15)',
+    diffAddedSign: '#50a14f',
+    diffRemoved: 'rgba(228, 86, 73, 0.15)',
+    diffRemovedSign: '#e45649'
+  }
+};
+
+const OPTIONAL_KEYS = [...Object.keys(DERIVED_COLORS.dark), 'lineHighlightAccent'];
+
+// Colours end up inside CSS and SVG attributes, so only plain hex and
+// rgb()/rgba() values are accepted
+const COLOR_PATTERN = /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+
+// Names are shown in the theme picker and in messages, so they stay plain
+// text: letters, digits, spaces and a little punctuation
+const THEME_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} ._()+'-]{0,49}$/u;
+
+function invalid(message) {
+  return new RenderError(message, { status: 400, code: 'INVALID_THEME' });
+}
+
+// Checks a { name, type, colors } theme against the schema and fills in
+// the derived colours. Throws a 400 RenderError on the first problem.
+function normaliseTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw invalid('Theme must be an object');
+  }
+
+  const { name = 'Custom', type = 'dark', colors } = theme;
+  if (typeof name !== 'string' || !THEME_NAME_PATTERN.test(name)) {
+    throw invalid("Theme name must be 1-50 letters, digits, spaces or . _ ( ) + ' -");
+  }
+  if (!DERIVED_COLORS[type]) {
+    throw invalid('Theme type must be dark or light');
+  }
+  if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+    throw invalid('Theme colors must be an object');
+  }
+
+  Object.entries(colors).forEach(([key, value]) => {
+    if (!TOKEN_KEYS.includes(key) && !OPTIONAL_KEYS.includes(key)) {
+      throw invalid(`Unknown theme color "${key}"`);
+    }
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+      throw invalid(`Theme color "${key}" must be a hex or rgb()/rgba() color`);
+    }
+  });
+  TOKEN_KEYS.forEach((key) => {
+    if (!colors[key]) throw invalid(`Theme color "${key}" is required`);
+  });
+
+  const normalised = { ...DERIVED_COLORS[type], lineHighlightAccent: colors.keyword };
+  Object.entries(colors).forEach(([key, value]) => {
+    normalised[key] = value.trim();
+  });
+
+  return { name, type, colors: normalised };
+}
+
+// TextMate scopes tried for each token class, most specific first
+const SCOPE_CANDIDATES = {
+  comment: ['comment', 'punctuation.definition.comment'],
+  keyword: ['keyword.control', 'storage.type', 'storage.modifier', 'keyword'],
+  string: ['string.quoted', 'string'],
+  number: ['constant.numeric', 'constant'],
+  function: ['entity.name.function', 'support.function', 'meta.function-call'],
+  class: ['entity.name.type', 'entity.name.class', 'support.class', 'support.type'],
+  variable: ['variable.other', 'variable.parameter', 'variable'],
+  operator: ['keyword.operator', 'keyword']
+};
+
+// Strips comments and trailing commas, which VS Code theme files allow
+function parseJSONC(text) {
+  let output = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const end = /"(?:[^"\\]|\\.)*"/y;
+      end.lastIndex = i;
+      const match = end.exec(text);
+      if (!match) break;
+      output += match[0];
+      i += match[0].length - 1;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 ? text.length : close + 1;
+    } else {
+      output += char;
+    }
+  }
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// Maps a VS Code theme ({ type, colors, tokenColors }) or a TextMate theme
+// in JSON form ({ settings: [...] }) onto our palette
+function importVSCodeTheme(source, name) {
+  let theme;
+  try {
+    theme = typeof source === 'string' ? parseJSONC(source) : source;
+  } catch (error) {
+    throw invalid('Theme file is not valid JSON');
+  }
+  if (!theme || typeof theme !== 'object') {
+    throw invalid('Theme file is not valid JSON');
+  }
+
+  const rules = Array.isArray(theme.tokenColors) ? theme.tokenColors : Array.isArray(theme.settings) ? theme.settings : [];
+  const editorColors = theme.colors && typeof theme.colors === 'object' ? theme.colors : {};
+  // TextMate keeps editor colours in the one rule without a scope
+  const globals = (rules.find((rule) => rule && !rule.scope && rule.settings) || {}).settings || {};
+
+  const scoped = [];
+  rules.forEach((rule) => {
+    if (!rule || !rule.scope || !rule.settings || !rule.settings.foreground) return;
+    const scopes = Array.isArray(rule.scope) ? rule.scope : String(rule.scope).split(',');
+    scopes.forEach((scope) => {
+      // Only plain scope names; descendant selectors like "meta.tag string" are skipped
+      const trimmed = scope.trim();
+      if (/^[\w.-]+$/.test(trimmed)) scoped.push({ scope: trimmed, color: rule.settings.foreground });
+    });
+  });
+
+  // The rule whose scope is the longest prefix of `target` wins, as in TextMate
+  const colorFor = (target) => {
+    let best = null;
+    scoped.forEach(({ scope, color }) => {
+      if ((target === scope || target.startsWith(`${scope}.`)) && (!best || scope.length >= best.scope.length)) {
+        best = { scope, color };
+      }
+    });
+    return best && best.color;
+  };
+
+  const valid = (color) => (typeof color === 'string' && COLOR_PATTERN.test(color.trim()) ? color.trim() : undefined);
+  const type = /light/i.test(theme.type || '') ? 'light' : 'dark';
+  const text = valid(editorColors['editor.foreground']) || valid(globals.foreground)
+    || (type === 'dark' ? '#d4d4d4' : '#333333');
+
+  const colors = { text };
+  Object.entries(SCOPE_CANDIDATES).forEach(([key, targets]) => {
+    colors[key] = targets.map(colorFor).map(valid).find(Boolean) || text;
+  });
+
+  const extras = {
+    background: editorColors['editor.background'] || globals.background,
+    lineHighlight: editorColors['editor.lineHighlightBackground'] || globals.lineHighlight,
+    lineHighlightAccent: editorColors['editorCursor.foreground'] || globals.caret,
+    diffAdded: editorColors['diffEditor.insertedLineBackground'] || editorColors['diffEditor.insertedTextBackground'],
+    diffAddedSign: editorColors['gitDecoration.addedResourceForeground'],
+    diffRemoved: editorColors['diffEditor.removedLineBackground'] || editorColors['diffEditor.removedTextBackground'],
+    diffRemovedSign: editorColors['gitDecoration.deletedResourceForeground']
+  };
+  Object.entries(extras).forEach(([key, value]) => {
+    if (valid(value)) colors[key] = valid(value);
+  });
+
+  // The file's own name is cleaned up rather than rejected
+  const ownName = String(theme.name || '')
+    .replace(/[^\p{L}\p{N} ._()+'-]+/gu, ' ')
+    .replace(/^[^\p{L}\p{N}]+/u, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 50)
+    .trim();
+  return normaliseTheme({
+    name: name || ownName || 'Imported theme',
+    type,
+    colors
+  });
+}
+
+// Stable ID for a user theme, so uploading the same theme twice is a no-op
+// and cached renders stay valid for as long as the ID exists
+function themeId(theme) {
+  return `custom-${crypto.createHash('sha256').update(stableStringify(theme)).digest('hex').slice(0, 12)}`;
+}
+
+function loadThemes(dir) {
+  const loaded = new Map();
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .forEach((file) => {
+      const id = path.basename(file, '.json');
+      try {
+        loaded.set(id, normaliseTheme(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+      } catch (error) {
+        console.warn(`⚠️ Skipping theme ${file}: ${error.message}`);
+      }
+    });
+  return loaded;
+}
+
+const builtins = loadThemes(THEMES_DIR);
+
+function hasTheme(name) {
+  return builtins.has(name);
+}
+
+// Colours of a built-in theme, falling back to dark
+function getTheme(name) {
+  return (builtins.get(name) || builtins.get('dark')).colors;
+}
+
+function listThemes() {
+  return [...builtins].map(([id, theme]) => ({ id, ...theme }));
+}
+
+module.exports = {
+  COLOR_PATTERN,
+  normaliseTheme,
+  importVSCodeTheme,
+  themeId,
+  hasTheme,
+  getTheme,
+  listThemes
+};
@@ -0,0 +1,160 @@
+const { body, validationResult } = require('express-validator');
+const { LANGUAGES } = require('./highlighter');
+const { COLOR_PATTERN, hasTheme, normaliseTheme } = require('./themes');
+const { LINE_SPEC_PATTERN, LINE_RANGE_PATTERN, parseLineSpec } = require('./lines');
+const {
+  MAX_PADDING,
+  WINDOW_STYLES,
+  GRADIENT_TYPES,
+  BACKGROUND_IMAGE_PATTERN,
+  toPixels
+} = require('./frame');
+const { fonts } = require('./fonts');
+const { IMAGE_FORMATS } = require('./renderer');
+const { ANIMATION_STYLES, ANIMATION_LIMITS, normaliseAnimation, frameCount } = require('./animation');
+
+// A 2MB image as a data URL: base64 grows it by a third, plus the header
+const BACKGROUND_IMAGE_MAX_LENGTH = 'data:image/jpeg;base64,'.length + Math.ceil((2 * 1024 * 1024) / 3) * 4;
+
+// Validation of render requests ({ code, options }), shared by the API
+// routes and the CLI. The chains are express-validator middleware;
+// validateRender() runs them outside of Express.
+function renderValidation() {
+  return [
+    body('code')
+      .notEmpty().withMessage('Code is required')
+      .isString().withMessage('Code must be a string')
+      .isLength({ max: 10000 }).withMessage('Code too long (max 10000 chars)'),
+    body('options.theme')
+      .optional()
+      .custom((value) => hasTheme(value) || /^custom-[0-9a-f]{12}$/.test(value)).withMessage('Invalid theme'),
+    body('options.customTheme')
+      .optional()
+      .custom((value) => normaliseTheme(value) && true),
+    body('options.language')
+      .optional()
+      .isIn(['auto', ...LANGUAGES]).withMessage('Invalid language'),
+    body('options.format')
+      .optional()
+      .isIn(Object.keys(IMAGE_FORMATS)).withMessage('Invalid format'),
+    body('options.quality')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Quality must be between 1 and 100'),
+    body('options.scale')
+      .optional()
+      .isFloat({ min: 1, max: 4 }).withMessage('Scale must be between 1 and 4'),
+    body('options.fontFamily')
+      .optional()
+      .custom((value) => fonts.has(value))
+      .withMessage(() => `Unknown font family (available: ${fonts.families().map((font) => font.family).join(', ')})`),
+    body('options.fontSize')
+      .optional()
+      .matches(/^\d+(px|em|rem)$/).withMessage('Invalid font size format'),
+    body('options.lineHeight')
+      .optional()
+      .isFloat({ min: 1, max: 3 }).withMessage('Line height must be between 1 and 3'),
+    body('options.tabSize')
+      .optional()
+      .isInt({ min: 1, max: 8 }).withMessage('Tab size must be between 1 and 8'),
+    body('options.padding')
+      .optional()
+      .matches(/^\d+(px|em|rem)$/).withMessage('Invalid padding format')
+      .custom((value) => toPixels(value) <= MAX_PADDING).withMessage(`Padding must be at most ${MAX_PADDING}px`),
+    body('options.backgroundColor')
+      .optional()
+      .custom((value) => value === 'transparent' || COLOR_PATTERN.test(value)).withMessage('Invalid background color')
+      .custom((value, { req }) => value !== 'transparent' || req.body.options.format !== 'jpeg')
+      .withMessage('JPEG images cannot have a transparent background'),
+    body('options.backgroundGradient')
+      .optional()
+      .isObject().withMessage('Background gradient must be an object'),
+    body('options.backgroundGradient.type')
+      .optional()
+      .isIn(GRADIENT_TYPES).withMessage(`Gradient type must be one of ${GRADIENT_TYPES.join(', ')}`),
+    body('options.backgroundGradient.angle')
+      .optional()
+      .isFloat({ min: 0, max: 360 }).withMessage('Gradient angle must be between 0 and 360'),
+    body('options.backgroundGradient.colors')
+      .if(body('options.backgroundGradient').exists())
+      .isArray({ min: 2, max: 5 }).withMessage('Gradients take 2 to 5 colors')
+      .custom((colors) => colors.every((color) => typeof color === 'string' && COLOR_PATTERN.test(color)))
+      .withMessage('Invalid gradient color'),
+    body('options.backgroundImage')
+      .optional()
+      .isString()
+      .isLength({ max: BACKGROUND_IMAGE_MAX_LENGTH }).withMessage('Background image must be under 2MB')
+      .matches(BACKGROUND_IMAGE_PATTERN).withMessage('Background image must be a PNG, JPEG or WebP data URL'),
+    body('options.radius')
+      .optional()
+      .isFloat({ min: 0, max: 48 }).withMessage('Corner radius must be between 0 and 48'),
+    body('options.shadow')
+      .optional()
+      .isFloat({ min: 0, max: 100 }).withMessage('Shadow size must be between 0 and 100'),
+    body('options.windowStyle')
+      .optional()
+      .isIn(WINDOW_STYLES).withMessage(`Window style must be one of ${WINDOW_STYLES.join(', ')}`),
+    body('options.windowTitle')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }).withMessage('Window title must be at most 100 characters'),
+    body(['options.highlightLines', 'options.focusLines'])
+      .optional({ values: 'falsy' })
+      .isString()
+      .isLength({ max: 200 })
+      .matches(LINE_SPEC_PATTERN).withMessage('Line lists look like "3,7-9"'),
+    body('options.lineRange')
+      .optional({ values: 'falsy' })
+      .isString()
+      .matches(LINE_RANGE_PATTERN).withMessage('Line range looks like "5-20"')
+      .custom((value) => parseLineSpec(value)[0][0] >= 1).withMessage('Line range starts at line 1'),
+    body('options.mode')
+      .optional()
+      .isIn(['code', 'diff']).withMessage('Mode must be code or diff'),
+    body('options.before')
+      .optional()
+      .isString()
+      .isLength({ max: 10000 }).withMessage('Before code must be less than 10000 characters'),
+    body('options.startLineNumber')
+      .optional()
+      .isInt({ min: 1, max: 1000000 }).withMessage('Start line number must be between 1 and 1000000'),
+    body('options.animation')
+      .optional()
+      .isObject().withMessage('Animation must be an object')
+      .bail()
+      .custom((value) => frameCount(normaliseAnimation(value)) <= ANIMATION_LIMITS.maxFrames)
+      .withMessage(`Animation can have at most ${ANIMATION_LIMITS.maxFrames} frames (fps × duration)`),
+    body('options.animation.style')
+      .optional()
+      .isIn(ANIMATION_STYLES).withMessage(`Animation style must be one of ${ANIMATION_STYLES.join(', ')}`),
+    body('options.animation.fps')
+      .optional()
+      .isInt({ min: 1, max: ANIMATION_LIMITS.maxFps }).withMessage(`Frame rate must be between 1 and ${ANIMATION_LIMITS.maxFps}`),
+    body('options.animation.duration')
+      .optional()
+      .isFloat({ min: 0.1, max: ANIMATION_LIMITS.maxDuration })
+      .withMessage(`Duration must be between 0.1 and ${ANIMATION_LIMITS.maxDuration} seconds`),
+    body('options.animation.hold')
+      .optional()
+      .isFloat({ min: 0, max: ANIMATION_LIMITS.maxHold }).withMessage(`Hold must be between 0 and ${ANIMATION_LIMITS.maxHold} seconds`),
+    body('options.animation.steps')
+      .if(body('options.animation.style').equals('steps'))
+      .isArray({ min: 1, max: ANIMATION_LIMITS.maxSteps })
+      .withMessage(`Steps must be a list of 1 to ${ANIMATION_LIMITS.maxSteps} earlier versions of the code`),
+    body('options.animation.steps.*')
+      .if(body('options.animation.steps').isArray())
+      .isString().withMessage('Each step must be a string')
+      .isLength({ max: 10000 }).withMessage('Each step must be less than 10000 characters')
+  ];
+}
+
+// Resolves with express-validator's error list, empty when the snippet is valid
+async function validateRender(code, options = {}) {
+  const req = { body: { code, options } };
+  await Promise.all(renderValidation().map((validator) => validator.run(req)));
+  return validationResult(req).array();
+}
+
+module.exports = {
+  renderValidation,
+  validateRender
+};
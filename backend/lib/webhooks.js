@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Outgoing webhooks. Each delivery is signed so receivers can check it came
+// from us: X-Carbon-Signature is "sha256=" + HMAC-SHA256(secret,
+// "<X-Carbon-Timestamp>.<raw body>") in hex.
+
+const DELIVERY_TIMEOUT_MS = 5000;
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Addresses a webhook may not be sent to: loopback, private, link-local
+// (cloud metadata), shared, multicast and reserved ranges, and the IPv6
+// ranges that embed an IPv4 address (IPv4-compatible, NAT64, 6to4 and
+// Teredo). IPv4-mapped addresses are matched against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['2001::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Where a webhook for `url` may go: { address, family } to connect to, or
+// { error } with the reason it may not be sent. Every address the host
+// resolves to must be public, unless the host is listed in `allowedHosts`
+// (receivers on the internal network), which are connected to as usual.
+async function resolveWebhookTarget(url, { allowedHosts = [] } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'callbackUrl must be an http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'callbackUrl must be an http(s) URL' };
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts.includes(host)) return { address: null };
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return { error: `callbackUrl host ${host} could not be resolved` };
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return { error: 'callbackUrl must point to a public address' };
+  }
+  return addresses[0];
+}
+
+// Resolves to null when `url` may receive webhooks, or to the reason it may not
+async function checkWebhookUrl(url, options) {
+  const { error } = await resolveWebhookTarget(url, options);
+  return error || null;
+}
+
+// POSTs `body` and resolves to the response status. The connection goes to
+// the address that was checked instead of resolving the host again, so a
+// DNS answer that changes in between (DNS rebinding) cannot send it to an
+// internal address. Redirects are not followed.
+function post(url, { address, family }, headers, body) {
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+
+  return new Promise((resolve, reject) => {
+    const request = (url.startsWith('https:') ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(address ? { lookup } : {}),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Posts `payload` to `url`, retrying failed deliveries with a growing
+// delay. Resolves to { delivered, attempts, status?, error? }; never throws.
+// The target is checked again before each attempt, as its DNS may have
+// changed since the job was accepted, and the checked address is the one
+// connected to.
+async function deliverWebhook(url, payload, { secret, attempts = MAX_DELIVERY_ATTEMPTS, allowedHosts } = {}) {
+  const body = JSON.stringify(payload);
+  let last = {};
+  let made = 0;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    made = attempt;
+    const target = await resolveWebhookTarget(url, { allowedHosts });
+    if (target.error) return { delivered: false, attempts: made, error: target.error };
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      const status = await post(url, target, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'carbon-generator-webhook',
+        'X-Carbon-Timestamp': timestamp,
+        'X-Carbon-Signature': signWebhook(secret, timestamp, body)
+      }, body);
+      if (status >= 200 && status < 300) {
+        return { delivered: true, attempts: attempt, status };
+      }
+      last = { status, error: `HTTP ${status}` };
+      // The receiver rejected the payload itself; sending it again won't help
+      if (status >= 400 && status < 500 && status !== 429) break;
+    } catch (error) {
+      last = { error: error.message };
+    }
+
+    if (attempt < attempts) {
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+
+  return { delivered: false, attempts: made, ...last };
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkWebhookUrl,
+  signWebhook,
+  deliverWebhook
+};
@@ -0,0 +1,68 @@
+const zlib = require('zlib');
+
+// WOFF (version 1) to plain TrueType/OpenType. WOFF is the sfnt tables,
+// each optionally zlib-compressed, behind its own header; unpacking them
+// gives a font the rasterizer can load. WOFF2 is not handled.
+
+const WOFF_SIGNATURE = 0x774f4646; // 'wOFF'
+const WOFF_HEADER_SIZE = 44;
+const WOFF_ENTRY_SIZE = 20;
+const SFNT_HEADER_SIZE = 12;
+const SFNT_ENTRY_SIZE = 16;
+
+const pad4 = (n) => (n + 3) & ~3;
+
+function isWOFF(buffer) {
+  return buffer.length >= WOFF_HEADER_SIZE && buffer.readUInt32BE(0) === WOFF_SIGNATURE;
+}
+
+function decodeWOFF(buffer) {
+  if (!isWOFF(buffer)) throw new Error('Not a WOFF font');
+
+  const flavor = buffer.readUInt32BE(4);
+  const numTables = buffer.readUInt16BE(12);
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const entry = WOFF_HEADER_SIZE + i * WOFF_ENTRY_SIZE;
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    const raw = buffer.subarray(offset, offset + compLength);
+    tables.push({
+      tag: buffer.readUInt32BE(entry),
+      checksum: buffer.readUInt32BE(entry + 16),
+      data: compLength < origLength ? zlib.inflateSync(raw) : raw
+    });
+  }
+
+  // Binary search fields of the sfnt offset table
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 2 ** entrySelector * 16;
+
+  const headerSize = SFNT_HEADER_SIZE + numTables * SFNT_ENTRY_SIZE;
+  const size = tables.reduce((sum, table) => sum + pad4(table.data.length), headerSize);
+  const font = Buffer.alloc(size);
+  font.writeUInt32BE(flavor, 0);
+  font.writeUInt16BE(numTables, 4);
+  font.writeUInt16BE(searchRange, 6);
+  font.writeUInt16BE(entrySelector, 8);
+  font.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  let offset = headerSize;
+  tables.forEach((table, i) => {
+    const entry = SFNT_HEADER_SIZE + i * SFNT_ENTRY_SIZE;
+    font.writeUInt32BE(table.tag, entry);
+    font.writeUInt32BE(table.checksum, entry + 4);
+    font.writeUInt32BE(offset, entry + 8);
+    font.writeUInt32BE(table.data.length, entry + 12);
+    table.data.copy(font, offset);
+    offset += pad4(table.data.length);
+  });
+
+  return font;
+}
+
+module.exports = {
+  isWOFF,
+  decodeWOFF
+};
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+
+// Local stand-in for Slack and Discord, to try the chat integrations
+// without either platform. It signs a slash command the way the platform
+// would, sends it to the server, then waits for the deferred reply.
+//
+//   node scripts/mock-chat.js slack ["```js\nconst a = 1\n```"]
+//     Needs SLACK_SIGNING_SECRET (same value as the server).
+//
+//   node scripts/mock-chat.js discord-keys
+//     Prints a key pair: DISCORD_PUBLIC_KEY for the server and
+//     DISCORD_MOCK_PRIVATE_KEY for this script.
+//
+//   node scripts/mock-chat.js discord ["```py\nprint(1)\n```"]
+//     Needs DISCORD_MOCK_PRIVATE_KEY, and the server started with
+//     DISCORD_API_URL=http://localhost:4010 (MOCK_CHAT_PORT) so the reply
+//     comes back here.
+//
+// SERVER_URL defaults to http://localhost:3000.
+
+const SERVER_URL = (process.env.SERVER_URL || 'http://localhost:3000').replace(/\/$/, '');
+const MOCK_PORT = parseInt(process.env.MOCK_CHAT_PORT) || 4010;
+const REPLY_TIMEOUT_MS = 60000;
+const DEFAULT_TEXT = 'lang:javascript ```\nconst greet = (name) => `Hello, ${name}!`;\nconsole.log(greet("chat"));\n```';
+
+// Resolves with the first request the server makes to the mock; stop()
+// gives up on it when the server answered without deferring
+function listenForReply(port) {
+  let server;
+  const reply = new Promise((resolve, reject) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+        server.close();
+        clearTimeout(timer);
+        resolve({ method: req.method, url: req.url, body: JSON.parse(body || '{}') });
+      });
+    });
+    const timer = setTimeout(() => {
+      server.close();
+      reject(new Error(`No reply within ${REPLY_TIMEOUT_MS / 1000}s`));
+    }, REPLY_TIMEOUT_MS);
+    server.on('error', reject);
+    server.on('close', () => clearTimeout(timer));
+    server.listen(port);
+  });
+  return { reply, stop: () => server.close() };
+}
+
+async function slack(text) {
+  const secret = process.env.SLACK_SIGNING_SECRET;
+  if (!secret) throw new Error('Set SLACK_SIGNING_SECRET to the value the server uses');
+
+  const listener = listenForReply(MOCK_PORT);
+  const body = new URLSearchParams({
+    command: '/carbon',
+    text,
+    user_id: 'U0MOCK',
+    channel_id: 'C0MOCK',
+    response_url: `http://localhost:${MOCK_PORT}/slack/response`
+  }).toString();
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+  const response = await fetch(`${SERVER_URL}/api/integrations/slack/command`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': signature
+    },
+    body
+  });
+  const ack = await response.text();
+  console.log(`← ${response.status}`, ack);
+  if (!response.ok) process.exit(1);
+
+  // Usage and error answers come straight back; only renders are deferred
+  if (!JSON.parse(ack).text.startsWith('Rendering')) {
+    listener.stop();
+    return;
+  }
+  console.log('Waiting for the reply on response_url...');
+  console.log(JSON.stringify(await listener.reply, null, 2));
+}
+
+function discordKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+  console.log(`DISCORD_PUBLIC_KEY=${raw.toString('hex')}`);
+  console.log(`DISCORD_MOCK_PRIVATE_KEY=${privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')}`);
+}
+
+async function sendInteraction(privateKey, interaction) {
+  const body = JSON.stringify(interaction);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+
+  const response = await fetch(`${SERVER_URL}/api/integrations/discord/interactions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Signature-Timestamp': timestamp,
+      'X-Signature-Ed25519': signature
+    },
+    body
+  });
+  const text = await response.text();
+  console.log(`← ${response.status}`, text);
+  return response.ok ? JSON.parse(text) : null;
+}
+
+async function discord(text) {
+  if (!process.env.DISCORD_MOCK_PRIVATE_KEY) {
+    throw new Error('Set DISCORD_MOCK_PRIVATE_KEY (see: node scripts/mock-chat.js discord-keys)');
+  }
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(process.env.DISCORD_MOCK_PRIVATE_KEY, 'base64'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  console.log('→ PING');
+  if (!(await sendInteraction(privateKey, { id: '1', type: 1, application_id: 'mock-app', token: 'mock-token' }))) {
+    process.exit(1);
+  }
+
+  // A "Render as image" message command, which sees the whole multi-line message
+  const listener = listenForReply(MOCK_PORT);
+  console.log('→ message command');
+  const answer = await sendInteraction(privateKey, {
+    id: '2',
+    type: 2,
+    application_id: 'mock-app',
+    token: 'mock-token',
+    data: {
+      type: 3,
+      name: 'Render as image',
+      target_id: 'm1',
+      resolved: { messages: { m1: { id: 'm1', content: text } } }
+    }
+  });
+  if (!answer) process.exit(1);
+
+  // Type 5 is "deferred": the result edits the original reply later
+  if (answer.type !== 5) {
+    listener.stop();
+    return;
+  }
+  console.log('Waiting for the edited reply...');
+  console.log(JSON.stringify(await listener.reply, null, 2));
+}
+
+async function main([command, text = DEFAULT_TEXT]) {
+  const commands = { slack, discord, 'discord-keys': discordKeys };
+  if (!commands[command]) {
+    console.error('Usage: node scripts/mock-chat.js slack|discord|discord-keys [message text]');
+    process.exit(2);
+  }
+  await commands[command](text.replace(/\\n/g, '\n'));
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
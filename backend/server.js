@@ -4,11 +4,119 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { createClient } = require('redis');
 const { body, validationResult } = require('express-validator');
+const { RenderPoolError } = require('./lib/render-pool');
+const { RenderError } = require('./lib/errors');
+const { Store } = require('./lib/store');
+const { renderKey } = require('./lib/render-key');
+const { RenderCache } = require('./lib/render-cache');
+const { sniffFormat, RenderArtifacts } = require('./lib/artifacts');
+const { hasTheme, listThemes, normaliseTheme, importVSCodeTheme, themeId } = require('./lib/themes');
+const { fonts } = require('./lib/fonts');
+const { ApiKeys } = require('./lib/api-keys');
+const { JobQueue } = require('./lib/jobs');
+const { checkWebhookUrl, deliverWebhook } = require('./lib/webhooks');
+const { resolveLanguage } = require('./lib/highlighter');
+const { createZip } = require('./lib/zip');
+const { SHARED_BUNDLE, bundleModules } = require('./lib/bundle');
+const { describeCode, previewTags, withPreviewTags, oembedResponse } = require('./lib/embed');
+const { MetricsRegistry } = require('./lib/metrics');
+const { IMAGE_FORMATS, RENDER_DEFAULTS, Renderer } = require('./lib/renderer');
+const { renderValidation, validateRender } = require('./lib/validation');
+const {
+  CHAT_USAGE,
+  verifySlackRequest,
+  verifyDiscordRequest,
+  unescapeSlack,
+  parseChatSnippet,
+  sendChatReply
+} = require('./lib/chat');
+
+// Query parameters accepted by GET /api/image, mapped onto render options
+const IMAGE_QUERY_OPTIONS = {
+  theme: 'theme',
+  lang: 'language',
+  language: 'language',
+  format: 'format',
+  scale: 'scale',
+  quality: 'quality',
+  font: 'fontFamily',
+  fontSize: 'fontSize',
+  padding: 'padding',
+  bg: 'backgroundColor',
+  radius: 'radius',
+  shadow: 'shadow',
+  window: 'windowStyle',
+  title: 'windowTitle',
+  highlight: 'highlightLines',
+  focus: 'focusLines',
+  start: 'startLineNumber',
+  lines: 'lineRange',
+  mode: 'mode'
+};
+
+const IMAGE_QUERY_FLAGS = {
+  lineNumbers: 'showLineNumbers',
+  windowControls: 'showWindowControls'
+};
+
+const ANIMATION_QUERY_PARAMS = [
+  ['animation', 'style'],
+  ['fps', 'fps'],
+  ['duration', 'duration'],
+  ['hold', 'hold']
+];
+
+// Most snippets accepted by one POST /api/generate/batch
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+const BATCH_ITEM_ID_PATTERN = /^[\w.-]{1,100}$/;
+// Most image bytes one batch holds in memory; items past it are reported
+// as failed instead of rendered
+const BATCH_MAX_BYTES = (parseInt(process.env.BATCH_MAX_MB) || 50) * 1024 * 1024;
+// Anonymous theme imports count as this many requests against the IP limit
+const THEME_IMPORT_COST = 5;
+// How often expired file store entries are cleared out
+const STORE_SWEEP_INTERVAL_MS = parseInt(process.env.STORE_SWEEP_INTERVAL_MS) || 10 * 60 * 1000;
+
+// Secrets shorter than this are treated as unset
+const MIN_SECRET_LENGTH = 16;
+
+// A secret from the environment, or null when it is unset, too short or
+// still the placeholder from .env.example, so a copied example file does
+// not turn features on with a guessable value
+function configuredSecret(name) {
+  const value = (process.env[name] || '').trim();
+  if (!value) return null;
+  if (/change-this|^your-/i.test(value) || value.length < MIN_SECRET_LENGTH) {
+    console.warn(`⚠️ ${name} is a placeholder or shorter than ${MIN_SECRET_LENGTH} characters, ignoring it`);
+    return null;
+  }
+  return value;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Like Promise.all over items.map(fn), with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
 // Import Puppeteer dengan error handling
 let puppeteer;
@@ -23,14 +131,98 @@ class CarbonGenerator {
     this.app = express();
     this.port = process.env.PORT || 3000;
     this.redisClient = null;
-    this.browser = null;
-    this.isBrowserReady = false;
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+    this.origins = (process.env.CORS_ORIGIN || 'http://localhost:3000,http://localhost:5500')
+      .split(',')
+      .map((origin) => origin.trim().replace(/\/$/, ''))
+      .filter(Boolean);
+    if (!process.env.APP_URL) {
+      console.warn(`⚠️ APP_URL is not set; absolute links are only built for requests to ${this.origins.join(', ')}`);
+    }
+    this.adminToken = configuredSecret('ADMIN_TOKEN');
+    this.webhookSecret = configuredSecret('WEBHOOK_SECRET');
+    this.metricsToken = configuredSecret('METRICS_TOKEN');
+    // Hosts that may receive webhooks even though they resolve to private addresses
+    this.webhookHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.snippets = new Store({
+      namespace: 'snippets',
+      redis: () => this.redisClient,
+      dir: this.dataDir
+    });
+    this.themes = new Store({
+      namespace: 'themes',
+      redis: () => this.redisClient,
+      dir: this.dataDir
+    });
+    // Importing the same theme again starts its TTL over
+    this.themeTtl = parseInt(process.env.THEME_TTL) || 30 * 24 * 60 * 60;
+    this.artifacts = new RenderArtifacts({
+      store: new Store({
+        namespace: 'renders',
+        redis: () => this.redisClient,
+        dir: this.dataDir
+      }),
+      ttl: parseInt(process.env.RENDER_ARTIFACT_TTL) || 86400
+    });
+    this.apiKeys = new ApiKeys({
+      store: new Store({
+        namespace: 'apikeys',
+        redis: () => this.redisClient,
+        dir: this.dataDir
+      }),
+      redis: () => this.redisClient,
+      secret: configuredSecret('API_KEY_SECRET'),
+      rateLimit: parseInt(process.env.API_KEY_RATE_LIMIT) || 1000,
+      dailyQuota: parseInt(process.env.API_KEY_DAILY_QUOTA) || 5000
+    });
+    this.jobs = new JobQueue({
+      store: new Store({
+        namespace: 'jobs',
+        redis: () => this.redisClient,
+        dir: this.dataDir
+      }),
+      redis: () => this.redisClient,
+      handler: async (job) => {
+        const { success, ...result } = await this.renderSnippet(job.request.code, job.request.options);
+        return result;
+      },
+      onFinish: (job) => this.notifyJob(job),
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+      resultTtl: parseInt(process.env.JOB_RESULT_TTL) || 3600
+    });
+    this.renderCache = new RenderCache({
+      redis: () => this.redisClient,
+      maxEntries: parseInt(process.env.RENDER_CACHE_MAX_ENTRIES) || 200,
+      maxBytes: (parseInt(process.env.RENDER_CACHE_MAX_MB) || 64) * 1024 * 1024,
+      ttl: parseInt(process.env.RENDER_CACHE_TTL) || 3600
+    });
+    this.renderer = new Renderer({
+      puppeteer,
+      engine: process.env.RENDER_ENGINE || 'auto',
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+      poolSize: parseInt(process.env.RENDER_POOL_SIZE) || 4,
+      maxQueue: parseInt(process.env.RENDER_QUEUE_MAX) || 50,
+      maxWaitMs: parseInt(process.env.RENDER_QUEUE_TIMEOUT_MS) || 15000,
+      maxRendersPerPage: parseInt(process.env.RENDER_PAGE_MAX_USES) || 100,
+      maxImageSize: {
+        width: parseInt(process.env.MAX_IMAGE_WIDTH) || 1920,
+        height: parseInt(process.env.MAX_IMAGE_HEIGHT) || 4320
+      },
+      cache: this.renderCache,
+      themes: this.themes
+    });
     
+    this.initMetrics();
+    this.renderer.on('timing', ({ phase, format, seconds }) => {
+      this.metrics.renderDuration.observe({ phase, format }, seconds);
+    });
     this.initMiddleware();
     this.initRoutes();
     this.initErrorHandling();
-    this.initRedis();
-    this.initBrowser();
   }
 
   async initRedis() {
@@ -59,51 +251,164 @@ class CarbonGenerator {
       return;
     }
 
-    try {
-      const launchOptions = {
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=site-per-process',
-          '--disable-setuid-sandbox',
-          '--disable-accelerated-2d-canvas',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-breakpad',
-          '--disable-component-extensions-with-background-pages',
-          '--disable-extensions',
-          '--disable-features=TranslateUI',
-          '--disable-ipc-flooding-protection',
-          '--disable-renderer-backgrounding',
-          '--enable-features=NetworkService,NetworkServiceInProcess',
-          '--font-render-hinting=none'
-        ],
-        defaultViewport: {
-          width: 1200,
-          height: 800,
-          deviceScaleFactor: 2
-        }
-      };
+    if (await this.renderer.start()) {
+      console.log(`✅ Browser instance ready (${this.renderer.pool.size} pages)`);
+    }
+  }
+
+  initMetrics() {
+    const registry = new MetricsRegistry();
+    const renderBuckets = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20];
 
-      // Set executable path jika ada di env
-      if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-        launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    this.metrics = {
+      registry,
+      httpRequests: registry.counter({
+        name: 'carbon_http_requests_total',
+        help: 'HTTP requests by method, route and status',
+        labels: ['method', 'route', 'status']
+      }),
+      httpDuration: registry.histogram({
+        name: 'carbon_http_request_duration_seconds',
+        help: 'HTTP response time by method and route',
+        labels: ['method', 'route']
+      }),
+      renders: registry.counter({
+        name: 'carbon_renders_total',
+        help: 'Images served by theme, language and format, cached or not',
+        labels: ['theme', 'language', 'format', 'cached']
+      }),
+      renderDuration: registry.histogram({
+        name: 'carbon_render_duration_seconds',
+        help: 'Render time of uncached images by phase (set_content, screenshot, encode, rasterize, total)',
+        labels: ['phase', 'format'],
+        buckets: renderBuckets
+      }),
+      renderErrors: registry.counter({
+        name: 'carbon_render_errors_total',
+        help: 'Failed renders by cause',
+        labels: ['cause']
+      })
+    };
+
+    // Mirrors of counters kept by the cache, the pool and the job queue
+    registry.counter({
+      name: 'carbon_render_cache_hits_total',
+      help: 'Render cache hits by tier',
+      labels: ['tier'],
+      collect: (metric) => {
+        const stats = this.renderCache.stats();
+        metric.set({ tier: 'memory' }, stats.memoryHits);
+        metric.set({ tier: 'redis' }, stats.redisHits);
+      }
+    });
+    registry.counter({
+      name: 'carbon_render_cache_misses_total',
+      help: 'Render cache misses',
+      collect: (metric) => metric.set({}, this.renderCache.stats().misses)
+    });
+    registry.gauge({
+      name: 'carbon_render_cache_entries',
+      help: 'Entries in the in-process render cache',
+      collect: (metric) => metric.set({}, this.renderCache.stats().memory.entries)
+    });
+    registry.counter({
+      name: 'carbon_browser_restarts_total',
+      help: 'Browser relaunches after a crash or disconnect',
+      collect: (metric) => metric.set({}, this.renderer.pool.stats().restarts)
+    });
+    registry.gauge({
+      name: 'carbon_render_queue_depth',
+      help: 'Renders waiting for a free browser page',
+      collect: (metric) => metric.set({}, this.renderer.pool.stats().queued)
+    });
+    registry.gauge({
+      name: 'carbon_render_pages_busy',
+      help: 'Browser pages currently rendering',
+      collect: (metric) => metric.set({}, this.renderer.pool.stats().busy)
+    });
+    registry.gauge({
+      name: 'carbon_browser_ready',
+      help: '1 when the browser is connected',
+      collect: (metric) => metric.set({}, this.renderer.pool.isReady ? 1 : 0)
+    });
+    registry.gauge({
+      name: 'carbon_jobs',
+      help: 'Background jobs in this process by state',
+      labels: ['state'],
+      collect: (metric) => {
+        const stats = this.jobs.stats();
+        metric.set({ state: 'active' }, stats.active);
+        metric.set({ state: 'pending' }, stats.pending);
       }
+    });
+    registry.gauge({
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes',
+      collect: (metric) => metric.set({}, process.memoryUsage().rss)
+    });
+    registry.gauge({
+      name: 'process_uptime_seconds',
+      help: 'Seconds since the process started',
+      collect: (metric) => metric.set({}, Math.round(process.uptime()))
+    });
+  }
 
-      this.browser = await puppeteer.launch(launchOptions);
-      this.isBrowserReady = true;
-      console.log('✅ Browser instance ready');
-    } catch (error) {
-      console.error('❌ Failed to launch browser:', error.message);
-      this.isBrowserReady = false;
+  // What went wrong with a render, as a metric label
+  errorCause(error) {
+    if (error instanceof RenderPoolError) return (error.code || 'pool').toLowerCase();
+    if (error instanceof RenderError) {
+      if (error.code) return error.code.toLowerCase();
+      return error.status === 503 ? 'unavailable' : 'render';
     }
+    if (error && error.name === 'TimeoutError') return 'timeout';
+    return 'internal';
   }
 
   initMiddleware() {
+    // Request IDs, JSON request logs and HTTP metrics. A caller-supplied
+    // X-Request-Id is kept so IDs can be followed across services.
+    this.app.use((req, res, next) => {
+      const incoming = req.get('X-Request-Id');
+      req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : uuidv4();
+      res.setHeader('X-Request-Id', req.id);
+
+      // Every error body carries the request ID
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        if (payload && typeof payload === 'object' && !Array.isArray(payload)
+          && (payload.success === false || payload.error) && !payload.requestId) {
+          return json({ ...payload, requestId: req.id });
+        }
+        return json(payload);
+      };
+
+      const started = process.hrtime.bigint();
+      res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+        this.metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        this.metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+        // The query is left out: /api/image carries the whole snippet there
+        console.log(JSON.stringify({
+          time: new Date().toISOString(),
+          level: res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info',
+          msg: 'request',
+          requestId: req.id,
+          method: req.method,
+          path: req.path,
+          route,
+          status: res.statusCode,
+          durationMs: Math.round(seconds * 10000) / 10,
+          bytes: parseInt(res.getHeader('Content-Length')) || undefined,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          apiKey: req.apiKey ? req.apiKey.id : undefined
+        }));
+      });
+      next();
+    });
+
     // Security headers
     this.app.use(helmet({
       contentSecurityPolicy: {
@@ -112,6 +417,7 @@ class CarbonGenerator {
           styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
           fontSrc: ["'self'", "https://fonts.gstatic.com"],
           imgSrc: ["'self'", "data:", "https:"],
+          mediaSrc: ["'self'", "data:"],
           scriptSrc: ["'self'", "'unsafe-inline'", "https://unpkg.com"]
         }
       }
@@ -119,413 +425,1140 @@ class CarbonGenerator {
 
     // CORS configuration
     const corsOptions = {
-      origin: process.env.CORS_ORIGIN 
-        ? process.env.CORS_ORIGIN.split(',') 
-        : ['http://localhost:3000', 'http://localhost:5500'],
+      origin: this.origins,
       credentials: true,
       optionsSuccessStatus: 200
     };
     this.app.use(cors(corsOptions));
 
-    // Rate limiting
-    const apiLimiter = rateLimit({
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-      message: {
-        error: 'Too many requests from this IP, please try again later.'
-      },
-      standardHeaders: true,
-      legacyHeaders: false
+    // Rate limiting: anonymous callers share the per-IP limit, requests
+    // with an API key are limited per key instead. The IP store is kept so
+    // routes that do the work of several requests can charge the extra ones.
+    const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+    this.ipLimit = {
+      store: new rateLimit.MemoryStore(),
+      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+    };
+    const ipLimiter = rateLimit({
+      windowMs,
+      max: this.ipLimit.max,
+      store: this.ipLimit.store,
+      skip: (req) => !!req.apiKey,
+      message: {
+        error: 'Too many requests from this IP, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+    const keyLimiter = rateLimit({
+      windowMs,
+      max: (req) => req.apiKey.rateLimit,
+      skip: (req) => !req.apiKey,
+      keyGenerator: (req) => req.apiKey.id,
+      message: {
+        error: 'Too many requests for this API key, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+
+    // Apply rate limiting to API routes and rendered snippet images
+    const limiters = [this.authenticate(), ipLimiter, keyLimiter];
+    this.app.use('/api/', limiters);
+    this.app.use('/s/', limiters);
+
+    // Body parsing and compression. Chat integrations sign the raw body,
+    // so it is kept for them.
+    const keepRawBody = (req, res, buffer) => {
+      if (req.originalUrl.startsWith('/api/integrations/')) req.rawBody = buffer;
+    };
+    this.app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
+    this.app.use(compression());
+
+    // Static files
+    this.app.use(express.static(path.join(__dirname, '../frontend')));
+  }
+
+  // Renders validated code/options to an image buffer, going through the
+  // render cache. Resolves with the buffer and its metadata.
+  async renderImage(code, rawOptions = {}, renderOptions = {}) {
+    try {
+      const result = await this.renderer.render(code, rawOptions, renderOptions);
+      // User themes are counted together to keep the label set small
+      const theme = rawOptions.customTheme ? 'custom' : rawOptions.theme || RENDER_DEFAULTS.theme;
+      this.metrics.renders.inc({
+        theme: hasTheme(theme) ? theme : 'custom',
+        language: result.language.name,
+        format: result.format,
+        cached: result.cached
+      });
+      return result;
+    } catch (error) {
+      this.metrics.renderErrors.inc({ cause: this.errorCause(error) });
+      throw error;
+    }
+  }
+
+  // Counts `hits` more requests against an anonymous caller's IP limit, for
+  // requests that do the work of several. Resolves to false, after sending
+  // a 429, when that takes the caller over the limit.
+  async chargeIpLimit(req, res, hits) {
+    if (req.apiKey || hits <= 0) return true;
+
+    let result;
+    for (let i = 0; i < hits; i++) {
+      result = await this.ipLimit.store.increment(req.ip);
+    }
+    if (result.totalHits <= this.ipLimit.max) return true;
+
+    if (result.resetTime) {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000)));
+    }
+    res.status(429).json({
+      success: false,
+      error: 'Too many requests from this IP, please try again later.'
+    });
+    return false;
+  }
+
+  // One entry of a batch. Never throws: validation and render failures
+  // come back as { success: false } so the rest of the batch goes on.
+  // `budget.bytes` is what is left of the batch's byte limit; items running
+  // at the same time can overshoot it by at most one image each.
+  async renderBatchItem(item, defaults, apiKey, budget) {
+    const code = item.code;
+    const options = { ...defaults, ...(item.options || {}) };
+    const errors = await validateRender(code, options);
+    if (errors.length) {
+      return { id: item.id, success: false, error: 'Invalid snippet', errors };
+    }
+
+    const tooLarge = { id: item.id, success: false, error: 'Batch output size limit reached', code: 'BATCH_TOO_LARGE' };
+    if (budget.bytes <= 0) return tooLarge;
+
+    try {
+      if (apiKey && !(await this.apiKeys.consumeRender(apiKey)).allowed) {
+        return { id: item.id, success: false, error: 'Daily render quota exceeded for this API key', code: 'QUOTA_EXCEEDED' };
+      }
+
+      const rendered = await this.renderImage(code, options);
+      if (rendered.buffer.length > budget.bytes) {
+        budget.bytes = 0;
+        return tooLarge;
+      }
+      budget.bytes -= rendered.buffer.length;
+      return { id: item.id, success: true, ...rendered };
+    } catch (error) {
+      if (error instanceof RenderError || error instanceof RenderPoolError) {
+        return { id: item.id, success: false, error: error.message, code: error.code, ...error.details };
+      }
+      console.error(`Batch item ${item.id} error:`, error);
+      return { id: item.id, success: false, error: 'Failed to generate image' };
+    }
+  }
+
+  // The JSON body that /api/generate responds with. The image is stored as
+  // an artifact and linked; `inline: false` leaves out the base64 copy.
+  async renderSnippet(code, options = {}, { req = null, inline = true, ...renderOptions } = {}) {
+    const { buffer, mimeType, ...result } = await this.renderImage(code, options, renderOptions);
+    const { language, cached, ...meta } = result;
+    const artifact = await this.artifacts.save(buffer, meta, { code, options });
+    return {
+      success: true,
+      ...(inline ? { image: `data:${mimeType};base64,${buffer.toString('base64')}` } : {}),
+      ...result,
+      artifact: this.artifactLinks(req, artifact),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Serves stored image bytes with the type they actually have. With a
+  // filename they go out as an attachment, extension matching the type.
+  sendArtifact(res, buffer, { filename = null, expiresAt = null } = {}) {
+    const format = sniffFormat(buffer);
+    res.setHeader('Content-Type', format ? IMAGE_FORMATS[format] : 'application/octet-stream');
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (filename) {
+      const extension = format === 'jpeg' ? 'jpg' : format || 'bin';
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+      res.setHeader('Cache-Control', 'no-store');
+    } else {
+      const maxAge = expiresAt ? Math.max(0, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000)) : 0;
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}, immutable`);
+    }
+    res.send(buffer);
+  }
+
+  artifactLinks(req, { id, expiresAt }) {
+    return {
+      id,
+      url: this.publicUrl(req, `/api/renders/${id}`),
+      downloadUrl: this.publicUrl(req, `/api/renders/${id}/download`),
+      expiresAt
+    };
+  }
+
+  sendRenderError(res, error) {
+    // Pool saturation is expected under load, not a server fault
+    if (error instanceof RenderPoolError) {
+      res.setHeader('Retry-After', error.retryAfter);
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error instanceof RenderError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('Generation error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate image',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Resolves an API key sent as "Authorization: Bearer <key>" or
+  // "X-API-Key: <key>" into req.apiKey. Requests without a key stay
+  // anonymous; a key that is unknown or revoked is rejected outright.
+  authenticate() {
+    return async (req, res, next) => {
+      const header = req.get('Authorization') || '';
+      const key = req.get('X-API-Key') || (/^Bearer\s+(.+)$/i.exec(header) || [])[1];
+      if (!key) return next();
+      if (!this.apiKeys.enabled) {
+        return res.status(401).json({
+          success: false,
+          error: 'API keys are not enabled on this server'
+        });
+      }
+
+      try {
+        req.apiKey = await this.apiKeys.verify(key.trim());
+      } catch (error) {
+        console.error('API key lookup error:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to verify API key'
+        });
+      }
+
+      if (!req.apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or revoked API key'
+        });
+      }
+
+      this.apiKeys.count(req.apiKey.id, 'requests')
+        .catch((error) => console.warn('⚠️ Usage counter error:', error.message));
+      next();
+    };
+  }
+
+  // Counts a render against the caller's daily quota. Anonymous renders
+  // are only bound by the IP rate limit, and requests that failed
+  // validation are not counted.
+  renderQuota() {
+    return async (req, res, next) => {
+      if (!req.apiKey || !validationResult(req).isEmpty()) return next();
+
+      try {
+        const quota = await this.apiKeys.consumeRender(req.apiKey);
+        res.setHeader('X-Quota-Limit', quota.limit);
+        res.setHeader('X-Quota-Remaining', quota.remaining);
+        if (!quota.allowed) {
+          // Quotas reset at midnight UTC
+          const midnight = new Date().setUTCHours(24, 0, 0, 0);
+          res.setHeader('Retry-After', Math.ceil((midnight - Date.now()) / 1000));
+          return res.status(429).json({
+            success: false,
+            error: 'Daily render quota exceeded for this API key',
+            code: 'QUOTA_EXCEEDED',
+            quota: quota.limit,
+            timestamp: new Date().toISOString()
+          });
+        }
+        next();
+      } catch (error) {
+        console.error('Quota check error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to check render quota'
+        });
+      }
+    };
+  }
+
+  // Admin endpoints are off unless ADMIN_TOKEN is set to a real secret
+  requireAdmin() {
+    return (req, res, next) => {
+      const expected = this.adminToken;
+      if (!expected) {
+        return res.status(404).json({
+          success: false,
+          error: 'Admin API is disabled'
+        });
+      }
+
+      const token = req.get('X-Admin-Token') || '';
+      if (!crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(hashToken(expected), 'hex'))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid admin token'
+        });
+      }
+      next();
+    };
+  }
+
+  // File stores only drop expired entries when they are read again, so
+  // the ones with TTLs are swept now and then to keep DATA_DIR bounded
+  async sweepStores() {
+    for (const store of [this.snippets, this.themes, this.artifacts.store, this.jobs.store]) {
+      try {
+        const removed = await store.sweep();
+        if (removed) console.log(`✅ Removed ${removed} expired ${store.namespace} entries`);
+      } catch (error) {
+        console.warn(`⚠️ Sweeping ${store.namespace} failed:`, error.message);
+      }
+    }
+  }
+
+  // Public view of a job; the request and callback URL stay private
+  describeJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null,
+      error: job.error || null,
+      result: job.result || null,
+      webhook: job.webhook || null
+    };
+  }
+
+  // Sends the signed completion webhook and records how delivery went
+  async notifyJob(job) {
+    if (!job.callbackUrl) return;
+
+    const { image, ...result } = job.result || {};
+    const delivery = await deliverWebhook(job.callbackUrl, {
+      event: `job.${job.status}`,
+      job: {
+        ...this.describeJob(job),
+        result: job.result ? result : null,
+        url: job.baseUrl
+          ? `${job.baseUrl}/api/jobs/${job.id}`
+          : this.publicUrl(null, `/api/jobs/${job.id}`)
+      }
+    }, { secret: this.webhookSecret, allowedHosts: this.webhookHosts });
+
+    if (!delivery.delivered) {
+      console.warn(`⚠️ Webhook for job ${job.id} failed: ${delivery.error}`);
+    }
+    try {
+      const latest = await this.jobs.get(job.id);
+      if (latest) {
+        await this.jobs.save({ ...latest, webhook: { ...delivery, at: new Date().toISOString() } });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not record webhook delivery:', error.message);
+    }
+  }
+
+  // Short base62 IDs; retried on the (unlikely) collision
+  async generateSnippetId() {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    for (;;) {
+      const id = Array.from(crypto.randomBytes(8), (byte) => alphabet[byte % alphabet.length]).join('');
+      if (!(await this.snippets.get(id))) return id;
+    }
+  }
+
+  async createSnippet(code, options = {}, { expiresIn = null } = {}) {
+    const id = await this.generateSnippetId();
+    const deleteToken = crypto.randomBytes(24).toString('base64url');
+    const snippet = {
+      id,
+      code,
+      options,
+      deleteTokenHash: hashToken(deleteToken),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+    };
+
+    await this.snippets.set(id, snippet, { ttl: expiresIn });
+    return { snippet, deleteToken };
+  }
+
+  // Renders a snippet posted from chat and saves it, so the reply can link
+  // to /s/:id and embed /s/:id.png (already in the render cache by then)
+  async renderChatSnippet(req, { code, options }) {
+    const errors = await validateRender(code, options);
+    if (errors.length) {
+      throw new RenderError(errors[0].msg, { status: 400 });
+    }
+
+    const { language } = await this.renderImage(code, { ...options, format: 'png' });
+    const { snippet } = await this.createSnippet(code, options);
+    return {
+      language: language.name,
+      url: this.publicUrl(req, `/s/${snippet.id}`),
+      imageUrl: this.publicUrl(req, `/s/${snippet.id}.png`)
+    };
+  }
+
+  // What link previews show for a snippet: its title, some code and the
+  // size /s/:id.png comes out at
+  async snippetPreview(req, snippet) {
+    const { width, height, language } = await this.renderer.measurePNG(snippet.code, snippet.options);
+    const options = snippet.options || {};
+    return {
+      title: options.windowTitle || `${language.name.charAt(0).toUpperCase()}${language.name.slice(1)} snippet`,
+      description: describeCode(snippet.code),
+      pageUrl: this.publicUrl(req, `/s/${snippet.id}`),
+      image: {
+        url: this.publicUrl(req, `/s/${snippet.id}.png`),
+        type: IMAGE_FORMATS.png,
+        width,
+        height
+      }
+    };
+  }
+
+  chatErrorMessage(error) {
+    if (error instanceof RenderError || error instanceof RenderPoolError) return error.message;
+    console.error('Chat render error:', error);
+    return 'Failed to generate image';
+  }
+
+  // Slash command options, or the message a "Render as image" message
+  // command was used on
+  discordSnippet(data = {}) {
+    if (data.type === 3) {
+      const message = data.resolved && data.resolved.messages && data.resolved.messages[data.target_id];
+      return message ? parseChatSnippet(message.content) : null;
+    }
+
+    const values = {};
+    (data.options || []).forEach((option) => {
+      values[option.name] = option.value;
+    });
+    const snippet = parseChatSnippet(values.code);
+    if (!snippet) return null;
+    if (values.language) snippet.options.language = resolveLanguage(values.language) || 'auto';
+    if (values.theme) snippet.options.theme = String(values.theme).toLowerCase();
+    return snippet;
+  }
+
+  // Absolute URL for links that outlive the request: previews, oEmbed,
+  // artifacts. APP_URL wins. Without it the request's own origin is used
+  // only when it is one of the CORS origins, so a forged Host header cannot
+  // end up in cached previews; otherwise the link stays relative.
+  publicUrl(req, pathname) {
+    let base = process.env.APP_URL || '';
+    if (!base && req) {
+      const origin = `${req.protocol}://${req.get('host')}`;
+      if (this.origins.some((allowed) => allowed.toLowerCase() === origin.toLowerCase())) base = origin;
+    }
+    return `${base.replace(/\/$/, '')}${pathname}`;
+  }
+
+  parseImageQuery(query) {
+    // Repeated (?format=svg&format=png) or nested (?format[a]=b) parameters
+    // arrive as arrays and objects; they are refused rather than guessed at
+    const params = [
+      'code',
+      'encoding',
+      ...Object.keys(IMAGE_QUERY_OPTIONS),
+      ...Object.keys(IMAGE_QUERY_FLAGS),
+      ...ANIMATION_QUERY_PARAMS.map(([param]) => param)
+    ];
+    const invalid = params.find((param) => query[param] !== undefined && typeof query[param] !== 'string');
+    if (invalid) {
+      throw new RenderError(`Query parameter "${invalid}" must be given once`, { status: 400 });
+    }
+
+    let code = query.code;
+    if (typeof code === 'string' && query.encoding === 'base64url') {
+      code = Buffer.from(code, 'base64url').toString('utf8');
+    } else if (typeof code === 'string' && query.encoding === 'deflate') {
+      code = zlib.inflateRawSync(Buffer.from(code, 'base64url'), { maxOutputLength: 64 * 1024 }).toString('utf8');
+    }
+
+    const options = {};
+    Object.entries(IMAGE_QUERY_OPTIONS).forEach(([param, option]) => {
+      if (query[param] !== undefined) options[option] = query[param];
+    });
+    Object.entries(IMAGE_QUERY_FLAGS).forEach(([param, option]) => {
+      if (query[param] !== undefined) options[option] = !['0', 'false', 'no'].includes(query[param]);
+    });
+    // ?format=gif&animation=lines&fps=10&duration=4&hold=1
+    ANIMATION_QUERY_PARAMS.forEach(([param, field]) => {
+      if (query[param] === undefined) return;
+      options.animation = { ...options.animation, [field]: query[param] };
+    });
+
+    return { code, options };
+  }
+
+  initRoutes() {
+    // Health check
+    this.app.get('/api/health', (req, res) => {
+      res.json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        service: 'carbon-generator',
+        version: '1.0.0',
+        browser: this.renderer.pool.isReady ? 'ready' : 'not-ready',
+        rasterizer: this.renderer.rasterizer.isAvailable ? 'ready' : 'not-installed',
+        cache: this.redisClient && this.redisClient.isReady ? 'redis' : 'memory'
+      });
+    });
+
+    // Prometheus scrape endpoint, behind a bearer token. Route names and
+    // traffic are not for everyone, so it does not exist without METRICS_TOKEN.
+    this.app.get('/metrics', (req, res) => {
+      if (!this.metricsToken) {
+        return res.status(404).json({
+          success: false,
+          error: 'Metrics are disabled'
+        });
+      }
+
+      const token = (/^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '') || [])[1] || '';
+      if (!crypto.timingSafeEqual(Buffer.from(hashToken(token.trim()), 'hex'), Buffer.from(hashToken(this.metricsToken), 'hex'))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid metrics token'
+        });
+      }
+
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.metrics.registry.render());
+    });
+
+    // Stats endpoint
+    this.app.get('/api/stats', (req, res) => {
+      res.json({
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        browser: this.renderer.pool.isReady,
+        renderPool: this.renderer.pool.stats(),
+        cache: this.renderCache.stats(),
+        jobs: this.jobs.stats(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Usage of the API key the request was made with
+    this.app.get('/api/usage', async (req, res) => {
+      if (!req.apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'An API key is required'
+        });
+      }
+
+      try {
+        const days = await this.apiKeys.usageFor(req.apiKey.id);
+        res.json({
+          success: true,
+          key: req.apiKey,
+          today: {
+            ...days[0],
+            remaining: Math.max(0, req.apiKey.dailyQuota - days[0].renders)
+          },
+          days,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Usage read error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to load usage'
+        });
+      }
+    });
+
+    // API key administration, guarded by ADMIN_TOKEN
+    this.app.post('/api/admin/keys', this.requireAdmin(), [
+      body('name')
+        .optional()
+        .isString().withMessage('Name must be a string')
+        .isLength({ max: 100 }).withMessage('Name too long (max 100 chars)'),
+      body('rateLimit')
+        .optional()
+        .isInt({ min: 1 }).withMessage('rateLimit must be a positive integer')
+        .toInt(),
+      body('dailyQuota')
+        .optional()
+        .isInt({ min: 1 }).withMessage('dailyQuota must be a positive integer')
+        .toInt()
+    ], async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      // Keys are stored as HMACs, so none can be issued without the secret
+      if (!this.apiKeys.enabled) {
+        return res.status(503).json({
+          success: false,
+          error: 'API keys are disabled until API_KEY_SECRET is set'
+        });
+      }
+
+      try {
+        const { name, rateLimit, dailyQuota } = req.body;
+        const { key, record } = await this.apiKeys.create({ name, rateLimit, dailyQuota });
+        console.log(`✅ API key ${record.id} created (${record.name})`);
+
+        // The key itself is only ever shown here
+        res.status(201).json({
+          success: true,
+          key,
+          apiKey: record
+        });
+      } catch (error) {
+        console.error('API key create error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create API key'
+        });
+      }
+    });
+
+    this.app.get('/api/admin/keys', this.requireAdmin(), async (req, res) => {
+      try {
+        const keys = await this.apiKeys.list();
+        const usage = await Promise.all(keys.map((key) => this.apiKeys.usageFor(key.id)));
+        res.json({
+          success: true,
+          keys: keys.map((key, i) => ({ ...key, today: usage[i][0], days: usage[i] }))
+        });
+      } catch (error) {
+        console.error('API key list error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to list API keys'
+        });
+      }
+    });
+
+    this.app.delete('/api/admin/keys/:id', this.requireAdmin(), async (req, res) => {
+      try {
+        const record = await this.apiKeys.revoke(req.params.id);
+        if (!record) {
+          return res.status(404).json({
+            success: false,
+            error: 'API key not found'
+          });
+        }
+
+        console.log(`✅ API key ${record.id} revoked`);
+        res.json({
+          success: true,
+          apiKey: record
+        });
+      } catch (error) {
+        console.error('API key revoke error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to revoke API key'
+        });
+      }
+    });
+
+    // Generate endpoint with validation
+    this.app.post('/api/generate', [
+      ...renderValidation(),
+      body('inline')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('inline must be a boolean')
+    ], this.renderQuota(), async (req, res) => {
+      try {
+        // Validate input
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        const result = await this.renderSnippet(req.body.code, req.body.options, {
+          req,
+          inline: req.body.inline !== false
+        });
+        res.json(result);
+      } catch (error) {
+        this.sendRenderError(res, error);
+      }
+    });
+
+    // Renders many snippets in one request, a few at a time through the
+    // browser pool. Returns a ZIP of images named by item ID, or JSON with
+    // one result per item; a bad item does not fail the batch.
+    this.app.post('/api/generate/batch', [
+      body('items')
+        .isArray({ min: 1, max: BATCH_MAX_ITEMS }).withMessage(`items must be an array of 1 to ${BATCH_MAX_ITEMS} snippets`)
+        .bail()
+        .custom((items) => {
+          const ids = items.map((item, i) => (item && item.id !== undefined ? String(item.id) : String(i + 1)));
+          return new Set(ids).size === ids.length;
+        }).withMessage('Item IDs must be unique'),
+      body('items.*')
+        .isObject().withMessage('Each item must be an object'),
+      body('items.*.id')
+        .optional()
+        .custom((value) => BATCH_ITEM_ID_PATTERN.test(String(value)))
+        .withMessage('Item IDs may only contain letters, digits, ".", "_" and "-" (max 100 chars)'),
+      body('options')
+        .optional()
+        .isObject().withMessage('Options must be an object'),
+      body('output')
+        .optional()
+        .isIn(['json', 'zip']).withMessage('Output must be json or zip')
+    ], async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      try {
+        const { items, options: defaults = {} } = req.body;
+        // Anonymous batches count as one request per item; the request
+        // itself was already counted by the IP limiter
+        if (!(await this.chargeIpLimit(req, res, items.length - 1))) return;
+
+        const output = req.body.output || (req.accepts(['json', 'application/zip']) === 'application/zip' ? 'zip' : 'json');
+        const concurrency = parseInt(process.env.BATCH_CONCURRENCY) || this.renderer.pool.size;
+        const budget = { bytes: BATCH_MAX_BYTES };
+
+        const results = await mapLimit(
+          items.map((item, i) => ({ ...item, id: item.id !== undefined ? String(item.id) : String(i + 1) })),
+          concurrency,
+          (item) => this.renderBatchItem(item, defaults, req.apiKey, budget)
+        );
+        const failed = results.filter((result) => !result.success);
+        res.setHeader('X-Batch-Succeeded', results.length - failed.length);
+        res.setHeader('X-Batch-Failed', failed.length);
+
+        if (output === 'zip') {
+          const entries = results
+            .filter((result) => result.success)
+            .map((result) => ({
+              name: `${result.id}.${result.format === 'jpeg' ? 'jpg' : result.format}`,
+              data: result.buffer
+            }));
+          if (failed.length) {
+            entries.push({ name: 'errors.json', data: Buffer.from(JSON.stringify(failed, null, 2)) });
+          }
+
+          const zip = createZip(entries);
+          res.setHeader('Content-Type', 'application/zip');
+          res.setHeader('Content-Disposition', `attachment; filename="carbon-batch-${Date.now()}.zip"`);
+          res.setHeader('Content-Length', zip.length);
+          return res.send(zip);
+        }
+
+        res.json({
+          success: true,
+          total: results.length,
+          succeeded: results.length - failed.length,
+          failed: failed.length,
+          results: results.map(({ buffer, mimeType, ...result }) => (result.success
+            ? { ...result, image: `data:${mimeType};base64,${buffer.toString('base64')}` }
+            : result)),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendRenderError(res, error);
+      }
+    });
+
+    // Stateless image rendering for <img src> embeds. The code may be sent
+    // as-is, base64url-encoded, or deflated and then base64url-encoded.
+    this.app.get('/api/image',
+      (req, res, next) => {
+        try {
+          req.body = this.parseImageQuery(req.query);
+          next();
+        } catch (error) {
+          res.status(400).json({
+            success: false,
+            error: error instanceof RenderError ? error.message : 'Invalid code encoding'
+          });
+        }
+      },
+      renderValidation(),
+      (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        // The URL fully determines the image, so the hash doubles as ETag.
+        // Revalidations are answered here, before they count against a quota.
+        const { code, options } = req.body;
+        res.locals.etag = `"${renderKey(code, options).slice(0, 32)}"`;
+        res.setHeader('ETag', res.locals.etag);
+        if (req.fresh) {
+          res.setHeader('Cache-Control', 'public, max-age=86400');
+          res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+          return res.status(304).end();
+        }
+        // Set again once rendered, so quota and render errors are not cached
+        res.removeHeader('ETag');
+        next();
+      },
+      this.renderQuota(),
+      async (req, res) => {
+        try {
+          const { code, options } = req.body;
+          const { mimeType, buffer, engine } = await this.renderImage(code, options);
+
+          res.setHeader('ETag', res.locals.etag);
+          res.setHeader('Cache-Control', 'public, max-age=86400');
+          res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+          res.setHeader('Content-Type', mimeType);
+          res.setHeader('X-Render-Engine', engine);
+          res.setHeader('Content-Length', buffer.length);
+          res.send(buffer);
+        } catch (error) {
+          res.setHeader('Cache-Control', 'no-store');
+          this.sendRenderError(res, error);
+        }
+      }
+    );
+
+    // Asynchronous renders: the job ID comes back at once, the result is
+    // polled from /api/jobs/:id or pushed to callbackUrl when it is done
+    this.app.post('/api/jobs',
+      [
+        ...renderValidation(),
+        body('callbackUrl')
+          .optional()
+          .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+          .withMessage('callbackUrl must be an http(s) URL')
+          .bail()
+          .custom(() => !!this.webhookSecret)
+          .withMessage('Webhooks are not configured on this server')
+          .bail()
+          .custom(async (value) => {
+            const refused = await checkWebhookUrl(value, { allowedHosts: this.webhookHosts });
+            if (refused) throw new Error(refused);
+            return true;
+          })
+      ],
+      this.renderQuota(),
+      async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        try {
+          const { code, options, callbackUrl } = req.body;
+          const job = await this.jobs.submit({ code, options }, {
+            callbackUrl,
+            apiKeyId: req.apiKey && req.apiKey.id,
+            baseUrl: this.publicUrl(req, '')
+          });
+
+          res.setHeader('Location', `/api/jobs/${job.id}`);
+          res.status(202).json({
+            success: true,
+            job: this.describeJob(job)
+          });
+        } catch (error) {
+          console.error('Job submit error:', error);
+          res.status(500).json({
+            success: false,
+            error: 'Failed to queue job'
+          });
+        }
+      }
+    );
+
+    this.app.get('/api/jobs/:id', async (req, res) => {
+      try {
+        const job = await this.jobs.get(req.params.id);
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+          });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({
+          success: true,
+          job: this.describeJob(job)
+        });
+      } catch (error) {
+        console.error('Job read error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to load job'
+        });
+      }
+    });
+
+    this.app.delete('/api/jobs/:id', async (req, res) => {
+      try {
+        const job = await this.jobs.cancel(req.params.id);
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+          });
+        }
+        if (job.status !== 'cancelled') {
+          return res.status(409).json({
+            success: false,
+            error: `Job already ${job.status}`,
+            job: this.describeJob(job)
+          });
+        }
+
+        res.json({
+          success: true,
+          job: this.describeJob(job)
+        });
+      } catch (error) {
+        console.error('Job cancel error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to cancel job'
+        });
+      }
+    });
+
+    // Font registry: bundled families plus drop-ins from the fonts folder
+    this.app.get('/api/fonts', (req, res) => {
+      res.json({
+        success: true,
+        fonts: fonts.list()
+      });
+    });
+
+    // Linked @font-face rules for the live preview, which cannot inline fonts
+    this.app.get('/api/fonts/:id.css', (req, res) => {
+      const font = fonts.families().find((entry) => entry.id === req.params.id);
+      if (!font) {
+        return res.status(404).json({
+          success: false,
+          error: 'Font not found'
+        });
+      }
+
+      res.setHeader('Cache-Control', 'public, max-age=300');
+      res.type('text/css').send(fonts.fontFaceCSS(font.family, '', { inline: false }));
+    });
+
+    this.app.get('/api/fonts/:id/:file', (req, res) => {
+      const file = fonts.filePath(req.params.id, req.params.file);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          error: 'Font not found'
+        });
+      }
+
+      res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.sendFile(file);
+    });
+
+    // Theme registry: built-ins for the theme picker, plus imported themes
+    this.app.get('/api/themes', (req, res) => {
+      res.json({
+        success: true,
+        themes: listThemes()
+      });
+    });
+
+    this.app.get('/api/themes/:id', async (req, res) => {
+      try {
+        const builtin = listThemes().find((theme) => theme.id === req.params.id);
+        const theme = builtin || await this.themes.get(req.params.id);
+        if (!theme) {
+          return res.status(404).json({
+            success: false,
+            error: 'Theme not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          theme: { id: req.params.id, ...theme }
+        });
+      } catch (error) {
+        console.error('Theme read error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to load theme'
+        });
+      }
     });
 
-    // Apply rate limiting to API routes
-    this.app.use('/api/', apiLimiter);
+    // Accepts a VS Code / TextMate theme file (object or JSONC text), or a
+    // theme in our own { name, type, colors } format
+    this.app.post('/api/themes', [
+      body('name').optional().isString().isLength({ max: 50 }),
+      body('theme').exists().withMessage('Theme is required')
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
 
-    // Body parsing and compression
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-    this.app.use(compression());
+        // Imports are stored, so anonymous callers pay more of the IP
+        // limit for them; the request itself was already counted
+        if (!(await this.chargeIpLimit(req, res, THEME_IMPORT_COST - 1))) return;
 
-    // Logging
-    if (process.env.NODE_ENV !== 'production') {
-      this.app.use(morgan('dev'));
-    } else {
-      this.app.use(morgan('combined'));
-    }
+        const { name, theme: source } = req.body;
+        const ownFormat = source && typeof source === 'object' && source.colors && typeof source.colors.keyword === 'string';
+        const theme = ownFormat
+          ? normaliseTheme({ ...source, name: name || source.name })
+          : importVSCodeTheme(source, name);
 
-    // Static files
-    this.app.use(express.static(path.join(__dirname, '../frontend')));
-  }
+        const id = themeId(theme);
+        await this.themes.set(id, theme, { ttl: this.themeTtl });
 
-  generateHTMLTemplate(code, options = {}) {
-    const {
-      theme = 'dark',
-      backgroundColor = '#262424',
-      fontFamily = 'Fira Code',
-      fontSize = '14px',
-      language = 'auto',
-      showLineNumbers = true,
-      showWindowControls = true,
-      padding = '40px',
-      lineHeight = '1.6',
-      tabSize = 2
-    } = options;
-
-    const themes = {
-      dark: {
-        background: '#262424',
-        text: '#f8f8f2',
-        comment: '#6272a4',
-        keyword: '#ff79c6',
-        string: '#f1fa8c',
-        number: '#bd93f9',
-        function: '#50fa7b',
-        class: '#8be9fd',
-        variable: '#ffb86c',
-        operator: '#ff79c6'
-      },
-      light: {
-        background: '#ffffff',
-        text: '#383a42',
-        comment: '#a0a1a7',
-        keyword: '#a626a4',
-        string: '#50a14f',
-        number: '#986801',
-        function: '#4078f2',
-        class: '#c18401',
-        variable: '#e45649',
-        operator: '#a626a4'
-      },
-      solarized: {
-        background: '#002b36',
-        text: '#839496',
-        comment: '#586e75',
-        keyword: '#859900',
-        string: '#2aa198',
-        number: '#d33682',
-        function: '#b58900',
-        class: '#268bd2',
-        variable: '#cb4b16',
-        operator: '#859900'
+        res.status(201).json({
+          success: true,
+          theme: { id, ...theme }
+        });
+      } catch (error) {
+        this.sendRenderError(res, error);
       }
-    };
+    });
 
-    const themeColors = themes[theme] || themes.dark;
-    const fontFamilyCSS = fontFamily.includes(' ') ? `'${fontFamily}'` : fontFamily;
-
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Carbon Code</title>
-    <link href="https://fonts.googleapis.com/css2?family=${fontFamily.replace(/ /g, '+')}&display=swap" rel="stylesheet">
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            background: ${backgroundColor};
-            font-family: ${fontFamilyCSS}, monospace;
-            font-size: ${fontSize};
-            line-height: ${lineHeight};
-            color: ${themeColors.text};
-            padding: ${padding};
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        }
-        
-        .carbon-container {
-            width: 100%;
-            max-width: 900px;
-            background: ${theme === 'dark' ? 'rgba(0, 0, 0, 0.3)' : 'rgba(0, 0, 0, 0.05)'};
-            border-radius: 12px;
-            overflow: hidden;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            border: 1px solid ${theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'};
-        }
-        
-        ${showWindowControls ? `
-        .window-header {
-            background: ${theme === 'dark' ? 'rgba(0, 0, 0, 0.4)' : 'rgba(0, 0, 0, 0.1)'};
-            padding: 16px 24px;
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-            border-bottom: 1px solid ${theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'};
-        }
-        
-        .window-controls {
-            display: flex;
-            gap: 10px;
-        }
-        
-        .window-dot {
-            width: 14px;
-            height: 14px;
-            border-radius: 50%;
-            cursor: pointer;
-            transition: all 0.2s ease;
-        }
-        
-        .window-dot:hover {
-            transform: scale(1.1);
-        }
-        
-        .dot-close { background: #ff5f56; }
-        .dot-minimize { background: #ffbd2e; }
-        .dot-maximize { background: #27ca3f; }
-        
-        .window-title {
-            font-size: 0.9em;
-            color: ${themeColors.comment};
-            font-weight: 500;
-        }
-        ` : ''}
-        
-        .code-wrapper {
-            padding: 32px;
-            overflow: auto;
-        }
-        
-        pre {
-            margin: 0;
-            white-space: pre-wrap;
-            word-wrap: break-word;
-            tab-size: ${tabSize};
-        }
-        
-        code {
-            font-family: inherit;
-            display: block;
-        }
-        
-        .line {
-            display: flex;
-            min-height: ${parseInt(fontSize) * parseFloat(lineHeight)}px;
-        }
-        
-        ${showLineNumbers ? `
-        .line-number {
-            color: ${themeColors.comment};
-            user-select: none;
-            text-align: right;
-            min-width: 40px;
-            padding-right: 16px;
-            border-right: 1px solid ${theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'};
-            margin-right: 16px;
-        }
-        ` : ''}
-        
-        .token.comment { color: ${themeColors.comment}; font-style: italic; }
-        .token.keyword { color: ${themeColors.keyword}; font-weight: 600; }
-        .token.string { color: ${themeColors.string}; }
-        .token.number { color: ${themeColors.number}; }
-        .token.function { color: ${themeColors.function}; }
-        .token.class { color: ${themeColors.class}; }
-        .token.variable { color: ${themeColors.variable}; }
-        .token.operator { color: ${themeColors.operator}; }
-        .token.punctuation { color: ${themeColors.text}; opacity: 0.8; }
-        
-        .grid-bg {
-            position: absolute;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background-image: 
-                linear-gradient(rgba(255, 255, 255, 0.03) 1px, transparent 1px),
-                linear-gradient(90deg, rgba(255, 255, 255, 0.03) 1px, transparent 1px);
-            background-size: 30px 30px;
-            pointer-events: none;
-            z-index: 0;
+    // Stored renders from /api/generate, by artifact ID
+    this.app.get('/api/renders/:id', async (req, res) => {
+      try {
+        const artifact = await this.artifacts.get(req.params.id);
+        if (!artifact) {
+          return res.status(404).json({
+            success: false,
+            error: 'Render not found or expired'
+          });
         }
-        
-        .content {
-            position: relative;
-            z-index: 1;
+
+        this.sendArtifact(res, artifact.buffer, { expiresAt: artifact.expiresAt });
+      } catch (error) {
+        console.error('Render lookup error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to load render'
+        });
+      }
+    });
+
+    // The same bytes as an attachment. Asking for another format renders
+    // the stored request again in that format.
+    this.app.get('/api/renders/:id/download', async (req, res) => {
+      try {
+        const artifact = await this.artifacts.get(req.params.id);
+        if (!artifact) {
+          return res.status(404).json({
+            success: false,
+            error: 'Render not found or expired'
+          });
         }
-    </style>
-</head>
-<body>
-    <div class="carbon-container">
-        ${showWindowControls ? `
-        <div class="window-header">
-            <div class="window-controls">
-                <div class="window-dot dot-close" title="Close"></div>
-                <div class="window-dot dot-minimize" title="Minimize"></div>
-                <div class="window-dot dot-maximize" title="Maximize"></div>
-            </div>
-            <div class="window-title">${language.toUpperCase()} • Carbon Generator</div>
-            <div style="width: 60px;"></div>
-        </div>
-        ` : ''}
-        
-        <div class="code-wrapper">
-            <div class="grid-bg"></div>
-            <div class="content">
-                <pre><code>${this.escapeHTML(code)}</code></pre>
-            </div>
-        </div>
-    </div>
-    
-    <script>
-        (function highlightSyntax() {
-            const codeElement = document.querySelector('code');
-            if (!codeElement) return;
-            
-            let code = codeElement.textContent;
-            const lines = code.split('\\n');
-            const language = '${language}';
-            
-            // Basic syntax highlighting patterns
-            const patterns = {
-                javascript: [
-                    { regex: /\\/\\/.*$/gm, className: 'comment' },
-                    { regex: /\\/\\*[\\s\\S]*?\\*\\//g, className: 'comment' },
-                    { regex: /(["'`])(?:\\\\.|[^\\\\])*?\\1/g, className: 'string' },
-                    { regex: /\\b(\\d+\\.?\\d*|0x[\\da-fA-F]+)\\b/g, className: 'number' },
-                    { regex: /\\b(const|let|var|function|return|if|else|for|while|switch|case|break|continue|class|extends|import|export|default|async|await|try|catch|finally|throw|new|this|super)\\b/g, className: 'keyword' },
-                    { regex: /\\b(console|Math|Date|String|Number|Array|Object|Promise|JSON)\\b/g, className: 'class' },
-                    { regex: /(=|\\+|\\-|\\*|\\/|%|==|===|!=|!==|>|<|>=|<=|&&|\\|\\||!|\\?:|\\.\\.\\.)\\b/g, className: 'operator' },
-                    { regex: /([{}()\\[\\];:,])/g, className: 'punctuation' }
-                ],
-                python: [
-                    { regex: /#.*$/gm, className: 'comment' },
-                    { regex: /(["'"])(?:\\\\.|[^\\\\])*?\\1/g, className: 'string' },
-                    { regex: /\\b(\\d+\\.?\\d*)\\b/g, className: 'number' },
-                    { regex: /\\b(def|class|return|if|elif|else|for|while|try|except|finally|with|import|from|as|lambda|pass|break|continue|raise|yield|async|await)\\b/g, className: 'keyword' },
-                    { regex: /\\b(print|len|range|str|int|float|list|dict|tuple|set|True|False|None)\\b/g, className: 'class' }
-                ],
-                html: [
-                    { regex: /&lt;!--[\\s\\S]*?--&gt;/g, className: 'comment' },
-                    { regex: /&lt;\\/?[a-zA-Z][^&lt;&gt;]*&gt;/g, className: 'keyword' },
-                    { regex: /(["'])(?:\\\\.|[^\\\\])*?\\1/g, className: 'string' }
-                ],
-                css: [
-                    { regex: /\\/\\*[\\s\\S]*?\\*\\//g, className: 'comment' },
-                    { regex: /(["'])(?:\\\\.|[^\\\\])*?\\1/g, className: 'string' },
-                    { regex: /\\b(\\d+)(px|em|rem|%|s|ms)?\\b/g, className: 'number' },
-                    { regex: /\\b(@media|@import|@keyframes|@font-face|@page)\\b/g, className: 'keyword' }
-                ]
-            };
-            
-            const langPatterns = patterns[language] || patterns.javascript;
-            
-            langPatterns.forEach(({ regex, className }) => {
-                code = code.replace(regex, '<span class="token ' + className + '">$&</span>');
-            });
-            
-            // Add line numbers
-            if (${showLineNumbers}) {
-                let numberedCode = '';
-                lines.forEach((line, i) => {
-                    const lineNumber = i + 1;
-                    const lineContent = line || ' ';
-                    numberedCode += '<div class="line">';
-                    numberedCode += '<span class="line-number">' + lineNumber + '</span>';
-                    numberedCode += '<span class="line-content">' + lineContent + '</span>';
-                    numberedCode += '</div>';
-                });
-                code = numberedCode;
-            }
-            
-            codeElement.innerHTML = code;
-        })();
-    </script>
-</body>
-</html>`;
-  }
-
-  escapeHTML(str) {
-    if (!str) return '';
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;')
-      .replace(/\n/g, '<br>')
-      .replace(/\t/g, '&nbsp;&nbsp;&nbsp;&nbsp;')
-      .replace(/ /g, '&nbsp;');
-  }
-
-  async getFromCache(key) {
-    if (!this.redisClient) return null;
-    
-    try {
-      const cached = await this.redisClient.get(key);
-      return cached ? JSON.parse(cached) : null;
-    } catch (error) {
-      console.error('Cache read error:', error);
-      return null;
-    }
-  }
 
-  async setToCache(key, value, ttl = 3600) {
-    if (!this.redisClient) return false;
-    
-    try {
-      await this.redisClient.set(key, JSON.stringify(value), {
-        EX: ttl
-      });
-      return true;
-    } catch (error) {
-      console.error('Cache write error:', error);
-      return false;
-    }
-  }
+        const format = req.query.format;
+        if (format !== undefined && !IMAGE_FORMATS[format]) {
+          return res.status(400).json({
+            success: false,
+            error: `Format must be one of ${Object.keys(IMAGE_FORMATS).join(', ')}`
+          });
+        }
 
-  initRoutes() {
-    // Health check
-    this.app.get('/api/health', (req, res) => {
-      res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        service: 'carbon-generator',
-        version: '1.0.0',
-        browser: this.isBrowserReady ? 'ready' : 'not-ready',
-        cache: this.redisClient ? 'connected' : 'disabled'
-      });
-    });
+        let buffer = artifact.buffer;
+        if (format && format !== sniffFormat(buffer)) {
+          const { code, options } = artifact.request;
+          const converted = { ...options, format };
+          const errors = await validateRender(code, converted);
+          if (errors.length) {
+            return res.status(400).json({
+              success: false,
+              errors
+            });
+          }
+          if (req.apiKey && !(await this.apiKeys.consumeRender(req.apiKey)).allowed) {
+            return res.status(429).json({
+              success: false,
+              error: 'Daily render quota exceeded for this API key',
+              code: 'QUOTA_EXCEEDED'
+            });
+          }
+          ({ buffer } = await this.renderImage(code, converted));
+        }
 
-    // Stats endpoint
-    this.app.get('/api/stats', (req, res) => {
-      res.json({
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        browser: this.isBrowserReady,
-        cache: !!this.redisClient,
-        timestamp: new Date().toISOString()
-      });
+        const filename = String(req.query.filename || 'carbon-code')
+          .replace(/\.(png|jpe?g|webp|svg|gif|webm)$/i, '')
+          .replace(/[^a-zA-Z0-9._-]/g, '_')
+          .slice(0, 100) || 'carbon-code';
+        this.sendArtifact(res, buffer, { filename });
+      } catch (error) {
+        if (error instanceof RenderError || error instanceof RenderPoolError) {
+          return this.sendRenderError(res, error);
+        }
+        console.error('Download error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Download failed'
+        });
+      }
     });
 
-    // Generate endpoint with validation
-    this.app.post('/api/generate', 
+    // Shareable snippet permalinks
+    this.app.post('/api/snippets',
       [
-        body('code')
-          .notEmpty().withMessage('Code is required')
-          .isString().withMessage('Code must be a string')
-          .isLength({ max: 10000 }).withMessage('Code too long (max 10000 chars)'),
-        body('options.theme')
-          .optional()
-          .isIn(['dark', 'light', 'solarized']).withMessage('Invalid theme'),
-        body('options.fontSize')
+        ...renderValidation(),
+        body('expiresIn')
           .optional()
-          .matches(/^\d+(px|em|rem)$/).withMessage('Invalid font size format'),
-        body('options.padding')
-          .optional()
-          .matches(/^\d+(px|em|rem)$/).withMessage('Invalid padding format')
+          .isInt({ min: 60, max: 365 * 24 * 3600 }).withMessage('expiresIn must be between 60 seconds and one year')
       ],
       async (req, res) => {
         try {
-          // Validate input
           const errors = validationResult(req);
           if (!errors.isEmpty()) {
             return res.status(400).json({
@@ -534,183 +1567,316 @@ class CarbonGenerator {
             });
           }
 
-          const { code, options = {} } = req.body;
-          
-          // Generate cache key
-          const cacheKey = `carbon:${Buffer.from(code).toString('base64')}:${JSON.stringify(options)}`;
-          
-          // Check cache first
-          const cached = await this.getFromCache(cacheKey);
-          if (cached) {
-            return res.json({
-              ...cached,
-              cached: true,
-              timestamp: new Date().toISOString()
-            });
-          }
-
-          // Validate browser availability
-          if (!this.isBrowserReady || !this.browser) {
-            return res.status(503).json({
-              success: false,
-              error: 'Image generation service is temporarily unavailable',
-              fallback: true
-            });
-          }
-
-          console.log(`Generating image for code (${code.length} chars)`);
-
-          let page;
-          try {
-            page = await this.browser.newPage();
-            
-            // Set content with timeout
-            const html = this.generateHTMLTemplate(code, options);
-            await page.setContent(html, { 
-              waitUntil: ['networkidle0', 'domcontentloaded'],
-              timeout: 10000 
-            });
-
-            // Wait for rendering
-            await page.waitForFunction(
-              () => document.readyState === 'complete',
-              { timeout: 5000 }
-            );
-
-            // Get element dimensions
-            const dimensions = await page.evaluate(() => {
-              const element = document.querySelector('.carbon-container');
-              if (!element) return null;
-              const rect = element.getBoundingClientRect();
-              return {
-                x: Math.floor(rect.x),
-                y: Math.floor(rect.y),
-                width: Math.ceil(rect.width),
-                height: Math.ceil(rect.height)
-              };
-            });
-
-            if (!dimensions) {
-              throw new Error('Could not find code container');
-            }
-
-            // Take screenshot
-            const screenshot = await page.screenshot({
-              type: 'png',
-              encoding: 'base64',
-              clip: {
-                x: dimensions.x,
-                y: dimensions.y,
-                width: Math.min(dimensions.width, 1920),
-                height: Math.min(dimensions.height, 1080)
-              },
-              omitBackground: false,
-              quality: 100
-            });
-
-            await page.close();
-
-            // Prepare response
-            const result = {
-              success: true,
-              image: `data:image/png;base64,${screenshot}`,
-              dimensions: {
-                width: dimensions.width,
-                height: dimensions.height
-              },
-              cached: false,
-              timestamp: new Date().toISOString()
-            };
-
-            // Cache result
-            await this.setToCache(cacheKey, result);
-
-            res.json(result);
-
-          } catch (pageError) {
-            if (page) await page.close().catch(() => {});
-            throw pageError;
-          }
+          const { snippet, deleteToken } = await this.createSnippet(req.body.code, req.body.options, {
+            expiresIn: parseInt(req.body.expiresIn) || null
+          });
+          const { id } = snippet;
 
+          res.status(201).json({
+            success: true,
+            id,
+            url: this.publicUrl(req, `/s/${id}`),
+            imageUrl: this.publicUrl(req, `/s/${id}.png`),
+            deleteToken,
+            expiresAt: snippet.expiresAt
+          });
         } catch (error) {
-          console.error('Generation error:', error);
-          
+          console.error('Snippet save error:', error);
           res.status(500).json({
             success: false,
-            error: 'Failed to generate image',
-            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
-            timestamp: new Date().toISOString()
+            error: 'Failed to save snippet'
           });
         }
       }
     );
 
-    // Download endpoint
-    this.app.get('/api/download', async (req, res) => {
+    this.app.get('/api/snippets/:id', async (req, res) => {
       try {
-        const { url, filename = 'carbon-code.png' } = req.query;
-        
-        if (!url || !url.startsWith('data:image/png;base64,')) {
-          return res.status(400).json({
+        const snippet = await this.snippets.get(req.params.id);
+        if (!snippet) {
+          return res.status(404).json({
             success: false,
-            error: 'Invalid image URL'
+            error: 'Snippet not found'
           });
         }
 
-        const base64Data = url.split(',')[1];
-        if (!base64Data) {
-          return res.status(400).json({
+        const { deleteTokenHash, ...publicFields } = snippet;
+        res.json({ success: true, ...publicFields });
+      } catch (error) {
+        console.error('Snippet read error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to load snippet'
+        });
+      }
+    });
+
+    this.app.delete('/api/snippets/:id', async (req, res) => {
+      try {
+        const token = req.get('X-Delete-Token') || (req.body && req.body.deleteToken);
+        const snippet = await this.snippets.get(req.params.id);
+        if (!snippet) {
+          return res.status(404).json({
             success: false,
-            error: 'Invalid base64 data'
+            error: 'Snippet not found'
           });
         }
 
-        const buffer = Buffer.from(base64Data, 'base64');
-        
-        // Validate it's actually an image
-        if (buffer.length < 8) {
-          return res.status(400).json({
+        const expected = Buffer.from(snippet.deleteTokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token || ''), 'hex');
+        if (!token || !crypto.timingSafeEqual(expected, actual)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Invalid delete token'
+          });
+        }
+
+        await this.snippets.delete(req.params.id);
+        res.json({ success: true, id: req.params.id });
+      } catch (error) {
+        console.error('Snippet delete error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete snippet'
+        });
+      }
+    });
+
+    this.app.get('/s/:id.png', this.renderQuota(), async (req, res) => {
+      try {
+        const snippet = await this.snippets.get(req.params.id);
+        if (!snippet) {
+          return res.status(404).json({
             success: false,
-            error: 'Invalid image data'
+            error: 'Snippet not found'
           });
         }
 
-        // Set headers
-        res.setHeader('Content-Type', 'image/png');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^a-zA-Z0-9._-]/g, '_')}"`);
+        const { mimeType, buffer, engine } = await this.renderImage(snippet.code, { ...snippet.options, format: 'png' });
+
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('X-Render-Engine', engine);
         res.setHeader('Content-Length', buffer.length);
-        res.setHeader('Cache-Control', 'no-store');
-        
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
         res.send(buffer);
+      } catch (error) {
+        this.sendRenderError(res, error);
+      }
+    });
+
+    // The editor loads the snippet itself from /api/snippets/:id; the page
+    // only gains preview tags for link unfurlers
+    this.app.get('/s/:id', async (req, res) => {
+      const indexFile = path.join(__dirname, '../frontend/index.html');
+      const snippet = await this.snippets.get(req.params.id).catch(() => null);
+      if (!snippet) {
+        return res.status(404).sendFile(indexFile);
+      }
 
+      try {
+        if (!this.indexHtml) this.indexHtml = await fs.promises.readFile(indexFile, 'utf8');
+        const preview = await this.snippetPreview(req, snippet);
+        const oembedUrl = this.publicUrl(req, `/api/oembed?url=${encodeURIComponent(preview.pageUrl)}&format=json`);
+        res.setHeader('Cache-Control', 'no-cache');
+        res.type('html').send(withPreviewTags(this.indexHtml, previewTags({ ...preview, oembedUrl })));
       } catch (error) {
-        console.error('Download error:', error);
+        console.warn(`⚠️ No link preview for snippet ${snippet.id}: ${error.message}`);
+        res.sendFile(indexFile);
+      }
+    });
+
+    // oEmbed for snippet links (/s/:id or /s/:id.png), so consumers that
+    // support it embed the image
+    this.app.get('/api/oembed', async (req, res) => {
+      if (req.query.format && req.query.format !== 'json') {
+        return res.status(501).json({
+          success: false,
+          error: 'Only the json format is supported'
+        });
+      }
+
+      let id;
+      try {
+        const match = /^\/s\/([A-Za-z0-9]+)(?:\.png)?\/?$/.exec(new URL(String(req.query.url || '')).pathname);
+        id = match && match[1];
+      } catch (error) {
+        id = null;
+      }
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'url must link to a shared snippet'
+        });
+      }
+
+      try {
+        const snippet = await this.snippets.get(id);
+        if (!snippet) {
+          return res.status(404).json({
+            success: false,
+            error: 'Snippet not found'
+          });
+        }
+
+        const preview = await this.snippetPreview(req, snippet);
+        const expiresIn = snippet.expiresAt ? Math.floor((Date.parse(snippet.expiresAt) - Date.now()) / 1000) : 3600;
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.json(oembedResponse({
+          ...preview,
+          providerUrl: this.publicUrl(req, '/'),
+          maxWidth: parseInt(req.query.maxwidth) || null,
+          maxHeight: parseInt(req.query.maxheight) || null,
+          cacheAge: Math.max(0, Math.min(expiresIn, 3600))
+        }));
+      } catch (error) {
+        console.error('oEmbed error:', error);
         res.status(500).json({
           success: false,
-          error: 'Download failed'
+          error: 'Failed to build embed'
         });
       }
     });
 
-    // Fallback endpoint (without Puppeteer)
-    this.app.post('/api/generate/fallback', (req, res) => {
-      const { code } = req.body;
-      
-      if (!code) {
+    // Chat integrations: /carbon in Slack or Discord. Both platforms want an
+    // answer within 3 seconds, so the reply is deferred and the image is
+    // posted once it rendered. Disabled (404) until the secret is set.
+    this.app.post('/api/integrations/slack/command', (req, res) => {
+      const secret = process.env.SLACK_SIGNING_SECRET;
+      if (!secret) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found'
+        });
+      }
+      if (!verifySlackRequest({
+        secret,
+        timestamp: req.get('X-Slack-Request-Timestamp'),
+        signature: req.get('X-Slack-Signature'),
+        rawBody: req.rawBody
+      })) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid request signature'
+        });
+      }
+
+      const { text, response_url: responseUrl, user_id: userId } = req.body;
+      const snippet = parseChatSnippet(unescapeSlack(text || ''));
+      if (!snippet || !responseUrl) {
+        return res.json({ response_type: 'ephemeral', text: CHAT_USAGE });
+      }
+
+      res.json({ response_type: 'ephemeral', text: 'Rendering your snippet...' });
+
+      this.renderChatSnippet(req, snippet)
+        .then(({ language, url, imageUrl }) => sendChatReply(responseUrl, {
+          response_type: 'in_channel',
+          text: `<@${userId}> shared a ${language} snippet: ${url}`,
+          blocks: [
+            { type: 'image', image_url: imageUrl, alt_text: `${language} code snippet` },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: `<${url}|Open in Carbon> · shared by <@${userId}>` }] }
+          ]
+        }))
+        .catch((error) => sendChatReply(responseUrl, {
+          response_type: 'ephemeral',
+          text: `Could not render your snippet: ${this.chatErrorMessage(error)}`
+        }))
+        .then((delivery) => {
+          if (!delivery.delivered) console.warn(`⚠️ Slack reply failed: ${delivery.error}`);
+        });
+    });
+
+    this.app.post('/api/integrations/discord/interactions', (req, res) => {
+      const publicKey = process.env.DISCORD_PUBLIC_KEY;
+      if (!publicKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found'
+        });
+      }
+      if (!verifyDiscordRequest({
+        publicKey,
+        timestamp: req.get('X-Signature-Timestamp'),
+        signature: req.get('X-Signature-Ed25519'),
+        rawBody: req.rawBody
+      })) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid request signature'
+        });
+      }
+
+      const interaction = req.body;
+      // PING, sent when the endpoint is registered
+      if (interaction.type === 1) {
+        return res.json({ type: 1 });
+      }
+      if (interaction.type !== 2) {
         return res.status(400).json({
           success: false,
-          error: 'Code is required'
+          error: 'Unsupported interaction type'
         });
       }
 
-      // Return a simple JSON response with instructions
-      res.json({
-        success: true,
-        message: 'Fallback mode active. Install Puppeteer for image generation.',
-        codePreview: code.substring(0, 200) + (code.length > 200 ? '...' : ''),
-        length: code.length,
-        timestamp: new Date().toISOString()
-      });
+      const snippet = this.discordSnippet(interaction.data);
+      if (!snippet) {
+        // Channel message, only visible to the user (flag 64)
+        return res.json({ type: 4, data: { content: CHAT_USAGE, flags: 64 } });
+      }
+
+      // Deferred channel message; the original response is edited below
+      res.json({ type: 5 });
+
+      const api = (process.env.DISCORD_API_URL || 'https://discord.com/api/v10').replace(/\/$/, '');
+      const followUp = `${api}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`;
+      this.renderChatSnippet(req, snippet)
+        .then(({ language, url, imageUrl }) => sendChatReply(followUp, {
+          content: url,
+          embeds: [{ title: `${language} snippet`, url, image: { url: imageUrl } }]
+        }, { method: 'PATCH' }))
+        .catch((error) => sendChatReply(followUp, {
+          content: `Could not render your snippet: ${this.chatErrorMessage(error)}`
+        }, { method: 'PATCH' }))
+        .then((delivery) => {
+          if (!delivery.delivered) console.warn(`⚠️ Discord reply failed: ${delivery.error}`);
+        });
+    });
+
+    // Same as /api/generate, but always PNG drawn without the browser, for
+    // clients whose browser render failed
+    this.app.post('/api/generate/fallback', renderValidation(), this.renderQuota(), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        const options = { ...req.body.options, format: 'png' };
+        const result = await this.renderSnippet(req.body.code, options, { req, engine: 'raster' });
+        res.json(result);
+      } catch (error) {
+        this.sendRenderError(res, error);
+      }
+    });
+
+    // Template, highlighter and option handling for the frontend's live
+    // preview, bundled from lib/ on first request
+    this.app.get('/js/carbon-shared.js', (req, res) => {
+      try {
+        if (!this.sharedBundle) this.sharedBundle = bundleModules(SHARED_BUNDLE);
+        res.setHeader('Cache-Control', 'no-cache');
+        res.type('application/javascript').send(this.sharedBundle);
+      } catch (error) {
+        console.error('Shared bundle error:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to build preview script'
+        });
+      }
     });
 
     // Serve frontend
@@ -745,8 +1911,11 @@ class CarbonGenerator {
   async shutdown() {
     console.log('Shutting down gracefully...');
     
-    if (this.browser) {
-      await this.browser.close().catch(console.error);
+    this.jobs.stop();
+    clearInterval(this.sweepTimer);
+
+    if (this.renderer.pool) {
+      await this.renderer.pool.close().catch(console.error);
     }
     
     if (this.redisClient) {
@@ -757,6 +1926,11 @@ class CarbonGenerator {
   }
 
   start() {
+    this.initRedis();
+    this.initBrowser();
+    this.jobs.start();
+    this.sweepTimer = setInterval(() => this.sweepStores(), STORE_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
     const server = this.app.listen(this.port, () => {
       console.log(`
 ╔═══════════════════════════════════════════╗
@@ -764,7 +1938,7 @@ class CarbonGenerator {
 ╠═══════════════════════════════════════════╣
 ║ Port:         ${this.port.toString().padEnd(30)} ║
 ║ Environment:  ${process.env.NODE_ENV || 'development'.padEnd(30)} ║
-║ Browser:      ${this.isBrowserReady ? '✅ Ready'.padEnd(30) : '❌ Not Ready'.padEnd(30)} ║
+║ Browser:      ${this.renderer.pool.isReady ? '✅ Ready'.padEnd(30) : '❌ Not Ready'.padEnd(30)} ║
 ║ Cache:        ${this.redisClient ? '✅ Redis'.padEnd(30) : '❌ Memory Only'.padEnd(30)} ║
 ║ Health:       http://localhost:${this.port}/api/health${' '.repeat(Math.max(0, 28 - this.port.toString().length))}║
 ╚═══════════════════════════════════════════╝
@@ -783,6 +1957,12 @@ class CarbonGenerator {
   }
 }
 
-// Start the server
-const server = new CarbonGenerator();
-server.start();
\ No newline at end of file
+// Start the server when run directly; tests build their own instance
+if (require.main === module) {
+  const server = new CarbonGenerator();
+  server.start();
+}
+
+module.exports = {
+  CarbonGenerator
+};
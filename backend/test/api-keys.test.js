@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+
+const ADMIN_TOKEN = 'admin-token-for-tests-0123456789';
+const API_KEY_SECRET = 'api-key-secret-for-tests-0123456789';
+
+describe('without secrets', () => {
+  test.each([
+    ['unset', {}],
+    ['placeholders', { ADMIN_TOKEN: 'your-admin-token-change-this', API_KEY_SECRET: 'your-api-key-secret-change-this' }],
+    ['too short', { ADMIN_TOKEN: 'short', API_KEY_SECRET: 'short' }]
+  ])('keeps the admin API and API keys off when %s', async (name, env) => {
+    const context = createServer(env);
+    try {
+      await request(context.app)
+        .post('/api/admin/keys')
+        .set('X-Admin-Token', env.ADMIN_TOKEN || '')
+        .send({ name: 'ci' })
+        .expect(404);
+
+      const res = await request(context.app)
+        .get('/api/usage')
+        .set('X-API-Key', `ck_${'0'.repeat(12)}_${'a'.repeat(32)}`)
+        .expect(401);
+      expect(res.body.error).toBe('API keys are not enabled on this server');
+    } finally {
+      context.cleanup();
+    }
+  });
+
+  test('refuses to issue keys without API_KEY_SECRET', async () => {
+    const context = createServer({ ADMIN_TOKEN });
+    try {
+      const res = await request(context.app)
+        .post('/api/admin/keys')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ name: 'ci' })
+        .expect(503);
+      expect(res.body.error).toMatch(/API_KEY_SECRET/);
+    } finally {
+      context.cleanup();
+    }
+  });
+});
+
+describe('with API keys enabled', () => {
+  let context;
+  let app;
+  let key;
+
+  beforeAll(async () => {
+    context = createServer({ ADMIN_TOKEN, API_KEY_SECRET });
+    app = context.app;
+    const res = await request(app)
+      .post('/api/admin/keys')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ name: 'ci', dailyQuota: 5 })
+      .expect(201);
+    key = res.body.key;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('rejects a wrong admin token', async () => {
+    await request(app).get('/api/admin/keys').set('X-Admin-Token', 'nope').expect(401);
+  });
+
+  test('reports usage for a valid key', async () => {
+    const res = await request(app).get('/api/usage').set('Authorization', `Bearer ${key}`).expect(200);
+    expect(res.body.key).toMatchObject({ name: 'ci', dailyQuota: 5 });
+  });
+
+  test('does not charge the quota for /api/image revalidations', async () => {
+    const query = { code: 'quota', format: 'svg' };
+    const first = await request(app).get('/api/image').query(query).set('X-API-Key', key).expect(200);
+    expect(first.headers['x-quota-remaining']).toBe('4');
+
+    for (let i = 0; i < 3; i++) {
+      await request(app)
+        .get('/api/image')
+        .query(query)
+        .set('X-API-Key', key)
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    }
+
+    const usage = await request(app).get('/api/usage').set('X-API-Key', key).expect(200);
+    expect(usage.body.today).toMatchObject({ renders: 1, remaining: 4 });
+  });
+});
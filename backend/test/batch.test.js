@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+
+const items = (count) => Array.from({ length: count }, (_, i) => ({ id: `item-${i}`, code: `const n = ${i};` }));
+
+describe('POST /api/generate/batch', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer();
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('renders every item and reports failures separately', async () => {
+    const res = await request(app)
+      .post('/api/generate/batch')
+      .send({ items: [...items(2), { id: 'bad', code: '' }], options: { format: 'svg' } })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ success: true, total: 3, succeeded: 2, failed: 1 });
+    expect(res.headers['x-batch-failed']).toBe('1');
+    expect(res.body.results[0]).toMatchObject({ id: 'item-0', success: true, format: 'svg' });
+    expect(res.body.results[0].image).toMatch(/^data:image\/svg\+xml;base64,/);
+    expect(res.body.results[2]).toMatchObject({ id: 'bad', success: false, error: 'Invalid snippet' });
+  });
+
+  test('returns a ZIP named by item ID', async () => {
+    const res = await request(app)
+      .post('/api/generate/batch')
+      .send({ items: items(2), options: { format: 'svg' }, output: 'zip' })
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+    expect(res.body.includes('item-0.svg')).toBe(true);
+    expect(res.body.includes('item-1.svg')).toBe(true);
+  });
+
+  test('stops rendering once the batch byte budget is spent', async () => {
+    const budget = { bytes: 1024 * 1024 };
+    const first = await context.server.renderBatchItem({ id: 'a', code: 'x' }, { format: 'svg' }, null, budget);
+    expect(first).toMatchObject({ id: 'a', success: true });
+    expect(budget.bytes).toBe(1024 * 1024 - first.buffer.length);
+
+    budget.bytes = 10;
+    const second = await context.server.renderBatchItem({ id: 'b', code: 'x' }, { format: 'svg' }, null, budget);
+    expect(second).toEqual({ id: 'b', success: false, error: 'Batch output size limit reached', code: 'BATCH_TOO_LARGE' });
+    expect(budget.bytes).toBe(0);
+
+    const third = await context.server.renderBatchItem({ id: 'c', code: 'x' }, { format: 'svg' }, null, budget);
+    expect(third).toMatchObject({ id: 'c', success: false, code: 'BATCH_TOO_LARGE' });
+  });
+
+  test('rejects duplicate IDs and empty batches', async () => {
+    await request(app).post('/api/generate/batch').send({ items: [{ id: 'a', code: 'x' }, { id: 'a', code: 'y' }] }).expect(400);
+    await request(app).post('/api/generate/batch').send({ items: [] }).expect(400);
+  });
+});
+
+describe('batch rate limiting', () => {
+  const ADMIN_TOKEN = 'admin-token-for-tests-0123456789';
+  let context;
+  let app;
+
+  beforeEach(() => {
+    context = createServer({
+      RATE_LIMIT_MAX_REQUESTS: '5',
+      ADMIN_TOKEN,
+      API_KEY_SECRET: 'api-key-secret-for-tests-0123456789'
+    });
+    app = context.app;
+  });
+
+  afterEach(() => context.cleanup());
+
+  test('charges each anonymous item to the IP limit', async () => {
+    await request(app).post('/api/generate/batch').send({ items: items(4), options: { format: 'svg' } }).expect(200);
+
+    const res = await request(app).post('/api/generate/batch').send({ items: items(2), options: { format: 'svg' } }).expect(429);
+    expect(res.body.error).toMatch(/Too many requests from this IP/);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    await request(app).get('/api/health').expect(429);
+  });
+
+  test('leaves batches made with an API key to the key limits', async () => {
+    const created = await request(app)
+      .post('/api/admin/keys')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ name: 'batch' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/generate/batch')
+      .set('X-API-Key', created.body.key)
+      .send({ items: items(10), options: { format: 'svg' } })
+      .expect(200);
+    await request(app).get('/api/health').expect(200);
+  });
+});
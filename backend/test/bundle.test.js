@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const request = require('supertest');
+const { bundleModules } = require('../lib/bundle');
+const { generateHTMLTemplate } = require('../lib/template');
+const { listThemes } = require('../lib/themes');
+const { fonts } = require('../lib/fonts');
+const { prepareOptions } = require('../lib/options');
+const { createServer } = require('./helpers/server');
+
+// Runs a bundle the way a <script> tag would and returns its global
+function load(source, globalName) {
+  const window = {};
+  vm.runInNewContext(source, { window, TextEncoder, TextDecoder, btoa, atob });
+  return window[globalName];
+}
+
+describe('bundleModules', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-bundle-'));
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const write = (file, source) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), source);
+  };
+
+  test('follows relative requires and applies replacements', () => {
+    write('main.js', "const { name } = require('./dep');\nconst { where } = require('./util');\nmodule.exports = { hello: () => `${name} ${where}` };");
+    write('dep/index.js', "module.exports = { name: 'dep' };");
+    write('util.js', "module.exports = { where: require('fs') };");
+    write('browser/util.js', "module.exports = { where: 'browser' };");
+
+    const shared = load(bundleModules({
+      root,
+      globalName: 'Test',
+      entries: { main: 'main.js', util: 'util.js' },
+      replacements: { 'util.js': 'browser/util.js' }
+    }), 'Test');
+
+    expect(shared.main.hello()).toBe('dep browser');
+    expect(shared.util.where).toBe('browser');
+  });
+
+  test('refuses modules that need Node', () => {
+    write('main.js', "const fs = require('fs');");
+    expect(() => bundleModules({ root, globalName: 'Test', entries: { main: 'main.js' } }))
+      .toThrow('main.js requires "fs", which cannot run in the browser');
+  });
+});
+
+describe('GET /js/carbon-shared.js', () => {
+  let context;
+  let shared;
+
+  beforeAll(async () => {
+    context = createServer();
+    const res = await request(context.app).get('/js/carbon-shared.js').expect('Content-Type', /javascript/).expect(200);
+    shared = load(res.text, 'CarbonShared');
+    shared.themes.setThemes(listThemes());
+    shared.fonts.setFonts(fonts.list());
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('builds the same page as the server, apart from how fonts load', () => {
+    const code = 'function add(a, b) {\n  return a + b; // sum\n}';
+    const raw = { theme: 'solarized', language: 'javascript', highlightLines: '2', windowTitle: 'add.js', unknown: 'x' };
+
+    const options = prepareOptions(code, raw);
+    expect(shared.options.prepareOptions(code, raw)).toEqual(options);
+    expect(options).not.toHaveProperty('unknown');
+
+    const server = generateHTMLTemplate(code, options);
+    const browser = shared.template.generateHTMLTemplate(code, options);
+    expect(browser).toBe(server.replace(fonts.fontFaceCSS('Fira Code', code), '@import url("/api/fonts/fira-code.css");'));
+  });
+
+  test('exposes the editor state codec', () => {
+    const state = { code: 'x', options: { theme: 'dark' } };
+    expect(shared.state.decodeState(shared.state.encodeState(state))).toEqual(state);
+  });
+});
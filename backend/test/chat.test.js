@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+const { verifySlackRequest, verifyDiscordRequest, unescapeSlack, parseChatSnippet } = require('../lib/chat');
+
+const SLACK_SECRET = 'slack-signing-secret-for-tests';
+const discordKeys = crypto.generateKeyPairSync('ed25519');
+const DISCORD_PUBLIC_KEY = discordKeys.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+const now = () => Math.floor(Date.now() / 1000).toString();
+
+function slackSignature(timestamp, body, secret = SLACK_SECRET) {
+  return `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+}
+
+function discordSignature(timestamp, body) {
+  return crypto.sign(null, Buffer.from(timestamp + body), discordKeys.privateKey).toString('hex');
+}
+
+describe('verifySlackRequest', () => {
+  const body = 'text=hi';
+
+  test('accepts a fresh, correctly signed request', () => {
+    const timestamp = now();
+    expect(verifySlackRequest({ secret: SLACK_SECRET, timestamp, signature: slackSignature(timestamp, body), rawBody: Buffer.from(body) })).toBe(true);
+  });
+
+  test('rejects wrong secrets, tampered bodies and old timestamps', () => {
+    const timestamp = now();
+    const old = (Math.floor(Date.now() / 1000) - 600).toString();
+    expect(verifySlackRequest({ secret: SLACK_SECRET, timestamp, signature: slackSignature(timestamp, body, 'other'), rawBody: Buffer.from(body) })).toBe(false);
+    expect(verifySlackRequest({ secret: SLACK_SECRET, timestamp, signature: slackSignature(timestamp, body), rawBody: Buffer.from('text=bye') })).toBe(false);
+    expect(verifySlackRequest({ secret: SLACK_SECRET, timestamp: old, signature: slackSignature(old, body), rawBody: Buffer.from(body) })).toBe(false);
+    expect(verifySlackRequest({ secret: SLACK_SECRET, timestamp, signature: 'v0=short', rawBody: Buffer.from(body) })).toBe(false);
+    // As long as a real signature in characters, but not in bytes
+    expect(verifySlackRequest({ secret: SLACK_SECRET, timestamp, signature: `v0=${'é'.repeat(64)}`, rawBody: Buffer.from(body) })).toBe(false);
+  });
+});
+
+describe('verifyDiscordRequest', () => {
+  const body = '{"type":1}';
+
+  test('accepts a request signed with the application key', () => {
+    const timestamp = now();
+    expect(verifyDiscordRequest({ publicKey: DISCORD_PUBLIC_KEY, timestamp, signature: discordSignature(timestamp, body), rawBody: Buffer.from(body) })).toBe(true);
+  });
+
+  test('rejects tampered bodies, bad signatures and old timestamps', () => {
+    const timestamp = now();
+    const old = (Math.floor(Date.now() / 1000) - 600).toString();
+    expect(verifyDiscordRequest({ publicKey: DISCORD_PUBLIC_KEY, timestamp, signature: discordSignature(timestamp, body), rawBody: Buffer.from('{"type":2}') })).toBe(false);
+    expect(verifyDiscordRequest({ publicKey: DISCORD_PUBLIC_KEY, timestamp, signature: 'zz', rawBody: Buffer.from(body) })).toBe(false);
+    expect(verifyDiscordRequest({ publicKey: DISCORD_PUBLIC_KEY, timestamp: old, signature: discordSignature(old, body), rawBody: Buffer.from(body) })).toBe(false);
+    expect(verifyDiscordRequest({ publicKey: 'not-hex', timestamp, signature: discordSignature(timestamp, body), rawBody: Buffer.from(body) })).toBe(false);
+  });
+});
+
+describe('chat messages', () => {
+  test('unescapes Slack text', () => {
+    expect(unescapeSlack('a &lt;b&gt; &amp; <https://x.test|x.test>')).toBe('a <b> & https://x.test');
+  });
+
+  test('reads the code and hints', () => {
+    expect(parseChatSnippet('theme:solarized ```py\nprint(1)\n```')).toEqual({
+      code: 'print(1)',
+      options: { language: 'python', theme: 'solarized' }
+    });
+    expect(parseChatSnippet('lang:nope\nx = 1')).toEqual({ code: 'x = 1', options: { language: 'auto' } });
+    expect(parseChatSnippet('lang:js   ')).toBeNull();
+  });
+});
+
+describe('chat integration routes', () => {
+  test('stay disabled without their keys', async () => {
+    const context = createServer();
+    try {
+      await request(context.app).post('/api/integrations/slack/command').type('form').send('text=x').expect(404);
+      await request(context.app).post('/api/integrations/discord/interactions').send({ type: 1 }).expect(404);
+    } finally {
+      context.cleanup();
+    }
+  });
+
+  describe('when configured', () => {
+    let context;
+    let app;
+
+    beforeAll(() => {
+      context = createServer({
+        SLACK_SIGNING_SECRET: SLACK_SECRET,
+        DISCORD_PUBLIC_KEY,
+        DISCORD_API_URL: 'https://discord.test/api'
+      });
+      app = context.app;
+    });
+
+    afterAll(() => context.cleanup());
+
+    afterEach(() => jest.restoreAllMocks());
+
+    function slack(body, { timestamp = now(), signature } = {}) {
+      return request(app)
+        .post('/api/integrations/slack/command')
+        .set('X-Slack-Request-Timestamp', timestamp)
+        .set('X-Slack-Signature', signature || slackSignature(timestamp, body))
+        .type('form')
+        .send(body);
+    }
+
+    function discord(payload, { timestamp = now(), signature } = {}) {
+      const body = JSON.stringify(payload);
+      return request(app)
+        .post('/api/integrations/discord/interactions')
+        .set('X-Signature-Timestamp', timestamp)
+        .set('X-Signature-Ed25519', signature || discordSignature(timestamp, body))
+        .type('json')
+        .send(body);
+    }
+
+    test('rejects unsigned and mis-signed Slack commands', async () => {
+      await request(app).post('/api/integrations/slack/command').type('form').send('text=x').expect(401);
+      await slack('text=x', { signature: slackSignature(now(), 'text=y') }).expect(401);
+      await slack('text=x', { signature: `v0=${'é'.repeat(64)}` }).expect(401);
+    });
+
+    test('answers a Slack command and posts the snippet to response_url', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 200 }));
+      const body = `text=${encodeURIComponent('```js\nconst a = 1;\n```')}&user_id=U1&response_url=${encodeURIComponent('https://hooks.slack.test/r')}`;
+
+      const res = await slack(body).expect(200);
+      expect(res.body).toEqual({ response_type: 'ephemeral', text: 'Rendering your snippet...' });
+
+      for (let i = 0; i < 100 && !fetch.mock.calls.length; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.slack.test/r');
+      const reply = JSON.parse(init.body);
+      expect(reply.response_type).toBe('in_channel');
+      expect(reply.text).toMatch(/^<@U1> shared a javascript snippet: /);
+    });
+
+    test('shows usage for an empty Slack command', async () => {
+      const res = await slack('text=&response_url=https%3A%2F%2Fhooks.slack.test%2Fr').expect(200);
+      expect(res.body.response_type).toBe('ephemeral');
+      expect(res.body.text).toMatch(/Paste some code/);
+    });
+
+    test('rejects unsigned and mis-signed Discord interactions', async () => {
+      await request(app).post('/api/integrations/discord/interactions').send({ type: 1 }).expect(401);
+      await discord({ type: 1 }, { signature: discordSignature(now(), '{"type":2}') }).expect(401);
+    });
+
+    test('answers a Discord PING', async () => {
+      const res = await discord({ type: 1 }).expect(200);
+      expect(res.body).toEqual({ type: 1 });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'carbon.js');
+
+// Runs the CLI in `cwd`; stdout is a pipe, so a single render goes there
+function carbon(args, { cwd, input } = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    input,
+    encoding: 'utf8',
+    env: { ...process.env, PUPPETEER_EXECUTABLE_PATH: '' },
+    timeout: 60000
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe('carbon render', () => {
+  let root;
+  let project;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-cli-'));
+    project = path.join(root, 'project');
+    write('project/src/a.js', 'const a = 1;');
+    write('project/src/lib/a.js', 'const b = 2;');
+    write('project/src/lib/b.ts', 'let c: number = 3;');
+    write('project/src/notes.md', '# notes');
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('expands globs and names outputs after their inputs', () => {
+    const { code, stderr } = carbon(['render', 'src/**/*.{js,ts}', '-o', 'out/', '-f', 'svg'], { cwd: project });
+
+    expect(code).toBe(0);
+    expect(fs.readdirSync(path.join(project, 'out')).sort()).toEqual(['a-2.svg', 'a.svg', 'b.svg']);
+    expect(stderr).toContain('src/lib/b.ts -> out/b.svg');
+    expect(fs.readFileSync(path.join(project, 'out', 'a.svg'), 'utf8')).toMatch(/^<svg/);
+  });
+
+  test('reports globs without matches', () => {
+    const { code, stderr } = carbon(['render', 'src/**/*.rb', '-f', 'svg'], { cwd: project });
+    expect(code).toBe(2);
+    expect(stderr).toContain('No files match src/**/*.rb');
+  });
+
+  test('takes defaults from the nearest .carbonrc, below command line flags', () => {
+    write('.carbonrc', JSON.stringify({ format: 'svg', windowTitle: 'from config', theme: 'themes/mine.json' }));
+    write('themes/mine.json', JSON.stringify({
+      name: 'Mine',
+      type: 'dark',
+      colors: {
+        background: '#101010', text: '#eeeeee', comment: '#777777', keyword: '#ff0066', string: '#00cc66',
+        number: '#3399ff', function: '#ffcc00', class: '#66ccff', variable: '#ff9933', operator: '#ff0066'
+      }
+    }));
+
+    const fromConfig = carbon(['render', 'src/a.js'], { cwd: project });
+    expect(fromConfig.code).toBe(0);
+    expect(fromConfig.stdout).toContain('from config');
+    expect(fromConfig.stdout).toContain('#ff0066');
+
+    const overridden = carbon(['render', 'src/a.js', '--title', 'from flags'], { cwd: project });
+    expect(overridden.stdout).toContain('from flags');
+  });
+
+  test('picks the format from the output file name', () => {
+    const { code } = carbon(['render', 'src/a.js', '-o', 'shot.svg'], { cwd: project });
+    expect(code).toBe(0);
+    expect(fs.readFileSync(path.join(project, 'shot.svg'), 'utf8')).toMatch(/^<svg/);
+  });
+
+  test('renders stdin to stdout', () => {
+    const { code, stdout } = carbon(['render', '-f', 'svg', '-l', 'py'], { cwd: project, input: 'print("hi")' });
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^<svg[\s\S]*print[\s\S]*<\/svg>$/);
+  });
+
+  test('refuses unknown formats and commands', () => {
+    expect(carbon(['render', 'src/a.js', '-f', 'bmp'], { cwd: project })).toMatchObject({ code: 2, stderr: expect.stringContaining('Unknown format "bmp"') });
+    expect(carbon(['paint'], { cwd: project }).code).toBe(2);
+  });
+});
@@ -0,0 +1,51 @@
+const { detectLanguage } = require('../lib/highlighter/detect');
+
+const SAMPLES = {
+  javascript: "const express = require('express');\nconst app = express();\napp.get('/', (req, res) => {\n  console.log(req.url);\n});\nmodule.exports = app;",
+  typescript: 'interface User {\n  name: string;\n  age: number;\n}\n\nexport type Id = string;\nconst user: User = { name: "a", age: 1 };',
+  python: 'import os\n\ndef main(path):\n    if path is None:\n        return False\n    print(self.name)\n\nif __name__ == "__main__":\n    main(None)',
+  java: 'package com.example;\n\npublic class Main {\n    public static void main(String[] args) {\n        System.out.println("hi");\n    }\n}',
+  cpp: '#include <iostream>\n\nint main() {\n    std::cout << "hi" << std::endl;\n    return 0;\n}',
+  go: 'package main\n\nimport (\n\t"fmt"\n)\n\nfunc main() {\n\tx, err := run()\n\tif err != nil {\n\t\tfmt.Println(err)\n\t}\n}',
+  rust: '#[derive(Debug)]\nstruct Point { x: i32 }\n\nfn main() {\n    let mut p = Point { x: 1 };\n    println!("{:?}", p);\n}',
+  php: '<?php\nnamespace App;\n\nfunction greet($name) {\n    echo "Hello " . $name;\n}',
+  ruby: "require 'json'\n\ndef greet(name)\n  puts \"Hello #{name}\"\nend\n\n[1, 2].each do |n|\n  puts n\nend",
+  html: '<!DOCTYPE html>\n<html>\n<body>\n  <div class="app"><a href="/">Home</a></div>\n</body>\n</html>',
+  css: '.app {\n  color: #fff;\n  padding: 10px;\n}\n\na:hover {\n  margin: 0 auto;\n}',
+  swift: 'import SwiftUI\n\nstruct ContentView: View {\n    @State var count: Int = 0\n    func body() -> some View {\n        guard let x = y else { return }\n    }\n}',
+  kotlin: 'data class User(val name: String)\n\nfun main() {\n    val user = User("a")\n    println(user?.name)\n}',
+  shell: 'cd /tmp\nfor f in *.log; do\n  echo "$f"\ndone\ncat file | grep error | wc -l',
+  sql: 'SELECT id, name\nFROM users\nWHERE active = 1\nORDER BY name;'
+};
+
+describe('detectLanguage', () => {
+  test.each(Object.entries(SAMPLES))('detects %s', (language, code) => {
+    const result = detectLanguage(code);
+    expect(result.language).toBe(language);
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('trusts a shebang', () => {
+    expect(detectLanguage('#!/usr/bin/env python3\nprint(1)')).toEqual({ language: 'python', confidence: 1, scores: {} });
+  });
+
+  test('falls back to plaintext', () => {
+    expect(detectLanguage('just some words').language).toBe('plaintext');
+    expect(detectLanguage('').language).toBe('plaintext');
+  });
+
+  // Line-anchored signals must not let whitespace run across lines, or
+  // blank lines make detection quadratic and block the event loop. These
+  // inputs took minutes before; the bound is loose so slow CI never trips it.
+  test.each([
+    ['blank lines', '\n'.repeat(20000)],
+    ['whitespace-only lines', ' \t\n'.repeat(7000)],
+    ['blank lines between keywords', '\n\n\n  type\n\n\npackage\n\n'.repeat(1500)],
+    ['unterminated CSS declarations', 'a: b\n'.repeat(4000)]
+  ])('stays fast on %s', (name, code) => {
+    const start = process.hrtime.bigint();
+    detectLanguage(code);
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    expect(ms).toBeLessThan(2000);
+  });
+});
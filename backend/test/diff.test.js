@@ -0,0 +1,75 @@
+const { parseUnifiedDiff, diffSnippets, diffSource, buildDiff } = require('../lib/diff');
+
+const kinds = (rows) => rows.map((row) => row.kind);
+
+describe('parseUnifiedDiff', () => {
+  const diff = [
+    'diff --git a/app.js b/app.js',
+    '--- a/app.js',
+    '+++ b/app.js',
+    '@@ -10,3 +10,3 @@ function main() {',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '',
+    '\\ No newline at end of file'
+  ].join('\n');
+
+  test('numbers each side from the hunk header', () => {
+    const rows = parseUnifiedDiff(diff);
+    expect(kinds(rows)).toEqual(['hunk', 'hunk', 'context', 'del', 'add', 'context']);
+    expect(rows[0].text).toBe('app.js');
+    expect(rows[2]).toMatchObject({ text: 'const a = 1;', oldNumber: 10, newNumber: 10 });
+    expect(rows[3]).toMatchObject({ kind: 'del', text: 'const b = 2;', oldNumber: 11 });
+    expect(rows[4]).toMatchObject({ kind: 'add', text: 'const b = 3;', newNumber: 11 });
+    // A blank context line whose leading space was stripped
+    expect(rows[5]).toMatchObject({ text: '', oldNumber: 12, newNumber: 12 });
+  });
+
+  test('reads bare +/- lines without a header', () => {
+    expect(kinds(parseUnifiedDiff('-old\n+new\n same'))).toEqual(['del', 'add', 'context']);
+  });
+});
+
+describe('diffSnippets', () => {
+  test('puts removals before additions', () => {
+    const rows = diffSnippets('a\nb\nc', 'a\nB\nc');
+    expect(rows.map((row) => `${row.kind}:${row.text}`)).toEqual(['context:a', 'del:b', 'add:B', 'context:c']);
+    expect(rows[2]).toMatchObject({ newNumber: 2 });
+    expect(rows[3]).toMatchObject({ oldNumber: 3, newNumber: 3 });
+  });
+
+  test('collapses long unchanged runs', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const after = [...lines];
+    after[15] = 'changed';
+
+    const rows = diffSnippets(lines.join('\n'), after.join('\n'));
+    expect(rows[0]).toEqual({ kind: 'hunk', text: '⋯ 12 unchanged lines' });
+    expect(rows[1]).toMatchObject({ kind: 'context', text: 'line 13' });
+    expect(rows.filter((row) => row.kind === 'context')).toHaveLength(7);
+  });
+
+  test('keeps identical snippets whole', () => {
+    expect(kinds(diffSnippets('a\nb', 'a\nb'))).toEqual(['context', 'context']);
+  });
+});
+
+describe('buildDiff', () => {
+  test('highlights each side and signs every row', () => {
+    const highlight = jest.fn((source) => source.split('\n').map((line) => `<${line}>`));
+    const rows = buildDiff('x = 2\ny = 1', { before: 'x = 1\ny = 1' }, highlight);
+
+    expect(highlight).toHaveBeenCalledWith('x = 1\ny = 1');
+    expect(highlight).toHaveBeenCalledWith('x = 2\ny = 1');
+    expect(rows).toEqual([
+      { kind: 'del', number: 1, sign: '-', content: '<x = 1>' },
+      { kind: 'add', number: 1, sign: '+', content: '<x = 2>' },
+      { kind: 'context', number: 2, sign: ' ', content: '<y = 1>' }
+    ]);
+  });
+
+  test('diffSource is the new side of the diff', () => {
+    expect(diffSource('-a\n+b\n c')).toBe('b\nc');
+  });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+
+async function shareSnippet(app) {
+  const res = await request(app)
+    .post('/api/snippets')
+    .send({ code: 'def f():\n    return 1', options: { language: 'python' } })
+    .expect(201);
+  return res.body.id;
+}
+
+describe('link previews with APP_URL', () => {
+  let context;
+  let app;
+  let id;
+
+  beforeAll(async () => {
+    context = createServer({ APP_URL: 'https://carbon.example/' });
+    app = context.app;
+    id = await shareSnippet(app);
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('adds Open Graph and oEmbed tags to the snippet page', async () => {
+    const res = await request(app).get(`/s/${id}`).set('Host', 'evil.test').expect(200);
+    expect(res.text).toContain(`<meta property="og:url" content="https://carbon.example/s/${id}">`);
+    expect(res.text).toContain(`<meta property="og:image" content="https://carbon.example/s/${id}.png">`);
+    expect(res.text).toContain(`href="https://carbon.example/api/oembed?url=${encodeURIComponent(`https://carbon.example/s/${id}`)}&amp;format=json"`);
+    expect(res.text).not.toContain('evil.test');
+  });
+
+  test('describes the snippet as an oEmbed photo', async () => {
+    const res = await request(app)
+      .get('/api/oembed')
+      .query({ url: `https://carbon.example/s/${id}`, maxwidth: 200 })
+      .expect(200);
+
+    expect(res.body).toMatchObject({
+      version: '1.0',
+      type: 'photo',
+      title: 'Python snippet',
+      provider_url: 'https://carbon.example/',
+      url: `https://carbon.example/s/${id}.png`
+    });
+    expect(res.body.width).toBeLessThanOrEqual(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+  });
+
+  test('rejects other formats and links', async () => {
+    await request(app).get('/api/oembed').query({ url: `https://carbon.example/s/${id}`, format: 'xml' }).expect(501);
+    await request(app).get('/api/oembed').query({ url: 'https://carbon.example/about' }).expect(400);
+    await request(app).get('/api/oembed').query({ url: 'https://carbon.example/s/Missing1' }).expect(404);
+  });
+});
+
+describe('link previews without APP_URL', () => {
+  let context;
+  let app;
+  let id;
+
+  beforeAll(async () => {
+    context = createServer({ APP_URL: '', CORS_ORIGIN: 'https://carbon.example, http://localhost:3000' });
+    app = context.app;
+    id = await shareSnippet(app);
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('uses the request origin when it is a configured one', async () => {
+    const res = await request(app).get(`/s/${id}`).set('Host', 'localhost:3000').expect(200);
+    expect(res.text).toContain(`<meta property="og:image" content="http://localhost:3000/s/${id}.png">`);
+  });
+
+  test('never builds links from an unknown Host header', async () => {
+    const page = await request(app).get(`/s/${id}`).set('Host', 'evil.test').expect(200);
+    expect(page.text).toContain(`<meta property="og:image" content="/s/${id}.png">`);
+    expect(page.text).not.toContain('evil.test');
+
+    const snippet = await request(app)
+      .post('/api/snippets')
+      .set('Host', 'evil.test')
+      .send({ code: 'x' })
+      .expect(201);
+    expect(snippet.body.url).toBe(`/s/${snippet.body.id}`);
+  });
+});
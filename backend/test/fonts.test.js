@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FontRegistry } = require('../lib/fonts');
+
+describe('FontRegistry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-fonts-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const dropIn = (family, files) => {
+    fs.mkdirSync(path.join(dir, family));
+    files.forEach((file) => fs.writeFileSync(path.join(dir, family, file), `font:${file}`));
+  };
+
+  test('lists the bundled families', () => {
+    const families = new FontRegistry({ dir }).list();
+    expect(families.map((font) => font.family)).toEqual(
+      expect.arrayContaining(['Fira Code', 'JetBrains Mono', 'Source Code Pro', 'Cascadia Code'])
+    );
+    expect(families.every((font) => font.source === 'bundled')).toBe(true);
+  });
+
+  test('inlines only the faces and subsets the text needs', () => {
+    const registry = new FontRegistry({ dir });
+    const latin = registry.fontFaceCSS('Fira Code', 'const a = 1;');
+    expect(latin.match(/@font-face/g)).toHaveLength(3);
+    expect(latin).toMatch(/src: url\("data:font\/woff2;base64,[A-Za-z0-9+/]+=*"\) format\("woff2"\);/);
+    expect(latin).not.toContain('U+0400');
+
+    const cyrillic = registry.fontFaceCSS('Fira Code', 'const привет = 1;');
+    expect(cyrillic.match(/@font-face/g)).toHaveLength(6);
+    expect(cyrillic).toContain('U+0400');
+
+    expect(registry.fontFaceCSS('No Such Font', 'x')).toBe('');
+  });
+
+  test('reads weights and styles of drop-in fonts from their file names', () => {
+    dropIn('House Mono', ['HouseMono-Regular.ttf', 'HouseMono-SemiBoldItalic.otf', 'HouseMono-700.woff', 'notes.txt']);
+    dropIn('Flex Mono', ['FlexMono[wght].ttf']);
+
+    const registry = new FontRegistry({ packages: [], dir });
+    expect(registry.list()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'house-mono', source: 'custom', weights: [700, 400, 600], styles: ['normal', 'italic'] }),
+      expect.objectContaining({ id: 'flex-mono', weights: ['100-900'] })
+    ]));
+
+    const css = registry.fontFaceCSS('Flex Mono', 'x');
+    expect(css).toContain('font-weight: 100 900;');
+    expect(css).toContain(`src: url("data:font/ttf;base64,${Buffer.from('font:FlexMono[wght].ttf').toString('base64')}") format("truetype");`);
+  });
+
+  test('lets a drop-in font replace a bundled family', () => {
+    dropIn('Fira Code', ['FiraCode-Regular.ttf']);
+    expect(new FontRegistry({ dir }).get('Fira Code')).toMatchObject({ source: 'custom', faces: [{ format: 'truetype' }] });
+  });
+
+  test('resolves only files that belong to a family', () => {
+    dropIn('House Mono', ['HouseMono-Regular.ttf']);
+    const registry = new FontRegistry({ packages: [], dir });
+
+    expect(registry.filePath('house-mono', 'HouseMono-Regular.ttf')).toBe(path.join(dir, 'House Mono', 'HouseMono-Regular.ttf'));
+    expect(registry.filePath('house-mono', '../../etc/passwd')).toBeNull();
+    expect(registry.filePath('nope', 'HouseMono-Regular.ttf')).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+
+describe('output formats and scale', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer({ MAX_IMAGE_WIDTH: '1200', MAX_IMAGE_HEIGHT: '400' });
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test.each([
+    [{ format: 'bmp' }, 'Invalid format'],
+    [{ format: 'jpeg', quality: 0 }, 'Quality must be between 1 and 100'],
+    [{ format: 'webp', quality: 101 }, 'Quality must be between 1 and 100'],
+    [{ scale: 0.5 }, 'Scale must be between 1 and 4'],
+    [{ scale: 5 }, 'Scale must be between 1 and 4']
+  ])('refuses %j', async (options, message) => {
+    const res = await request(app).post('/api/generate').send({ code: 'x', options }).expect(400);
+    expect(res.body.errors.map((error) => error.msg)).toContain(message);
+  });
+
+  test('refuses images over the size limit instead of cropping them', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ code: 'const a = 1;\n'.repeat(40), options: { format: 'svg' } })
+      .expect(400);
+
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 'IMAGE_TOO_LARGE',
+      maxDimensions: { width: 1200, height: 400 }
+    });
+    expect(res.body.dimensions.height).toBeGreaterThan(400);
+  });
+
+  test('renders within the limit', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ code: 'const a = 1;', options: { format: 'svg' } })
+      .expect(200);
+    expect(res.body.format).toBe('svg');
+    expect(res.body.image).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+});
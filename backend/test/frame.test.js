@@ -0,0 +1,76 @@
+const {
+  toPixels,
+  resolveFrame,
+  backgroundCSS,
+  shadowCSS,
+  backgroundDefs,
+  backgroundSVG
+} = require('../lib/frame');
+
+const THEME = { background: '#1e1e1e' };
+
+describe('toPixels', () => {
+  test('reads px, em and rem', () => {
+    expect(toPixels('24px')).toBe(24);
+    expect(toPixels('2em')).toBe(32);
+    expect(toPixels('1.5rem')).toBe(24);
+    expect(toPixels(12)).toBe(12);
+    expect(toPixels('wide', 40)).toBe(40);
+  });
+});
+
+describe('resolveFrame', () => {
+  test('uses the defaults', () => {
+    expect(resolveFrame({}, THEME, 'javascript')).toEqual({
+      padding: 40,
+      containerWidth: 900,
+      radius: 12,
+      shadow: 60,
+      windowStyle: 'mac',
+      title: 'JAVASCRIPT • Carbon Generator',
+      background: { type: 'solid', color: '#262424' }
+    });
+  });
+
+  test('caps padding and takes the window options', () => {
+    const frame = resolveFrame({ padding: '1000px', windowStyle: 'windows', windowTitle: 'app.js', radius: -4, shadow: 0 }, THEME, 'js');
+    expect(frame).toMatchObject({ padding: 256, containerWidth: 688, radius: 0, shadow: 0, windowStyle: 'windows', title: 'app.js' });
+  });
+
+  test('hides the window controls', () => {
+    expect(resolveFrame({ showWindowControls: false }, THEME, 'js').windowStyle).toBe('none');
+  });
+
+  test('prefers an image, then a gradient, then a colour', () => {
+    const image = 'data:image/png;base64,AAAA';
+    const gradient = { type: 'radial', colors: ['#000', '#fff'] };
+    expect(resolveFrame({ backgroundImage: image, backgroundGradient: gradient }, THEME, 'js').background)
+      .toEqual({ type: 'image', image });
+    expect(resolveFrame({ backgroundGradient: gradient, backgroundColor: '#123' }, THEME, 'js').background)
+      .toEqual({ type: 'radial', angle: 0, colors: ['#000', '#fff'] });
+    expect(resolveFrame({ backgroundColor: 'transparent' }, THEME, 'js').background)
+      .toEqual({ type: 'transparent', windowColor: '#1e1e1e' });
+  });
+});
+
+describe('frame CSS and SVG', () => {
+  test('draws backgrounds and shadows in CSS', () => {
+    expect(backgroundCSS({ type: 'linear', angle: 90, colors: ['#000', '#fff'] })).toBe('linear-gradient(90deg, #000, #fff)');
+    expect(backgroundCSS({ type: 'transparent' })).toBe('transparent');
+    expect(shadowCSS(60)).toBe('0 20px 60px rgba(0, 0, 0, 0.3)');
+    expect(shadowCSS(0)).toBe('none');
+  });
+
+  test('matches the CSS gradient line in SVG', () => {
+    const defs = backgroundDefs({ type: 'linear', angle: 90, colors: ['#000', '#fff'] }, 200, 100);
+    expect(defs).toContain('x1="0" y1="50" x2="200" y2="50"');
+    expect(defs).toContain('<stop offset="0" stop-color="#000"/><stop offset="1" stop-color="#fff"/>');
+    expect(backgroundDefs({ type: 'solid', color: '#000' }, 200, 100)).toBe('');
+  });
+
+  test('escapes solid colours and leaves transparent frames empty', () => {
+    expect(backgroundSVG({ type: 'solid', color: '"><script>' }, 10, 10)).toBe('<rect width="10" height="10" fill="&quot;&gt;&lt;script&gt;"/>');
+    expect(backgroundSVG({ type: 'transparent' }, 10, 10)).toBe('');
+    expect(backgroundSVG({ type: 'radial', colors: [] }, 10, 10)).toContain('url(#frame-bg)');
+  });
+});
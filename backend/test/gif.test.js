@@ -0,0 +1,94 @@
+const { PaletteBuilder, buildPalette, GIFEncoder } = require('../lib/gif');
+const { ANIMATION_LIMITS, framePixels } = require('../lib/animation');
+const { RenderError } = require('../lib/errors');
+const { Renderer } = require('../lib/renderer');
+
+// A width × height RGBA frame filled with one color
+function solid(width, height, [r, g, b]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([r, g, b, 255], i);
+  return data;
+}
+
+describe('PaletteBuilder', () => {
+  test('keeps exact colors when there are few', () => {
+    const builder = new PaletteBuilder({ pixels: 32 });
+    builder.add(solid(4, 4, [255, 0, 0]));
+    builder.add(solid(4, 4, [0, 0, 255]));
+    expect(builder.palette()).toEqual([[255, 0, 0], [0, 0, 255]]);
+  });
+
+  test('matches a palette built from all frames at once', () => {
+    const frames = Array.from({ length: 3 }, (_, f) => {
+      const data = new Uint8Array(64 * 64 * 4);
+      for (let i = 0; i < data.length; i += 4) data.set([(i * 7 + f) & 255, (i >> 4) & 255, (i >> 8) & 255, 255], i);
+      return data;
+    });
+    const builder = new PaletteBuilder({ pixels: 3 * 64 * 64 });
+    frames.forEach((data) => builder.add(data));
+
+    const palette = builder.palette();
+    expect(palette).toHaveLength(256);
+    expect(palette).toEqual(buildPalette(frames));
+  });
+});
+
+describe('GIFEncoder', () => {
+  test('tracks the size of the GIF as frames are added', () => {
+    const encoder = new GIFEncoder({ width: 8, height: 8, palette: [[0, 0, 0], [255, 255, 255]] });
+    encoder.addFrame(solid(8, 8, [0, 0, 0]), 0.5);
+    encoder.addFrame(solid(8, 8, [255, 255, 255]), 0.5);
+    encoder.addFrame(solid(8, 8, [255, 255, 255]), 0.5);
+
+    expect(encoder.frameCount).toBe(2);
+    expect(encoder.finish().length).toBe(encoder.size);
+  });
+});
+
+describe('animation limits', () => {
+  const renderer = new Renderer({ engine: 'raster' });
+  let frames;
+
+  beforeAll(async () => {
+    frames = await Promise.all(['a', 'ab', 'abc'].map(async (code) => ({
+      png: (await renderer.render(code, { format: 'png', theme: 'light' })).buffer,
+      delay: 0.1
+    })));
+  });
+
+  test('counts device pixels', () => {
+    expect(framePixels({ width: 100, height: 50 }, 2)).toBe(20000);
+    expect(() => renderer.assertFramePixels({ width: 1920, height: 1080 }, 2)).toThrow(RenderError);
+    expect(() => renderer.assertFramePixels({ width: 800, height: 600 }, 2)).not.toThrow();
+  });
+
+  test('samples a bounded number of frames for the palette', () => {
+    const many = Array.from({ length: 21 }, (_, i) => ({ png: i }));
+    const sample = renderer.paletteFrames(many, 'steps');
+    expect(sample).toHaveLength(8);
+    expect(sample[0]).toBe(many[0]);
+    expect(sample[7]).toBe(many[20]);
+    expect(renderer.paletteFrames(many, 'type')).toEqual(many.slice(-2));
+  });
+
+  test('encodes a GIF and drops screenshots as it goes', async () => {
+    const copies = frames.map((frame) => ({ ...frame }));
+    const gif = await renderer.encodeGIF(copies, { transparent: false, paletteFrames: copies.slice(-2) });
+    expect(gif.toString('latin1', 0, 6)).toBe('GIF89a');
+    expect(copies.every((frame) => frame.png === null)).toBe(true);
+  });
+
+  test('stops encoding once the GIF is over the byte limit', async () => {
+    const maxBytes = ANIMATION_LIMITS.maxBytes;
+    ANIMATION_LIMITS.maxBytes = 2000;
+    try {
+      const copies = frames.map((frame) => ({ ...frame }));
+      await expect(renderer.encodeGIF(copies, { transparent: false, paletteFrames: copies.slice(-2) }))
+        .rejects.toMatchObject({ status: 413, code: 'ANIMATION_TOO_LARGE' });
+      // Gave up before reaching the last frame
+      expect(copies[2].png).not.toBeNull();
+    } finally {
+      ANIMATION_LIMITS.maxBytes = maxBytes;
+    }
+  });
+});
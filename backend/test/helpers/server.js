@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A CarbonGenerator for supertest: files go to a temp DATA_DIR, no Redis or
+// browser is started (PNGs come from the rasterizer) and request logs stay
+// out of the test output. Call cleanup() in afterAll; it also undoes `env`.
+function createServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-test-'));
+  const saved = { ...process.env };
+  Object.assign(process.env, { DATA_DIR: dataDir, REDIS_URL: '', ...env });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const { CarbonGenerator } = require('../../server');
+  const server = new CarbonGenerator();
+  return {
+    server,
+    app: server.app,
+    dataDir,
+    cleanup() {
+      server.jobs.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      process.env = saved;
+    }
+  };
+}
+
+module.exports = {
+  createServer
+};
@@ -0,0 +1,85 @@
+const {
+  LANGUAGES,
+  resolveLanguage,
+  tokenize,
+  tokenizeLines,
+  highlightLines
+} = require('../lib/highlighter');
+
+// A snippet per grammar and tokens it must produce, as "type:value"
+const GRAMMARS = {
+  javascript: ['const x = `a${b}`; // hi\nfoo(1.5, /re/g)', ['keyword:const', 'string:`a${b}`', 'comment:// hi', 'function:foo', 'number:1.5', 'string:/re/g']],
+  typescript: ['let n: number = 1 as const; interface A {}', ['keyword:let', 'class:number', 'keyword:as', 'keyword:interface', 'class:A']],
+  python: ['def f(x):\n    return "s"  # c\n@dec', ['keyword:def', 'function:f', 'keyword:return', 'string:"s"', 'comment:# c', 'function:@dec']],
+  java: ['public class A { String s = "x"; @Override int n = 0x1F; }', ['keyword:public', 'class:A', 'class:String', 'string:"x"', 'function:@Override', 'number:0x1F']],
+  cpp: ['#include <iostream>\nint main() { std::cout << 1; }', ['keyword:#include', 'string:<iostream>', 'function:main', 'operator:::', 'operator:<<']],
+  go: ['func main() { x := "a"; return nil }', ['keyword:func', 'function:main', 'operator::=', 'string:"a"', 'keyword:return']],
+  rust: ['fn main() { let mut v = vec![1]; // c\n}', ['keyword:fn', 'keyword:let', 'keyword:mut', 'function:vec!', 'comment:// c']],
+  php: ['<?php $x = "a"; function f() {}', ['keyword:<?php', 'variable:$x', 'string:"a"', 'keyword:function', 'function:f']],
+  ruby: ['def f\n  puts :sym, @iv # c\nend', ['keyword:def', 'function:puts', 'string::sym', 'variable:@iv', 'comment:# c', 'keyword:end']],
+  html: ['<div class="a"><!-- c --></div>', ['keyword:div', 'variable:class', 'string:"a"', 'comment:<!-- c -->', 'punctuation:</']],
+  css: ['.a:hover { color: #fff; margin: 10px; }', ['class:.a', 'function::hover', 'variable:color', 'number:#fff', 'number:10px']],
+  swift: ['func f() -> Int { let x = 1 }', ['keyword:func', 'function:f', 'operator:->', 'class:Int', 'keyword:let']],
+  kotlin: ['fun main() { val s = "a" }', ['keyword:fun', 'function:main', 'keyword:val', 'string:"a"']],
+  shell: ['echo "$HOME" # c\nif [ -f x ]; then ls; fi', ['function:echo', 'variable:$HOME', 'comment:# c', 'keyword:then', 'keyword:fi']],
+  sql: ['SELECT id FROM t WHERE n = 1; -- c', ['keyword:SELECT', 'keyword:FROM', 'keyword:WHERE', 'number:1', 'comment:-- c']]
+};
+
+const typed = (tokens) => tokens.filter((token) => token.type).map(({ type, value }) => `${type}:${value}`);
+
+describe('tokenize', () => {
+  test('covers every grammar', () => {
+    expect(Object.keys(GRAMMARS).sort()).toEqual([...LANGUAGES].sort());
+  });
+
+  describe.each(Object.entries(GRAMMARS))('%s', (language, [code, expected]) => {
+    test('produces the expected tokens', () => {
+      expect(typed(tokenize(code, language))).toEqual(expect.arrayContaining(expected));
+    });
+
+    test('keeps every character of the source', () => {
+      expect(tokenize(code, language).map((token) => token.value).join('')).toBe(code);
+    });
+  });
+
+  test('leaves unknown languages unhighlighted', () => {
+    expect(tokenize('a < b', 'cobol')).toEqual([{ type: null, value: 'a < b' }]);
+    expect(tokenize('', 'cobol')).toEqual([]);
+  });
+
+  test('normalises line endings', () => {
+    expect(tokenize('a\r\nb\rc', 'plaintext')[0].value).toBe('a\nb\nc');
+  });
+
+  test('resolves aliases', () => {
+    expect(resolveLanguage('JavaScript')).toBe('javascript');
+    expect(resolveLanguage('nope')).toBeNull();
+  });
+});
+
+describe('tokenizeLines', () => {
+  test('splits tokens that span lines', () => {
+    const lines = tokenizeLines('/* a\nb */\nx', 'javascript');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toEqual([{ type: 'comment', value: '/* a' }]);
+    expect(lines[1]).toEqual([{ type: 'comment', value: 'b */' }]);
+  });
+
+  test('keeps empty lines', () => {
+    expect(tokenizeLines('a\n\nb', 'python')).toHaveLength(3);
+  });
+});
+
+describe('highlightLines', () => {
+  test.each(Object.entries(GRAMMARS))('renders one line of HTML per source line in %s', (language, [code]) => {
+    expect(highlightLines(code, language)).toHaveLength(code.split('\n').length);
+  });
+
+  test('wraps tokens in spans and escapes text', () => {
+    expect(highlightLines('const s = "<b>";', 'javascript')).toEqual([
+      '<span class="token keyword">const</span> s <span class="token operator">=</span> '
+        + '<span class="token string">&quot;&lt;b&gt;&quot;</span><span class="token punctuation">;</span>'
+    ]);
+    expect(highlightLines('<script>&', 'nope')).toEqual(['&lt;script&gt;&amp;']);
+  });
+});
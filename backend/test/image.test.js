@@ -0,0 +1,70 @@
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+
+describe('GET /api/image', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer();
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('renders code from the query string', async () => {
+    const res = await request(app)
+      .get('/api/image')
+      .query({ code: 'const a = 1;', format: 'svg', theme: 'light' })
+      .expect(200);
+    expect(res.headers['content-type']).toMatch(/^image\/svg\+xml/);
+    expect(res.headers['cache-control']).toBe('public, max-age=86400');
+    expect(res.headers.etag).toMatch(/^"[0-9a-f]{32}"$/);
+  });
+
+  test('accepts base64url and deflate encoded code', async () => {
+    const zlib = require('zlib');
+    const code = 'print("hi")';
+    const plain = await request(app).get('/api/image').query({ code, format: 'svg' }).expect(200);
+    const base64 = await request(app)
+      .get('/api/image')
+      .query({ code: Buffer.from(code).toString('base64url'), encoding: 'base64url', format: 'svg' })
+      .expect(200);
+    const deflated = await request(app)
+      .get('/api/image')
+      .query({ code: zlib.deflateRawSync(code).toString('base64url'), encoding: 'deflate', format: 'svg' })
+      .expect(200);
+    expect(base64.headers.etag).toBe(plain.headers.etag);
+    expect(deflated.headers.etag).toBe(plain.headers.etag);
+  });
+
+  test('answers a matching If-None-Match with 304', async () => {
+    const first = await request(app).get('/api/image').query({ code: 'x = 1', format: 'svg' }).expect(200);
+    const second = await request(app)
+      .get('/api/image')
+      .query({ code: 'x = 1', format: 'svg' })
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(second.text).toBe('');
+  });
+
+  test('gives different options a different ETag', async () => {
+    const dark = await request(app).get('/api/image').query({ code: 'x', format: 'svg' }).expect(200);
+    const light = await request(app).get('/api/image').query({ code: 'x', format: 'svg', theme: 'light' }).expect(200);
+    expect(light.headers.etag).not.toBe(dark.headers.etag);
+  });
+
+  test('rejects repeated parameters', async () => {
+    const res = await request(app).get('/api/image?code=x&format=svg&format=png').expect(400);
+    expect(res.body.error).toBe('Query parameter "format" must be given once');
+    await request(app).get('/api/image?code=a&code=b').expect(400);
+    await request(app).get('/api/image?code=x&theme[name]=dark').expect(400);
+  });
+
+  test('rejects invalid input without caching the error', async () => {
+    const res = await request(app).get('/api/image').query({ code: 'x', format: 'bmp' }).expect(400);
+    expect(res.headers['cache-control'] || '').not.toMatch(/public/);
+    await request(app).get('/api/image').query({ code: '!!!', encoding: 'deflate' }).expect(400);
+  });
+});
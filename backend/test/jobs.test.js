@@ -0,0 +1,170 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { JobQueue } = require('../lib/jobs');
+const { Store } = require('../lib/store');
+const { createServer } = require('./helpers/server');
+
+describe('render jobs', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer({ WEBHOOK_SECRET: 'webhook-secret-for-tests-0123' });
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  async function waitForJob(id) {
+    for (let i = 0; i < 100; i++) {
+      const res = await request(app).get(`/api/jobs/${id}`).expect(200);
+      if (!['queued', 'running'].includes(res.body.job.status)) return res.body.job;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${id} did not finish`);
+  }
+
+  test('renders in the background', async () => {
+    const res = await request(app)
+      .post('/api/jobs')
+      .send({ code: 'const a = 1;', options: { format: 'svg' } })
+      .expect(202);
+    expect(res.headers.location).toBe(`/api/jobs/${res.body.job.id}`);
+
+    const job = await waitForJob(res.body.job.id);
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 1, error: null });
+    expect(job.result.format).toBe('svg');
+    expect(job).not.toHaveProperty('callbackUrl');
+
+    await request(app).delete(`/api/jobs/${job.id}`).expect(409);
+  });
+
+  test.each([
+    'http://127.0.0.1:3000/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://localhost/hook',
+    'http://[::1]/hook'
+  ])('refuses the internal callbackUrl %s', async (callbackUrl) => {
+    const res = await request(app)
+      .post('/api/jobs')
+      .send({ code: 'x', callbackUrl })
+      .expect(400);
+    expect(res.body.errors[0]).toMatchObject({ path: 'callbackUrl', msg: 'callbackUrl must point to a public address' });
+  });
+
+  test('returns 404 for unknown jobs', async () => {
+    await request(app).get('/api/jobs/nope').expect(404);
+    await request(app).delete('/api/jobs/nope').expect(404);
+  });
+});
+
+describe('job webhooks', () => {
+  let context;
+  let receiver;
+  let hooks;
+  let callbackUrl;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        hooks.push(JSON.parse(body));
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    context = createServer({
+      WEBHOOK_SECRET: 'webhook-secret-for-tests-0123',
+      WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+      APP_URL: '',
+      CORS_ORIGIN: 'http://localhost:3000'
+    });
+  });
+
+  afterAll(async () => {
+    context.cleanup();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    hooks = [];
+  });
+
+  async function waitForHook() {
+    for (let i = 0; i < 100 && hooks.length === 0; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return hooks[0];
+  }
+
+  test.each([
+    ['a CORS origin', 'localhost:3000', (id) => `http://localhost:3000/api/jobs/${id}`],
+    ['any other host', 'evil.example', (id) => `/api/jobs/${id}`]
+  ])('links the job from %s', async (name, host, expected) => {
+    const res = await request(context.app)
+      .post('/api/jobs')
+      .set('Host', host)
+      .send({ code: 'x', options: { format: 'svg' }, callbackUrl })
+      .expect(202);
+
+    const hook = await waitForHook();
+    expect(hook).toMatchObject({ event: 'job.succeeded', job: { id: res.body.job.id } });
+    expect(hook.job.url).toBe(expected(res.body.job.id));
+    expect(hook.job).not.toHaveProperty('baseUrl');
+  });
+});
+
+describe('JobQueue.recover', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-jobs-'));
+    store = new Store({ namespace: 'jobs', dir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('requeues jobs left by a previous process and fails exhausted ones', async () => {
+    const saved = [
+      { id: 'queued', status: 'queued', attempts: 0 },
+      { id: 'interrupted', status: 'running', attempts: 1 },
+      { id: 'exhausted', status: 'running', attempts: 3 },
+      { id: 'done', status: 'succeeded', attempts: 1 }
+    ];
+    for (const job of saved) await store.set(job.id, job);
+
+    const handled = [];
+    const finished = [];
+    const queue = new JobQueue({
+      store,
+      handler: async (job) => {
+        handled.push(job.id);
+        return { ok: true };
+      },
+      onFinish: (job) => finished.push(job.id),
+      maxAttempts: 3
+    });
+
+    expect(await queue.recover()).toEqual({ requeued: 2, failed: 1 });
+    for (let i = 0; i < 50 && finished.length < 3; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    expect(handled.sort()).toEqual(['interrupted', 'queued']);
+    expect(await store.get('exhausted')).toMatchObject({ status: 'failed', error: { code: 'JOB_INTERRUPTED' } });
+    expect(await store.get('interrupted')).toMatchObject({ status: 'succeeded', attempts: 2 });
+    expect(await store.get('done')).toMatchObject({ status: 'succeeded', attempts: 1 });
+    expect(finished.sort()).toEqual(['exhausted', 'interrupted', 'queued']);
+  });
+});
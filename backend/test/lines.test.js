@@ -0,0 +1,44 @@
+const { LINE_SPEC_PATTERN, LINE_RANGE_PATTERN, parseLineSpec, selectLines } = require('../lib/lines');
+
+describe('parseLineSpec', () => {
+  test('reads single lines and ranges, either way round', () => {
+    expect(parseLineSpec('3, 7-9,12 - 10')).toEqual([[3, 3], [7, 9], [10, 12]]);
+    expect(parseLineSpec('')).toEqual([]);
+    expect(parseLineSpec(undefined)).toEqual([]);
+  });
+
+  test('keeps huge ranges as pairs', () => {
+    expect(parseLineSpec('1-1000000')).toEqual([[1, 1000000]]);
+  });
+
+  test('patterns accept specs and refuse anything else', () => {
+    expect(LINE_SPEC_PATTERN.test('3,7-9')).toBe(true);
+    expect(LINE_SPEC_PATTERN.test('3;7')).toBe(false);
+    expect(LINE_SPEC_PATTERN.test('a-b')).toBe(false);
+    expect(LINE_RANGE_PATTERN.test('2-4')).toBe(true);
+    expect(LINE_RANGE_PATTERN.test('2-4,6')).toBe(false);
+  });
+});
+
+describe('selectLines', () => {
+  const lines = ['a', 'b', 'c', 'd', 'e'];
+
+  test('numbers every line from 1 by default', () => {
+    expect(selectLines(lines).map(({ content, number }) => `${number}:${content}`)).toEqual(['1:a', '2:b', '3:c', '4:d', '5:e']);
+  });
+
+  test('cuts out lineRange and offsets by startLineNumber', () => {
+    const selected = selectLines(lines, { lineRange: '2-3', startLineNumber: 10 });
+    expect(selected.map(({ content, number }) => [content, number])).toEqual([['b', 11], ['c', 12]]);
+  });
+
+  test('highlights and focuses by displayed number', () => {
+    const selected = selectLines(lines, { startLineNumber: 10, highlightLines: '11', focusLines: '12-13' });
+    expect(selected.map(({ highlighted }) => highlighted)).toEqual([false, true, false, false, false]);
+    expect(selected.map(({ dimmed }) => dimmed)).toEqual([true, true, false, false, true]);
+  });
+
+  test('dims nothing without focusLines', () => {
+    expect(selectLines(lines, { highlightLines: '1-5' }).every(({ dimmed, highlighted }) => !dimmed && highlighted)).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const { MetricsRegistry } = require('../lib/metrics');
+const { createServer } = require('./helpers/server');
+
+const METRICS_TOKEN = 'metrics-token-for-tests-0123';
+
+describe('MetricsRegistry', () => {
+  test('renders counters and histograms in the text format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({ name: 'test_total', help: 'Things', labels: ['kind'] });
+    const histogram = registry.histogram({ name: 'test_seconds', help: 'Time', buckets: [0.1, 1] });
+
+    counter.inc({ kind: 'a"b\n' });
+    counter.inc({ kind: 'a"b\n' }, 2);
+    histogram.observe({}, 0.5);
+
+    expect(registry.render()).toBe([
+      '# HELP test_total Things',
+      '# TYPE test_total counter',
+      'test_total{kind="a\\"b\\n"} 3',
+      '# HELP test_seconds Time',
+      '# TYPE test_seconds histogram',
+      'test_seconds_bucket{le="0.1"} 0',
+      'test_seconds_bucket{le="1"} 1',
+      'test_seconds_bucket{le="+Inf"} 1',
+      'test_seconds_sum 0.5',
+      'test_seconds_count 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('keeps rendering when a collector fails', () => {
+    const registry = new MetricsRegistry();
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    registry.gauge({ name: 'broken', help: 'Fails', collect: () => { throw new Error('nope'); } });
+
+    expect(registry.render()).toBe('# HELP broken Fails\n# TYPE broken gauge\n');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('GET /metrics', () => {
+  test('does not exist without METRICS_TOKEN', async () => {
+    const context = createServer({ METRICS_TOKEN: '' });
+    try {
+      await request(context.app).get('/metrics').expect(404);
+    } finally {
+      context.cleanup();
+    }
+  });
+
+  test('requires the bearer token', async () => {
+    const context = createServer({ METRICS_TOKEN });
+    try {
+      await request(context.app).get('/metrics').expect(401);
+      await request(context.app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+      await request(context.app).get('/metrics').set('Authorization', `Bearer ${METRICS_TOKEN}é`).expect(401);
+
+      await request(context.app).get('/api/health').expect(200);
+      const res = await request(context.app)
+        .get('/metrics')
+        .set('Authorization', `Bearer ${METRICS_TOKEN}`)
+        .expect('Content-Type', /text\/plain/)
+        .expect(200);
+      expect(res.text).toContain('carbon_http_requests_total{method="GET",route="/api/health",status="200"} 1');
+      expect(res.text).toContain('# TYPE carbon_render_duration_seconds histogram');
+    } finally {
+      context.cleanup();
+    }
+  });
+});
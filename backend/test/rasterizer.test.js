@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { isWOFF, decodeWOFF } = require('../lib/woff');
+const { Rasterizer } = require('../lib/rasterizer');
+const { generateSVG } = require('../lib/svg');
+const { createServer } = require('./helpers/server');
+
+const WOFF_FILE = require.resolve('@fontsource/fira-code/files/fira-code-latin-400-normal.woff');
+
+const pngSize = (buffer) => ({ width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) });
+
+describe('decodeWOFF', () => {
+  test('unpacks every table into a TrueType font', () => {
+    const woff = fs.readFileSync(WOFF_FILE);
+    expect(isWOFF(woff)).toBe(true);
+
+    const font = decodeWOFF(woff);
+    const numTables = woff.readUInt16BE(12);
+    expect(font.readUInt32BE(0)).toBe(woff.readUInt32BE(4));
+    expect(font.readUInt16BE(4)).toBe(numTables);
+    // The sfnt size the WOFF header announces
+    expect(font.length).toBe(woff.readUInt32BE(16));
+
+    for (let i = 0; i < numTables; i++) {
+      const entry = 12 + i * 16;
+      expect(font.readUInt32BE(entry)).toBe(woff.readUInt32BE(44 + i * 20));
+      expect(font.readUInt32BE(entry + 12)).toBe(woff.readUInt32BE(44 + i * 20 + 12));
+      expect(font.readUInt32BE(entry + 8) % 4).toBe(0);
+    }
+  });
+
+  test('refuses anything else', () => {
+    expect(isWOFF(Buffer.from('wOF2 and then some more bytes to pass the header size'))).toBe(false);
+    expect(() => decodeWOFF(Buffer.alloc(64))).toThrow('Not a WOFF font');
+  });
+});
+
+describe('Rasterizer', () => {
+  let fontCacheDir;
+
+  beforeEach(() => {
+    fontCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-raster-'));
+  });
+
+  afterEach(() => fs.rmSync(fontCacheDir, { recursive: true, force: true }));
+
+  test('draws the SVG layout to PNG at the requested scale', async () => {
+    const rasterizer = new Rasterizer({ fontCacheDir });
+    expect(rasterizer.isAvailable).toBe(true);
+
+    const code = 'const a = 1;';
+    const { svg, dimensions } = generateSVG(code, { language: 'javascript' });
+    const png = await rasterizer.rasterize(svg, { fontFamily: 'Fira Code', text: code, scale: 2 });
+
+    expect(png.readUInt32BE(0)).toBe(0x89504e47);
+    expect(pngSize(png)).toEqual({ width: dimensions.width * 2, height: dimensions.height * 2 });
+    // The bundled WOFF was unpacked once for resvg
+    expect(fs.readdirSync(fontCacheDir).some((file) => file.endsWith('.ttf'))).toBe(true);
+  });
+
+  test('skips WOFF2-only faces it cannot unpack', () => {
+    const rasterizer = new Rasterizer({ fontCacheDir });
+    const woff2 = path.join(fontCacheDir, 'Only.woff2');
+    fs.writeFileSync(woff2, 'wOF2');
+    expect(rasterizer.loadableFile(woff2)).toBeNull();
+    expect(rasterizer.loadableFile('/fonts/Plain.ttf')).toBe('/fonts/Plain.ttf');
+  });
+});
+
+describe('PNG without a browser', () => {
+  let context;
+
+  beforeAll(() => {
+    context = createServer();
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('/api/generate falls back to the rasterizer and says so', async () => {
+    const res = await request(context.app)
+      .post('/api/generate')
+      .send({ code: 'print("hi")', options: { format: 'png', language: 'python', scale: 1 } })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ success: true, format: 'png', engine: 'raster' });
+    const png = Buffer.from(res.body.image.split(',')[1], 'base64');
+    expect(pngSize(png)).toEqual(res.body.dimensions);
+  });
+
+  test('/api/generate/fallback always rasterizes PNG', async () => {
+    const res = await request(context.app)
+      .post('/api/generate/fallback')
+      .send({ code: 'x', options: { format: 'svg' } })
+      .expect(200);
+    expect(res.body).toMatchObject({ format: 'png', engine: 'raster' });
+  });
+});
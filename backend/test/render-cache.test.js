@@ -0,0 +1,91 @@
+const { RenderCache } = require('../lib/render-cache');
+
+const entry = (bytes, meta = {}) => ({ buffer: Buffer.alloc(bytes), meta });
+
+// Just enough of a redis v4 client for the cache: hashes of buffers
+function fakeRedis() {
+  const hashes = new Map();
+  const client = {
+    isReady: true,
+    hashes,
+    expiries: new Map(),
+    async hGetAll(options, key) {
+      const hash = hashes.get(key) || {};
+      return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, Buffer.from(value)]));
+    },
+    multi() {
+      const chain = {
+        hSet: (key, fields) => {
+          hashes.set(key, fields);
+          return chain;
+        },
+        pExpireAt: (key, at) => {
+          client.expiries.set(key, at);
+          return chain;
+        },
+        exec: async () => []
+      };
+      return chain;
+    }
+  };
+  return client;
+}
+
+describe('RenderCache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('evicts the least recently used entries past maxEntries', async () => {
+    const cache = new RenderCache({ maxEntries: 2 });
+    await cache.set('a', entry(1));
+    await cache.set('b', entry(1));
+    await cache.get('a');
+    await cache.set('c', entry(1));
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).not.toBeNull();
+    expect(await cache.get('c')).not.toBeNull();
+    expect(cache.stats()).toMatchObject({ evictions: 1, memoryHits: 3, misses: 1 });
+  });
+
+  test('keeps memory under maxBytes and skips entries larger than it', async () => {
+    const cache = new RenderCache({ maxBytes: 100 });
+    await cache.set('a', entry(60));
+    await cache.set('b', entry(60));
+    await cache.set('huge', entry(101));
+
+    expect(cache.stats().memory).toMatchObject({ entries: 1, bytes: 60 });
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('huge')).toBeNull();
+    expect((await cache.get('b')).buffer).toHaveLength(60);
+  });
+
+  test('expires entries after ttl seconds', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = new RenderCache({ ttl: 10 });
+    await cache.set('a', entry(1, { format: 'png' }));
+
+    jest.setSystemTime(9999);
+    expect(await cache.get('a')).toEqual({ buffer: Buffer.alloc(1), meta: { format: 'png' } });
+    jest.setSystemTime(10000);
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.stats().memory.entries).toBe(0);
+  });
+
+  test('keeps the original expiry when a Redis hit is copied into memory', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const redis = fakeRedis();
+    const writer = new RenderCache({ redis: () => redis, ttl: 10 });
+    await writer.set('a', entry(1, { format: 'svg' }));
+    expect(redis.expiries.get('carbon:render:a')).toBe(10000);
+
+    // Another instance reads it just before it expires
+    jest.setSystemTime(9000);
+    const reader = new RenderCache({ redis: () => redis, ttl: 10 });
+    expect(await reader.get('a')).toEqual({ buffer: Buffer.alloc(1), meta: { format: 'svg' } });
+    expect(reader.stats()).toMatchObject({ redisHits: 1 });
+
+    redis.hashes.clear();
+    jest.setSystemTime(10000);
+    expect(await reader.get('a')).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const { EventEmitter } = require('events');
+const { RenderPool, RenderPoolError } = require('../lib/render-pool');
+
+// Stand-in for puppeteer whose launch fails `failures` times first
+function fakePuppeteer(failures) {
+  const puppeteer = {
+    launches: 0,
+    async launch() {
+      puppeteer.launches += 1;
+      if (puppeteer.launches <= failures) throw new Error('Could not find Chrome');
+      const browser = new EventEmitter();
+      browser.isConnected = () => true;
+      browser.newPage = async () => ({ isClosed: () => false, close: async () => {} });
+      browser.close = async () => {};
+      return browser;
+    }
+  };
+  return puppeteer;
+}
+
+describe('RenderPool', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('keeps retrying when the first launch fails', async () => {
+    const puppeteer = fakePuppeteer(2);
+    const pool = new RenderPool(puppeteer, { size: 1 });
+
+    expect(await pool.start()).toBe(false);
+    // Unavailable while the browser cannot launch, so callers fail fast
+    expect(pool.isAvailable).toBe(false);
+    await expect(pool.acquire()).rejects.toBeInstanceOf(RenderPoolError);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(puppeteer.launches).toBe(2);
+    expect(pool.isReady).toBe(false);
+
+    // Backs off before the next attempt
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(puppeteer.launches).toBe(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(puppeteer.launches).toBe(3);
+    expect(pool.isReady).toBe(true);
+    expect(pool.stats()).toMatchObject({ relaunching: false, launchFailed: false, restarts: 1, pages: 1 });
+
+    await pool.close();
+  });
+
+  test('stops retrying once closed', async () => {
+    const puppeteer = fakePuppeteer(Infinity);
+    const pool = new RenderPool(puppeteer, { size: 1 });
+
+    await pool.start();
+    await pool.close();
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(puppeteer.launches).toBe(1);
+  });
+
+  test('waits for a relaunch after a disconnect', async () => {
+    const puppeteer = fakePuppeteer(0);
+    const pool = new RenderPool(puppeteer, { size: 1 });
+
+    await pool.start();
+    pool.browser.isConnected = () => false;
+    pool.browser.emit('disconnected');
+    expect(pool.isAvailable).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(pool.isReady).toBe(true);
+    await pool.close();
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { RenderArtifacts } = require('../lib/artifacts');
+const { Store } = require('../lib/store');
+const { createServer } = require('./helpers/server');
+
+describe('stored renders', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer();
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  const renders = () => fs.readdirSync(path.join(context.dataDir, 'renders'));
+
+  test('links the image and serves it by ID', async () => {
+    const generated = await request(app)
+      .post('/api/generate')
+      .send({ code: 'const a = 1;', options: { format: 'svg' } })
+      .expect(200);
+
+    const { id, url, downloadUrl } = generated.body.artifact;
+    expect(id).toMatch(/^[A-Za-z0-9_-]{16}$/);
+    expect(url).toMatch(new RegExp(`/api/renders/${id}$`));
+    expect(downloadUrl).toMatch(new RegExp(`/api/renders/${id}/download$`));
+
+    const res = await request(app).get(`/api/renders/${id}`).expect(200);
+    expect(res.headers['content-type']).toMatch(/^image\/svg\+xml/);
+    expect(res.headers['cache-control']).toMatch(/^public, max-age=\d+, immutable$/);
+
+    const download = await request(app).get(`/api/renders/${id}/download`).expect(200);
+    expect(download.headers['content-disposition']).toMatch(/^attachment; filename=".+\.svg"$/);
+  });
+
+  test('stores the same render once', async () => {
+    const body = { code: 'print("once")', options: { format: 'svg', language: 'python' } };
+    const first = await request(app).post('/api/generate').send(body).expect(200);
+    const count = renders().length;
+    const second = await request(app).post('/api/generate').send(body).expect(200);
+
+    expect(second.body.artifact.id).toBe(first.body.artifact.id);
+    expect(renders()).toHaveLength(count);
+
+    const other = await request(app).post('/api/generate').send({ ...body, code: 'print("twice")' }).expect(200);
+    expect(other.body.artifact.id).not.toBe(first.body.artifact.id);
+  });
+
+  test('gives each stored render a random ID', async () => {
+    const dirs = [0, 1].map(() => fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-renders-')));
+    try {
+      const [one, two] = dirs.map((dir) => new RenderArtifacts({ store: new Store({ namespace: 'renders', dir }) }));
+      const render = [Buffer.from('<svg></svg>'), { engine: 'raster' }, { code: 'same', options: { format: 'svg' } }];
+
+      const first = await one.save(...render);
+      expect((await one.save(...render)).id).toBe(first.id);
+      // The same render elsewhere does not get a predictable ID
+      expect((await two.save(...render)).id).not.toBe(first.id);
+      expect(await one.get(first.id)).toMatchObject({ meta: { engine: 'raster' }, buffer: render[0] });
+    } finally {
+      dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+    }
+  });
+
+  test('returns 404 for unknown and malformed IDs', async () => {
+    await request(app).get('/api/renders/AAAAAAAAAAAAAAAA').expect(404);
+    await request(app).get('/api/renders/nope').expect(404);
+  });
+
+  test('sweeps expired renders from disk', async () => {
+    await request(app).post('/api/generate').send({ code: 'sweep me', options: { format: 'svg' } }).expect(200);
+    expect(renders().length).toBeGreaterThan(0);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 86400 * 1000);
+    try {
+      await context.server.sweepStores();
+    } finally {
+      Date.now.mockRestore();
+    }
+    expect(renders()).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+
+describe('snippet permalinks', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer();
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('saves, loads and deletes a snippet', async () => {
+    const created = await request(app)
+      .post('/api/snippets')
+      .send({ code: 'print("hi")', options: { language: 'python', theme: 'light' } })
+      .expect(201);
+
+    const { id, deleteToken } = created.body;
+    expect(id).toMatch(/^[A-Za-z0-9]{8}$/);
+    expect(created.body.url).toMatch(new RegExp(`/s/${id}$`));
+    expect(created.body.imageUrl).toMatch(new RegExp(`/s/${id}\\.png$`));
+    expect(created.body.expiresAt).toBeNull();
+
+    const loaded = await request(app).get(`/api/snippets/${id}`).expect(200);
+    expect(loaded.body).toMatchObject({ success: true, id, code: 'print("hi")', options: { language: 'python', theme: 'light' } });
+    expect(loaded.body).not.toHaveProperty('deleteTokenHash');
+
+    await request(app).delete(`/api/snippets/${id}`).set('X-Delete-Token', 'wrong').expect(403);
+    await request(app).delete(`/api/snippets/${id}`).set('X-Delete-Token', deleteToken).expect(200);
+    await request(app).get(`/api/snippets/${id}`).expect(404);
+  });
+
+  test('sets an expiry', async () => {
+    const created = await request(app)
+      .post('/api/snippets')
+      .send({ code: 'x', expiresIn: 3600 })
+      .expect(201);
+    const expiresIn = Date.parse(created.body.expiresAt) - Date.now();
+    expect(expiresIn).toBeGreaterThan(3590 * 1000);
+    expect(expiresIn).toBeLessThanOrEqual(3600 * 1000);
+  });
+
+  test('rejects invalid snippets', async () => {
+    await request(app).post('/api/snippets').send({ options: {} }).expect(400);
+    await request(app).post('/api/snippets').send({ code: 'x', expiresIn: 5 }).expect(400);
+  });
+
+  test('renders the snippet image', async () => {
+    const { body } = await request(app).post('/api/snippets').send({ code: 'const a = 1;' }).expect(201);
+    const image = await request(app).get(`/s/${body.id}.png`).expect(200);
+    expect(image.headers['content-type']).toBe('image/png');
+    expect(image.body.subarray(1, 4).toString()).toBe('PNG');
+
+    await request(app).get('/s/missing1.png').expect(404);
+  });
+
+  test('serves the editor page for snippet links', async () => {
+    const { body } = await request(app).post('/api/snippets').send({ code: 'x' }).expect(201);
+    const page = await request(app).get(`/s/${body.id}`).expect(200);
+    expect(page.headers['content-type']).toMatch(/text\/html/);
+
+    await request(app).get('/s/missing1').expect(404);
+  });
+});
@@ -0,0 +1,31 @@
+const { encodeState, decodeState } = require('../lib/state');
+
+describe('editor state links', () => {
+  const state = {
+    code: 'const greeting = "héllo 👋";\n// <script>',
+    options: { theme: 'solarized', fontSize: '16px', highlightLines: '1-2', showLineNumbers: false }
+  };
+
+  test('round-trips code and options through a URL-safe string', () => {
+    const encoded = encodeState(state);
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeState(encoded)).toEqual(state);
+  });
+
+  test('survives the hash being read back from the address bar', () => {
+    const url = new URL(`https://carbon.example/#state=${encodeState(state)}`);
+    expect(decodeState(url.hash.slice('#state='.length))).toEqual(state);
+  });
+
+  test('returns null for anything that is not an encoded state', () => {
+    expect(decodeState('')).toBeNull();
+    expect(decodeState('not base64!')).toBeNull();
+    expect(decodeState(encodeState({ options: {} }))).toBeNull();
+    expect(decodeState(encodeState('just a string'))).toBeNull();
+    expect(decodeState(Buffer.from([0xff, 0xfe]).toString('base64url'))).toBeNull();
+  });
+
+  test('keeps only an options object', () => {
+    expect(decodeState(encodeState({ code: 'x', options: ['theme'], extra: true }))).toEqual({ code: 'x', options: {} });
+  });
+});
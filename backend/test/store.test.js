@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Store } = require('../lib/store');
+
+describe('Store (files)', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbon-store-'));
+    store = new Store({ namespace: 'things', dir });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('stores, lists and deletes values', async () => {
+    await store.set('a/b', { n: 1 });
+    expect(await store.get('a/b')).toEqual({ n: 1 });
+    expect(await store.keys()).toEqual(['a/b']);
+    expect(await store.delete('a/b')).toBe(true);
+    expect(await store.get('a/b')).toBeNull();
+  });
+
+  test('sweeps expired entries nobody reads', async () => {
+    await store.set('old', { n: 1 }, { ttl: 60 });
+    await store.set('new', { n: 2 }, { ttl: 3600 });
+    await store.set('kept', { n: 3 });
+
+    expect(await store.sweep()).toBe(0);
+    expect(await store.sweep(Date.now() + 120 * 1000)).toBe(1);
+    expect((await store.keys()).sort()).toEqual(['kept', 'new']);
+  });
+
+  test('sweeps an empty namespace', async () => {
+    expect(await store.sweep()).toBe(0);
+  });
+});
@@ -0,0 +1,52 @@
+const request = require('supertest');
+const { generateSVG } = require('../lib/svg');
+const { createServer } = require('./helpers/server');
+
+describe('generateSVG', () => {
+  test('draws the code as text with its dimensions', () => {
+    const { svg, dimensions } = generateSVG('const a = "<b>";', { language: 'javascript' });
+    expect(svg).toMatch(/^<svg [^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).toContain(`width="${dimensions.width}"`);
+    expect(svg).toContain('&quot;&lt;b&gt;&quot;');
+    expect(svg).not.toContain('<script');
+  });
+
+  test('expands tabs to tabSize spaces', () => {
+    const { svg } = generateSVG('\tx', { language: 'plaintext', tabSize: 4 });
+    expect(svg).toContain('>    x<');
+  });
+});
+
+describe('POST /api/generate with format svg', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer();
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('returns the SVG', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ code: 'print(1)', options: { format: 'svg', tabSize: 4, lineHeight: 1.8 } })
+      .expect(200);
+    expect(res.body.format).toBe('svg');
+    expect(res.body.image).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+
+  test.each([
+    ['a huge tabSize', { tabSize: 2e6 }],
+    ['a fractional tabSize', { tabSize: 2.5 }],
+    ['CSS in lineHeight', { lineHeight: '1; background: url(x)' }],
+    ['a huge lineHeight', { lineHeight: 50 }]
+  ])('rejects %s', async (name, options) => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ code: '\t\t\t\t\t\t\t\t\t\tx', options: { format: 'svg', ...options } })
+      .expect(400);
+    expect(res.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createServer } = require('./helpers/server');
+const { validateRender } = require('../lib/validation');
+
+const COLORS = {
+  background: '#101010',
+  text: '#eeeeee',
+  comment: '#777777',
+  keyword: '#ff0066',
+  string: '#00cc66',
+  number: '#3399ff',
+  function: '#ffcc00',
+  class: '#66ccff',
+  variable: '#ff9933',
+  operator: '#ff0066'
+};
+
+const VSCODE_THEME = {
+  name: 'Night <b>Owl</b>',
+  type: 'dark',
+  colors: { 'editor.background': '#011627', 'editor.foreground': '#d6deeb' },
+  tokenColors: [
+    { scope: 'comment', settings: { foreground: '#637777' } },
+    { scope: ['keyword', 'storage'], settings: { foreground: '#c792ea' } },
+    { scope: 'string', settings: { foreground: '#ecc48d' } }
+  ]
+};
+
+describe('themes', () => {
+  let context;
+  let app;
+
+  beforeAll(() => {
+    context = createServer();
+    app = context.app;
+  });
+
+  afterAll(() => context.cleanup());
+
+  test('lists the built-in themes', async () => {
+    const { body } = await request(app).get('/api/themes').expect(200);
+    const ids = body.themes.map((theme) => theme.id);
+    expect(ids).toEqual(expect.arrayContaining(['dark', 'light', 'solarized']));
+    expect(body.themes[0].colors).toHaveProperty('keyword');
+  });
+
+  test('stores a theme in our own format under a stable ID', async () => {
+    const theme = { name: 'Mine (v2)', type: 'dark', colors: COLORS };
+    const first = await request(app).post('/api/themes').send({ theme }).expect(201);
+    const second = await request(app).post('/api/themes').send({ theme }).expect(201);
+
+    expect(first.body.theme.id).toMatch(/^custom-[0-9a-f]{12}$/);
+    expect(second.body.theme.id).toBe(first.body.theme.id);
+    // Derived colours are filled in
+    expect(first.body.theme.colors).toHaveProperty('windowTint');
+
+    const loaded = await request(app).get(`/api/themes/${first.body.theme.id}`).expect(200);
+    expect(loaded.body.theme).toMatchObject({ name: 'Mine (v2)', colors: { keyword: '#ff0066' } });
+  });
+
+  test('keeps imported themes for THEME_TTL', async () => {
+    const before = Date.now();
+    const { body } = await request(app)
+      .post('/api/themes')
+      .send({ theme: { name: 'Expiring', type: 'dark', colors: { ...COLORS, text: '#dddddd' } } })
+      .expect(201);
+
+    const file = path.join(context.dataDir, 'themes', `${body.theme.id}.json`);
+    const { expiresAt } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(expiresAt).toBeGreaterThanOrEqual(before + 30 * 24 * 60 * 60 * 1000);
+
+    expect(await context.server.themes.sweep(expiresAt + 1)).toBeGreaterThanOrEqual(1);
+    await request(app).get(`/api/themes/${body.theme.id}`).expect(404);
+  });
+
+  test('imports a VS Code theme, cleaning up its name', async () => {
+    const { body } = await request(app).post('/api/themes').send({ theme: JSON.stringify(VSCODE_THEME) }).expect(201);
+    expect(body.theme.name).toBe('Night b Owl b');
+    expect(body.theme.colors).toMatchObject({ background: '#011627', keyword: '#c792ea', string: '#ecc48d' });
+  });
+
+  test('rejects names that are not plain text', async () => {
+    const res = await request(app)
+      .post('/api/themes')
+      .send({ name: '<img src=x onerror=alert(1)>', theme: { type: 'dark', colors: COLORS } })
+      .expect(400);
+    expect(res.body.code).toBe('INVALID_THEME');
+
+    await request(app).post('/api/themes').send({ name: 'x"y', theme: VSCODE_THEME }).expect(400);
+  });
+
+  test('rejects unsafe colours and unknown themes', async () => {
+    await request(app)
+      .post('/api/themes')
+      .send({ theme: { name: 'Bad', colors: { ...COLORS, keyword: 'red;}</style>' } } })
+      .expect(400);
+    await request(app).post('/api/themes').send({ theme: 'not json' }).expect(400);
+    await request(app).get('/api/themes/custom-000000000000').expect(404);
+  });
+
+  test('limits background images to 2MB', async () => {
+    const dataURL = (bytes) => `data:image/png;base64,${Buffer.alloc(bytes).toString('base64')}`;
+    expect(await validateRender('x', { backgroundImage: dataURL(2 * 1024 * 1024) })).toEqual([]);
+
+    const errors = await validateRender('x', { backgroundImage: dataURL(2 * 1024 * 1024 + 3) });
+    expect(errors.map((error) => error.msg)).toContain('Background image must be under 2MB');
+  });
+});
+
+describe('theme imports', () => {
+  test('count extra against the IP rate limit', async () => {
+    const context = createServer({ RATE_LIMIT_MAX_REQUESTS: '12' });
+    try {
+      const theme = { name: 'Limited', type: 'dark', colors: COLORS };
+      await request(context.app).post('/api/themes').send({ theme }).expect(201);
+      await request(context.app).post('/api/themes').send({ theme }).expect(201);
+      // 11 requests so far, under the plain limit, but the import costs 5
+      const res = await request(context.app).post('/api/themes').send({ theme }).expect(429);
+      expect(res.headers).toHaveProperty('retry-after');
+    } finally {
+      context.cleanup();
+    }
+  });
+});
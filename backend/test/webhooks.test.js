@@ -0,0 +1,106 @@
+const dns = require('dns');
+const http = require('http');
+const { signWebhook, isPrivateAddress, checkWebhookUrl, deliverWebhook } = require('../lib/webhooks');
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1',
+    '::127.0.0.1', '2002:7f00:1::1', '2001:0:4136:e378::1', 'not-an-ip'
+  ])('%s is private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '8.8.8.8', '2606:4700::1111'])('%s is public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('checkWebhookUrl', () => {
+  test.each([
+    'http://127.0.0.1:8080/hook',
+    'http://[::1]/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://localhost:3000/hook'
+  ])('refuses %s', async (url) => {
+    expect(await checkWebhookUrl(url)).toBe('callbackUrl must point to a public address');
+  });
+
+  test('refuses other protocols', async () => {
+    expect(await checkWebhookUrl('file:///etc/passwd')).toBe('callbackUrl must be an http(s) URL');
+  });
+
+  test('accepts public addresses and allowed hosts', async () => {
+    expect(await checkWebhookUrl('https://93.184.216.34/hook')).toBeNull();
+    expect(await checkWebhookUrl('http://LOCALHOST:3000/hook', { allowedHosts: ['localhost'] })).toBeNull();
+  });
+});
+
+describe('deliverWebhook', () => {
+  let server;
+  let received;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(req.url === '/redirect' ? 302 : 204, { Location: '/hook' });
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('never sends to private addresses', async () => {
+    const delivery = await deliverWebhook(`${url}/hook`, { a: 1 }, { secret: 's', attempts: 1 });
+    expect(delivery).toMatchObject({ delivered: false, error: 'callbackUrl must point to a public address' });
+    expect(received).toHaveLength(0);
+  });
+
+  test('signs the payload', async () => {
+    const delivery = await deliverWebhook(`${url}/hook`, { a: 1 }, { secret: 's', attempts: 1, allowedHosts: ['127.0.0.1'] });
+
+    expect(delivery).toEqual({ delivered: true, attempts: 1, status: 204 });
+    const [{ headers, body }] = received;
+    expect(body).toBe('{"a":1}');
+    expect(headers['x-carbon-signature']).toBe(signWebhook('s', headers['x-carbon-timestamp'], body));
+  });
+
+  test('does not follow redirects', async () => {
+    const delivery = await deliverWebhook(`${url}/redirect`, { a: 1 }, { secret: 's', attempts: 1, allowedHosts: ['127.0.0.1'] });
+
+    expect(delivery).toMatchObject({ delivered: false, status: 302 });
+    expect(received).toHaveLength(1);
+  });
+
+  test('connects to the address that was checked', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    const requestSpy = jest.spyOn(http, 'request').mockImplementation(() => {
+      throw new Error('stop');
+    });
+
+    const delivery = await deliverWebhook('http://rebind.example/hook', { a: 1 }, { secret: 's', attempts: 1 });
+    expect(delivery).toMatchObject({ delivered: false, error: 'stop' });
+
+    // Whatever the host resolves to by now, the socket goes to the checked address
+    const [, { lookup }] = requestSpy.mock.calls[0];
+    const callback = jest.fn();
+    lookup('rebind.example', {}, callback);
+    expect(callback).toHaveBeenCalledWith(null, '93.184.216.34', 4);
+    lookup('rebind.example', { all: true }, callback);
+    expect(callback).toHaveBeenLastCalledWith(null, [{ address: '93.184.216.34', family: 4 }]);
+  });
+});